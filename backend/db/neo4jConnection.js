@@ -6,6 +6,8 @@ dotenv.config();
 const NEO4J_URI = process.env.NEO4J_URI || 'neo4j://localhost:7687';
 const NEO4J_USER = process.env.NEO4J_USER || 'neo4j';
 const NEO4J_PASSWORD = process.env.NEO4J_PASSWORD || 'password';
+// How long managed transactions (executeRead/executeWrite) keep retrying transient errors
+const NEO4J_MAX_TRANSACTION_RETRY_TIME = parseInt(process.env.NEO4J_MAX_TRANSACTION_RETRY_TIME, 10) || 30000;
 
 let driver;
 
@@ -17,7 +19,10 @@ async function initializeDb() {
         driver = neo4j.driver(
             NEO4J_URI,
             neo4j.auth.basic(NEO4J_USER, NEO4J_PASSWORD),
-            { maxConnectionPoolSize: 50 }
+            {
+                maxConnectionPoolSize: 50,
+                maxTransactionRetryTime: NEO4J_MAX_TRANSACTION_RETRY_TIME
+            }
         );
 
         console.log('Connected to Neo4j database');
@@ -47,12 +52,90 @@ async function createConstraints() {
             FOR (t:Transaction) REQUIRE t.id IS UNIQUE
         `);
 
+        await session.run(`
+            CREATE CONSTRAINT payment_method_fingerprint_unique IF NOT EXISTS
+            FOR (p:PaymentMethod) REQUIRE p.fingerprint IS UNIQUE
+        `);
+
+        await session.run(`
+            CREATE CONSTRAINT device_id_unique IF NOT EXISTS
+            FOR (d:Device) REQUIRE d.deviceId IS UNIQUE
+        `);
+
+        await session.run(`
+            CREATE CONSTRAINT ip_address_unique IF NOT EXISTS
+            FOR (i:IpAddress) REQUIRE i.address IS UNIQUE
+        `);
+
+        await session.run(`
+            CREATE CONSTRAINT location_key_unique IF NOT EXISTS
+            FOR (l:Location) REQUIRE l.key IS UNIQUE
+        `);
+
+        await session.run(`
+            CREATE CONSTRAINT fx_rate_id_unique IF NOT EXISTS
+            FOR (r:FxRate) REQUIRE r.id IS UNIQUE
+        `);
+
         console.log('Database constraints created successfully');
     } finally {
         await session.close();
     }
 }
 
+/**
+ * Create indexes used by transaction filters and user search
+ */
+async function createIndexes() {
+    const session = getSession();
+    try {
+        const indexedProperties = ['timestamp', 'status', 'currency', 'amount', 'amountBase', 'normalizedIpAddress', 'deviceId'];
+
+        for (const property of indexedProperties) {
+            await session.run(`
+                CREATE INDEX transaction_${property} IF NOT EXISTS
+                FOR (t:Transaction) ON (t.${property})
+            `);
+        }
+
+        // Shared-attribute links and the email/phone filters compare normalized values
+        for (const property of ['normalizedEmail', 'normalizedPhone', 'normalizedAddress']) {
+            await session.run(`
+                CREATE INDEX user_${property} IF NOT EXISTS
+                FOR (u:User) ON (u.${property})
+            `);
+        }
+
+        // Conversion looks up the latest rate of a currency on or before a date
+        await session.run(`
+            CREATE INDEX fx_rate_lookup IF NOT EXISTS
+            FOR (r:FxRate) ON (r.base, r.currency, r.date)
+        `);
+
+        // Communities are listed and traversed by their stored ID
+        await session.run(`
+            CREATE INDEX user_communityId IF NOT EXISTS
+            FOR (u:User) ON (u.communityId)
+        `);
+
+        // The description filter matches substrings of the lowercased description
+        await session.run(`
+            CREATE TEXT INDEX transaction_normalizedDescription IF NOT EXISTS
+            FOR (t:Transaction) ON (t.normalizedDescription)
+        `);
+
+        // Full-text index behind user search (address holds the JSON-encoded address)
+        await session.run(`
+            CREATE FULLTEXT INDEX user_search IF NOT EXISTS
+            FOR (u:User) ON EACH [u.name, u.email, u.phone, u.address]
+        `);
+
+        console.log('Database indexes created successfully');
+    } finally {
+        await session.close();
+    }
+}
+
 /**
  * Retry logic for constraint creation
  */
@@ -60,6 +143,7 @@ async function createConstraintsWithRetry(retries = 5, delay = 3000) {
     for (let attempt = 1; attempt <= retries; attempt++) {
         try {
             await createConstraints();
+            await createIndexes();
             return;
         } catch (err) {
             console.error(`Attempt ${attempt} failed to create constraints: ${err.message}`);
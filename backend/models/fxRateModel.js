@@ -0,0 +1,274 @@
+const neo4j = require('neo4j-driver');
+const { getSession } = require('../db/neo4jConnection');
+const { validateValue } = require('../validation/validate');
+const { fxRateSchema } = require('../validation/fxRateSchemas');
+const { buildWhereClause, buildPageQuery, buildPage } = require('../utils/paginationUtils');
+const { BASE_CURRENCY, toRateDate, fxRateId } = require('../utils/fxRateUtils');
+
+const DEFAULT_BATCH_SIZE = 500;
+
+// Sortable fields and the value used in place of a missing property
+const FX_RATE_SORT_FIELDS = {
+    date: "''",
+    currency: "''"
+};
+
+/**
+ * FxRate model for the dated exchange rates used to convert transaction amounts into
+ * the base currency. Each transaction stores its converted amount (amountBase) with the
+ * rate and rate date used, so filters and analytics compare amounts across currencies.
+ */
+class FxRate {
+    /**
+     * Convert the amounts of written transactions into the base currency at the latest
+     * rate on or before each transaction's date. Rate dates are UTC dates (toRateDate), so
+     * a transaction is dated by its timestamp in UTC, whatever offset it was written with.
+     * Transactions without a rate for their currency are left without amountBase.
+     * @param {Object} tx - Neo4j transaction
+     * @param {Array} ids - Transaction IDs
+     * @returns {Array} Properties of the converted transactions
+     */
+    static async convertTransactions(tx, ids) {
+        const result = await tx.run(
+            `
+      UNWIND $ids AS id
+      MATCH (t:Transaction {id: id})
+      WITH t, toString(date(datetime({datetime: datetime(t.timestamp), timezone: 'UTC'}))) AS transactionDate
+      OPTIONAL MATCH (rate:FxRate {base: $base, currency: t.currency})
+      WHERE rate.date <= transactionDate
+      WITH t, rate
+      ORDER BY rate.date DESC
+      WITH t, head(collect(rate)) AS rate
+      WITH t, rate, CASE WHEN t.currency = $base THEN 1.0 ELSE rate.rate END AS fxRate
+      SET t.baseCurrency = $base,
+          t.fxRate = fxRate,
+          t.fxRateDate = CASE WHEN t.currency = $base THEN null ELSE rate.date END,
+          t.amountBase = t.amount * fxRate
+      RETURN t
+      `,
+            { ids, base: BASE_CURRENCY }
+        );
+
+        return result.records.map(record => record.get('t').properties);
+    }
+
+    /**
+     * Convert stored transactions again, e.g. after rates were loaded or the base
+     * currency changed
+     * @param {Object} options - Options
+     * @param {Array} options.currencies - Only convert transactions in these currencies (all when omitted)
+     * @param {string} options.fromDate - Only convert transactions on or after this date (YYYY-MM-DD)
+     * @param {number} options.batchSize - Transactions converted per transaction
+     * @returns {number} Number of transactions converted
+     */
+    static async convertStoredTransactions(options = {}) {
+        const batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+        const session = getSession();
+
+        try {
+            let converted = 0;
+            let lastId = '';
+
+            for (;;) {
+                const result = await session.executeRead(tx => tx.run(
+                    `
+          MATCH (t:Transaction)
+          WHERE t.id > $lastId
+            AND ($currencies IS NULL OR t.currency IN $currencies)
+            AND ($fromDate IS NULL OR datetime(t.timestamp) >= datetime($fromDate))
+          RETURN t.id AS id
+          ORDER BY t.id
+          LIMIT $batchSize
+          `,
+                    {
+                        lastId,
+                        currencies: options.currencies || null,
+                        fromDate: options.fromDate || null,
+                        batchSize: neo4j.int(batchSize)
+                    }
+                ));
+
+                if (result.records.length === 0) {
+                    break;
+                }
+
+                const ids = result.records.map(record => record.get('id'));
+                await session.executeWrite(tx => this.convertTransactions(tx, ids));
+
+                converted += ids.length;
+                lastId = ids[ids.length - 1];
+            }
+
+            return converted;
+        } finally {
+            await session.close();
+        }
+    }
+
+    /**
+     * Create or update many rates using batched UNWIND statements, then convert the
+     * transactions the new rates apply to
+     * @param {Array} ratesData - Rates as {date, currency, rate, base}
+     * @param {Object} options - Bulk options
+     * @param {number} options.batchSize - Number of rates written per statement
+     * @param {boolean} options.dryRun - Only validate the records without writing them
+     * @returns {Object} Report with the outcome of every record and the number of transactions converted
+     */
+    static async bulkCreateOrUpdate(ratesData, options = {}) {
+        const batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+        const results = [];
+        const validRows = [];
+
+        ratesData.forEach((record, index) => {
+            const { value: rateData, errors } = validateValue(fxRateSchema, record, 'record');
+
+            if (errors.length > 0) {
+                results[index] = {
+                    index,
+                    id: null,
+                    status: 'error',
+                    error: errors.map(error => error.message).join('; ')
+                };
+                return;
+            }
+
+            const date = toRateDate(rateData.date);
+            const id = fxRateId(rateData.base, rateData.currency, date);
+
+            validRows.push({
+                index,
+                id,
+                properties: { id, base: rateData.base, currency: rateData.currency, date, rate: rateData.rate }
+            });
+        });
+
+        if (options.dryRun) {
+            validRows.forEach(row => {
+                results[row.index] = { index: row.index, id: row.id, status: 'valid' };
+            });
+
+            return {
+                total: ratesData.length,
+                succeeded: validRows.length,
+                failed: ratesData.length - validRows.length,
+                dryRun: true,
+                results
+            };
+        }
+
+        const session = getSession();
+        try {
+            for (let start = 0; start < validRows.length; start += batchSize) {
+                const batch = validRows.slice(start, start + batchSize);
+
+                try {
+                    await session.executeWrite(tx => tx.run(
+                        `
+          UNWIND $rows AS row
+          MERGE (r:FxRate {id: row.id})
+          ON CREATE SET r = row.properties, r.createdAt = $now
+          ON MATCH SET r += row.properties, r.updatedAt = $now
+          `,
+                        { rows: batch, now: new Date().toISOString() }
+                    ));
+
+                    batch.forEach(row => {
+                        results[row.index] = { index: row.index, id: row.id, status: 'success' };
+                    });
+                } catch (error) {
+                    console.error('Error writing FX rate batch:', error);
+                    batch.forEach(row => {
+                        results[row.index] = { index: row.index, id: row.id, status: 'error', error: error.message };
+                    });
+                }
+            }
+        } finally {
+            await session.close();
+        }
+
+        // Transactions in a loaded currency from the earliest loaded date on may now convert differently
+        const written = validRows.filter(row =>
+            results[row.index].status === 'success' && row.properties.base === BASE_CURRENCY);
+        let transactionsConverted = 0;
+        if (written.length > 0) {
+            transactionsConverted = await this.convertStoredTransactions({
+                currencies: [...new Set(written.map(row => row.properties.currency))],
+                fromDate: written.map(row => row.properties.date).sort()[0],
+                batchSize
+            });
+        }
+
+        const succeeded = results.filter(result => result.status === 'success').length;
+
+        return {
+            total: ratesData.length,
+            succeeded,
+            failed: ratesData.length - succeeded,
+            transactionsConverted,
+            results
+        };
+    }
+
+    /**
+     * Get a page of rates
+     * @param {Object} filters - Optional filters (currency, base, fromDate, toDate)
+     * @param {Object} options - Pagination options (limit, after, sortBy, sortOrder)
+     * @returns {Object} Rates on the page and pagination details
+     */
+    static async getAll(filters = {}, options = {}) {
+        const session = getSession();
+        try {
+            const params = { base: filters.base || BASE_CURRENCY };
+            const filterConditions = ['r.base = $base'];
+
+            if (filters.currency) {
+                filterConditions.push('r.currency IN $currencies');
+                params.currencies = [].concat(filters.currency);
+            }
+
+            if (filters.fromDate) {
+                filterConditions.push('r.date >= $fromDate');
+                params.fromDate = toRateDate(filters.fromDate);
+            }
+
+            if (filters.toDate) {
+                filterConditions.push('r.date <= $toDate');
+                params.toDate = toRateDate(filters.toDate);
+            }
+
+            const page = buildPageQuery('r', FX_RATE_SORT_FIELDS, {
+                ...options,
+                sortBy: options.sortBy || 'date'
+            });
+
+            const pageConditions = page.cursorCondition
+                ? [...filterConditions, page.cursorCondition]
+                : filterConditions;
+
+            const result = await session.run(
+                `MATCH (r:FxRate) ${buildWhereClause(pageConditions)}` +
+                `RETURN r, ${page.sortExpression} AS sortValue ${page.orderBy} ${page.limitClause}`,
+                { ...params, ...page.params }
+            );
+
+            const countResult = await session.run(
+                `MATCH (r:FxRate) ${buildWhereClause(filterConditions)}RETURN count(r) AS totalCount`,
+                params
+            );
+
+            const rows = result.records.map(record => ({
+                item: record.get('r').properties,
+                sortValue: record.get('sortValue')
+            }));
+
+            return buildPage(rows, page, countResult.records[0].get('totalCount').toNumber());
+        } catch (error) {
+            console.error('Error fetching FX rates:', error);
+            throw error;
+        } finally {
+            await session.close();
+        }
+    }
+}
+
+module.exports = FxRate;
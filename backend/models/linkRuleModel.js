@@ -0,0 +1,112 @@
+const {
+    RULE_ENTITIES,
+    getLinkRules,
+    getActiveRules,
+    buildRuleCondition,
+    buildRuleParams
+} = require('../utils/linkRuleUtils');
+
+/**
+ * LinkRule model that evaluates the configured link rules against written nodes.
+ * Each rule links nodes of one entity whose attributes match, with the relationship
+ * type and (optionally) a property recording the matched value.
+ */
+class LinkRule {
+    /**
+     * Create the relationships produced by the active rules for written nodes.
+     * Links are undirected identity links stored as a single edge per pair, pointing
+     * from the node with the lower id, so writing either node (or both together)
+     * never creates a second edge.
+     * @param {Object} tx - Neo4j transaction
+     * @param {string} entity - 'user' or 'transaction'
+     * @param {Array} ids - IDs of the written nodes
+     */
+    static async applyRules(tx, entity, ids) {
+        if (ids.length === 0) {
+            return;
+        }
+
+        const { label } = RULE_ENTITIES[entity];
+
+        for (const rule of getActiveRules(entity)) {
+            const { attribute, relationship, property } = rule;
+            const key = property ? ` {${property}: source.${attribute}}` : '';
+
+            await tx.run(
+                `
+        UNWIND $ids AS id
+        MATCH (a:${label} {id: id})
+        WHERE a.${attribute} IS NOT NULL
+        MATCH (b:${label})
+        WHERE b.id <> a.id AND ${buildRuleCondition(rule)}
+        WITH DISTINCT
+          CASE WHEN a.id < b.id THEN a ELSE b END AS source,
+          CASE WHEN a.id < b.id THEN b ELSE a END AS target
+        MERGE (source)-[r:${relationship}${key}]->(target)
+        ON CREATE SET r.rule = $rule
+        `,
+                { ids, ...buildRuleParams(rule) }
+            );
+        }
+    }
+
+    /**
+     * Delete the relationships of nodes that their active rules no longer support,
+     * e.g. after the attribute they matched on has changed
+     * @param {Object} tx - Neo4j transaction
+     * @param {string} entity - 'user' or 'transaction'
+     * @param {Array} ids - IDs of the updated nodes
+     */
+    static async removeStaleLinks(tx, entity, ids) {
+        if (ids.length === 0) {
+            return;
+        }
+
+        const { label } = RULE_ENTITIES[entity];
+
+        for (const rule of getActiveRules(entity)) {
+            const { attribute, relationship, property } = rule;
+            // Links recording a value must record the current value of their source node
+            const valueCondition = property ? ` AND r.${property} = startNode(r).${attribute}` : '';
+
+            await tx.run(
+                `
+        UNWIND $ids AS id
+        MATCH (a:${label} {id: id})-[r:${relationship}]-(b:${label})
+        WHERE coalesce(r.rule, $rule) = $rule
+          AND NOT coalesce(${buildRuleCondition(rule)}${valueCondition}, false)
+        WITH DISTINCT r
+        DELETE r
+        `,
+                { ids, ...buildRuleParams(rule) }
+            );
+        }
+    }
+
+    /**
+     * Get the configured rules
+     * @param {Object} filters - Optional filters (entity, enabled)
+     * @returns {Object} {source, rules} with the file the rules were loaded from
+     */
+    static getRules(filters = {}) {
+        const { source, rules } = getLinkRules();
+
+        return {
+            source,
+            rules: rules.filter(rule =>
+                (!filters.entity || rule.entity === filters.entity) &&
+                (filters.enabled === undefined || rule.enabled === filters.enabled))
+        };
+    }
+
+    /**
+     * Get a configured rule by name
+     * @param {string} name - Rule name
+     * @returns {Object|null} Rule, or null if there is no rule with that name
+     */
+    static getRule(name) {
+        return getLinkRules().rules.find(rule => rule.name === name) || null;
+    }
+}
+
+module.exports = LinkRule;
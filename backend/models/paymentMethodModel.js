@@ -0,0 +1,152 @@
+const neo4j = require('neo4j-driver');
+const { getSession } = require('../db/neo4jConnection');
+const { toPaymentMethodNode } = require('../utils/paymentMethodUtils');
+
+const DEFAULT_LIMIT = 100;
+
+/**
+ * PaymentMethod model for payment instruments shared between users.
+ * Users are linked to the instruments they use with USES_PAYMENT_METHOD, so users
+ * sharing an instrument are found by traversing through the PaymentMethod node.
+ */
+class PaymentMethod {
+    /**
+     * Link a user to exactly the given payment methods, creating missing PaymentMethod
+     * nodes and removing links to instruments the user no longer has
+     * @param {Object} tx - Neo4j transaction
+     * @param {string} userId - User ID
+     * @param {Array} paymentMethods - The user's payment methods
+     */
+    static async syncUser(tx, userId, paymentMethods = []) {
+        await this.syncUsers(tx, [{ id: userId, paymentMethods }]);
+    }
+
+    /**
+     * Link many users to their payment methods
+     * @param {Object} tx - Neo4j transaction
+     * @param {Array} rows - Users as {id, paymentMethods}
+     */
+    static async syncUsers(tx, rows) {
+        const now = new Date().toISOString();
+        const users = rows.map(row => {
+            const methods = (row.paymentMethods || []).map(toPaymentMethodNode);
+            return {
+                id: row.id,
+                methods,
+                fingerprints: methods.map(method => method.fingerprint)
+            };
+        });
+
+        await tx.run(
+            `
+      UNWIND $users AS user
+      MATCH (u:User {id: user.id})-[r:USES_PAYMENT_METHOD]->(p:PaymentMethod)
+      WHERE NOT p.fingerprint IN user.fingerprints
+      DELETE r
+      `,
+            { users }
+        );
+
+        await tx.run(
+            `
+      UNWIND $users AS user
+      MATCH (u:User {id: user.id})
+      UNWIND user.methods AS method
+      MERGE (p:PaymentMethod {fingerprint: method.fingerprint})
+      ON CREATE SET p = method, p.createdAt = $now
+      SET p.weakFingerprint = method.weakFingerprint
+      MERGE (u)-[r:USES_PAYMENT_METHOD]->(p)
+      ON CREATE SET r.since = $now
+      `,
+            { users, now }
+        );
+    }
+
+    /**
+     * Find payment methods by their attributes
+     * @param {Object} filters - Optional filters (type, provider, bank, last4)
+     * @param {Object} options - Query options
+     * @param {number} options.limit - Maximum number of payment methods
+     * @returns {Array} Payment methods with the number of users of each
+     */
+    static async find(filters = {}, options = {}) {
+        const session = getSession();
+        try {
+            const conditions = [];
+            const params = { limit: neo4j.int(options.limit || DEFAULT_LIMIT) };
+
+            ['type', 'provider', 'bank', 'last4'].forEach(attribute => {
+                if (filters[attribute]) {
+                    conditions.push(`toLower(p.${attribute}) = toLower($${attribute})`);
+                    params[attribute] = filters[attribute];
+                }
+            });
+
+            const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+            const result = await session.run(
+                `
+        MATCH (p:PaymentMethod)
+        ${whereClause}
+        OPTIONAL MATCH (u:User)-[:USES_PAYMENT_METHOD]->(p)
+        WITH p, count(u) AS userCount
+        RETURN p, userCount
+        ORDER BY userCount DESC, p.fingerprint
+        LIMIT $limit
+        `,
+                params
+            );
+
+            return result.records.map(record => ({
+                paymentMethod: record.get('p').properties,
+                userCount: record.get('userCount').toNumber()
+            }));
+        } catch (error) {
+            console.error('Error fetching payment methods:', error);
+            throw error;
+        } finally {
+            await session.close();
+        }
+    }
+
+    /**
+     * Get every user who has used a payment method
+     * @param {string} fingerprint - Payment method fingerprint
+     * @returns {Object|null} {paymentMethod, users}, or null if the payment method does not exist
+     */
+    static async getUsers(fingerprint) {
+        const session = getSession();
+        try {
+            const result = await session.run(
+                `
+        MATCH (p:PaymentMethod {fingerprint: $fingerprint})
+        OPTIONAL MATCH (u:User)-[r:USES_PAYMENT_METHOD]->(p)
+        WITH p, u, r
+        ORDER BY r.since
+        RETURN p, collect(CASE WHEN u IS NULL THEN NULL ELSE {user: u, since: r.since} END) AS users
+        `,
+                { fingerprint }
+            );
+
+            if (result.records.length === 0) {
+                return null;
+            }
+
+            const record = result.records[0];
+            return {
+                paymentMethod: record.get('p').properties,
+                users: record.get('users').map(entry => ({
+                    user: entry.user.properties,
+                    since: entry.since
+                }))
+            };
+        } catch (error) {
+            console.error('Error fetching payment method users:', error);
+            throw error;
+        } finally {
+            await session.close();
+        }
+    }
+}
+
+module.exports = PaymentMethod;
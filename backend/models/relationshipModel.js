@@ -1,4 +1,9 @@
 const { getSession } = require('../db/neo4jConnection');
+const { ADJUSTMENT_RELATIONSHIPS, netAmountExpression } = require('../utils/transactionChainUtils');
+
+// User-to-user relationships whose direction carries meaning. Every other user-to-user
+// relationship is an identity link (SHARES_*, SIMILAR_*, ...) and is matched in both directions.
+const DIRECTED_USER_RELATIONSHIPS = ['TRANSFERRED_TO'];
 
 /**
  * Relationship model for querying connections between entities
@@ -12,11 +17,27 @@ class Relationship {
     static async getUserConnections(userId) {
         const session = getSession();
         try {
-            // Get direct user connections (shared attributes)
+            // Get direct user connections: identity links in either direction, plus outgoing
+            // directed relationships. Duplicate edges left by older versions are collapsed.
             const userConnectionsResult = await session.run(
                 `
-        MATCH (u:User {id: $userId})-[r]->(connectedUser:User)
-        RETURN connectedUser, type(r) as relationshipType, properties(r) as properties
+        MATCH (u:User {id: $userId})-[r]-(connectedUser:User)
+        WHERE startNode(r) = u OR NOT type(r) IN $directedTypes
+        WITH connectedUser, type(r) as relationshipType, properties(r) as properties
+        RETURN DISTINCT connectedUser, relationshipType, properties
+        `,
+                { userId, directedTypes: DIRECTED_USER_RELATIONSHIPS }
+            );
+
+            // Get users sharing a payment instrument, through the PaymentMethod nodes. Instruments
+            // with a derived fingerprint may be different cards, so they are not reported.
+            const sharedPaymentMethodsResult = await session.run(
+                `
+        MATCH (u:User {id: $userId})-[:USES_PAYMENT_METHOD]->(p:PaymentMethod)
+        WHERE NOT coalesce(p.weakFingerprint, false)
+        MATCH (p)<-[:USES_PAYMENT_METHOD]-(other:User)
+        WHERE other.id <> $userId
+        RETURN p, collect(other) as users
         `,
                 { userId }
             );
@@ -27,12 +48,14 @@ class Relationship {
         MATCH (u:User {id: $userId})-[r1:SENT_MONEY]->(t:Transaction)
         OPTIONAL MATCH (t)-[r2:RECEIVED_BY]->(receiver:User)
         RETURN t, receiver, type(r1) as fromRelationship, properties(r1) as fromProperties,
-               type(r2) as toRelationship, properties(r2) as toProperties
+               type(r2) as toRelationship, properties(r2) as toProperties,
+               ${netAmountExpression('t')} as netAmount
         UNION
         MATCH (u:User {id: $userId})<-[r1:RECEIVED_BY]-(t:Transaction)
         OPTIONAL MATCH (sender:User)-[r2:SENT_MONEY]->(t)
         RETURN t, sender as receiver, type(r1) as fromRelationship, properties(r1) as fromProperties,
-               type(r2) as toRelationship, properties(r2) as toProperties
+               type(r2) as toRelationship, properties(r2) as toProperties,
+               ${netAmountExpression('t')} as netAmount
         `,
                 { userId }
             );
@@ -67,6 +90,10 @@ class Relationship {
                         }
                     };
                 }),
+                sharedPaymentMethods: sharedPaymentMethodsResult.records.map(record => ({
+                    paymentMethod: record.get('p').properties,
+                    users: record.get('users').map(user => user.properties)
+                })),
                 transactions: transactionConnectionsResult.records.map(record => {
                     const transaction = record.get('t').properties;
                     const receiver = record.get('receiver') ? record.get('receiver').properties : null;
@@ -77,6 +104,8 @@ class Relationship {
 
                     return {
                         transaction,
+                        // Amount less the transaction's active refunds, reversals and chargebacks
+                        netAmount: record.get('netAmount'),
                         connectedUser: receiver,
                         relationship: {
                             from: {
@@ -130,20 +159,50 @@ class Relationship {
                 { transactionId }
             );
 
-            // Get related transactions (by shared attributes)
+            // Get related transactions through the device, IP address and location nodes they share
             const relatedTransactionsResult = await session.run(
                 `
-        MATCH (t:Transaction {id: $transactionId})-[r]->(relatedTx:Transaction)
-        RETURN relatedTx, type(r) as relationshipType, properties(r) as properties
+        MATCH (t:Transaction {id: $transactionId})-[r:USED_DEVICE|USED_IP|AT_LOCATION]->(shared)
+        MATCH (shared)<-[:USED_DEVICE|USED_IP|AT_LOCATION]-(relatedTx:Transaction)
+        WHERE relatedTx.id <> $transactionId
+        RETURN relatedTx, type(r) as relationshipType, labels(shared)[0] as sharedLabel,
+               properties(shared) as properties
+        `,
+                { transactionId }
+            );
+
+            // Get the transaction this one refunds, reverses or charges back, and its own adjustments
+            const adjustmentsResult = await session.run(
+                `
+        MATCH (t:Transaction {id: $transactionId})
+        OPTIONAL MATCH (t)-[parentRelationship:${ADJUSTMENT_RELATIONSHIPS.join('|')}]->(parent:Transaction)
+        OPTIONAL MATCH (adjustment:Transaction)-[adjustmentRelationship:${ADJUSTMENT_RELATIONSHIPS.join('|')}]->(t)
+        RETURN ${netAmountExpression('t')} as netAmount, parent, type(parentRelationship) as parentRelationshipType,
+               collect({ transaction: adjustment, relationshipType: type(adjustmentRelationship) }) as adjustments
         `,
                 { transactionId }
             );
+            const adjustmentsRecord = adjustmentsResult.records[0];
 
             // Format the connections
             const connections = {
                 transaction: {
                     id: transactionId,
+                    // Amount less the transaction's active refunds, reversals and chargebacks
+                    netAmount: adjustmentsRecord ? adjustmentsRecord.get('netAmount') : null
                 },
+                parent: adjustmentsRecord && adjustmentsRecord.get('parent') ? {
+                    transaction: adjustmentsRecord.get('parent').properties,
+                    relationship: { type: adjustmentsRecord.get('parentRelationshipType') }
+                } : null,
+                adjustments: adjustmentsRecord
+                    ? adjustmentsRecord.get('adjustments')
+                        .filter(adjustment => adjustment.transaction)
+                        .map(adjustment => ({
+                            transaction: adjustment.transaction.properties,
+                            relationship: { type: adjustment.relationshipType }
+                        }))
+                    : [],
                 involvedUsers: involvedUsersResult.records.map(record => {
                     const sender = record.get('sender') ? record.get('sender').properties : null;
                     const receiver = record.get('receiver') ? record.get('receiver').properties : null;
@@ -168,6 +227,7 @@ class Relationship {
                         transaction,
                         relationship: {
                             type: relType,
+                            via: record.get('sharedLabel'),
                             properties
                         }
                     };
@@ -0,0 +1,215 @@
+const neo4j = require('neo4j-driver');
+const { getSession } = require('../db/neo4jConnection');
+const { ATTRIBUTE_NODES, toAttributeNode } = require('../utils/transactionAttributeUtils');
+
+const DEFAULT_LIMIT = 100;
+
+/**
+ * TransactionAttribute model for Device, IpAddress and Location nodes
+ */
+class TransactionAttribute {
+    /**
+     * Link transactions to the attribute nodes of their current values and refresh
+     * the attribute links of the users who sent them
+     * @param {Object} tx - Neo4j transaction
+     * @param {Array} transactionIds - IDs of transactions that were written
+     * @param {Array} userIds - Users whose links may have changed (e.g. previous senders)
+     */
+    static async syncTransactions(tx, transactionIds, userIds = []) {
+        if (transactionIds.length === 0) {
+            return;
+        }
+
+        const result = await tx.run(
+            `
+      UNWIND $ids AS id
+      MATCH (t:Transaction {id: id})
+      OPTIONAL MATCH (sender:User)-[:SENT_MONEY]->(t)
+      RETURN t, collect(sender.id) AS senders
+      `,
+            { ids: transactionIds }
+        );
+
+        const transactions = result.records.map(record => ({
+            properties: record.get('t').properties,
+            senders: record.get('senders')
+        }));
+        const now = new Date().toISOString();
+
+        for (const attribute of ATTRIBUTE_NODES) {
+            const rows = transactions.map(({ properties }) => {
+                const value = properties[attribute.field];
+                return {
+                    id: properties.id,
+                    value: value === undefined ? null : value,
+                    node: value === undefined ? null : toAttributeNode(attribute, value, properties[attribute.displayField])
+                };
+            });
+
+            await tx.run(
+                `
+        UNWIND $rows AS row
+        MATCH (t:Transaction {id: row.id})-[r:${attribute.relationship}]->(n:${attribute.label})
+        WHERE row.value IS NULL OR n.${attribute.key} <> row.value
+        DELETE r
+        `,
+                { rows }
+            );
+
+            await tx.run(
+                `
+        UNWIND $rows AS row
+        WITH row WHERE row.node IS NOT NULL
+        MATCH (t:Transaction {id: row.id})
+        MERGE (n:${attribute.label} {${attribute.key}: row.value})
+        ON CREATE SET n = row.node, n.createdAt = $now
+        MERGE (t)-[:${attribute.relationship}]->(n)
+        `,
+                { rows, now }
+            );
+        }
+
+        const senders = transactions.flatMap(transaction => transaction.senders);
+        await this.syncUsers(tx, [...new Set([...senders, ...userIds.filter(Boolean)])]);
+    }
+
+    /**
+     * Rebuild the attribute links of users from the transactions they sent. Each link
+     * records when the user was first and last seen with the value and how often.
+     * @param {Object} tx - Neo4j transaction
+     * @param {Array} userIds - User IDs
+     */
+    static async syncUsers(tx, userIds) {
+        if (userIds.length === 0) {
+            return;
+        }
+
+        for (const attribute of ATTRIBUTE_NODES) {
+            await tx.run(
+                `
+        UNWIND $userIds AS userId
+        MATCH (u:User {id: userId})-[:SENT_MONEY]->(t:Transaction)-[:${attribute.relationship}]->(n:${attribute.label})
+        WITH u, n, min(t.timestamp) AS firstSeen, max(t.timestamp) AS lastSeen, count(t) AS transactionCount
+        MERGE (u)-[r:${attribute.relationship}]->(n)
+        SET r.firstSeen = firstSeen, r.lastSeen = lastSeen, r.transactionCount = transactionCount
+        `,
+                { userIds }
+            );
+
+            await tx.run(
+                `
+        UNWIND $userIds AS userId
+        MATCH (u:User {id: userId})-[r:${attribute.relationship}]->(n:${attribute.label})
+        WHERE NOT EXISTS {
+          MATCH (u)-[:SENT_MONEY]->(:Transaction)-[:${attribute.relationship}]->(n)
+        }
+        DELETE r
+        `,
+                { userIds }
+            );
+        }
+    }
+
+    /**
+     * Look up an attribute type
+     * @param {string} type - Attribute type ('device', 'ipAddress' or 'location')
+     * @returns {Object} Entry of ATTRIBUTE_NODES
+     */
+    static getAttribute(type) {
+        const attribute = ATTRIBUTE_NODES.find(entry => entry.type === type);
+        if (!attribute) {
+            throw new Error(`Unknown attribute type: ${type}`);
+        }
+        return attribute;
+    }
+
+    /**
+     * Get every user who sent transactions with an attribute value
+     * @param {string} type - Attribute type ('device', 'ipAddress' or 'location')
+     * @param {string} value - Device ID, IP address or location key
+     * @returns {Object|null} {node, users}, or null if the value has never been seen
+     */
+    static async getUsers(type, value) {
+        const attribute = this.getAttribute(type);
+        const session = getSession();
+        try {
+            const result = await session.run(
+                `
+        MATCH (n:${attribute.label} {${attribute.key}: $value})
+        OPTIONAL MATCH (u:User)-[r:${attribute.relationship}]->(n)
+        WITH n, u, r
+        ORDER BY r.lastSeen DESC
+        RETURN n, collect(CASE WHEN u IS NULL THEN NULL ELSE {
+          user: u,
+          firstSeen: r.firstSeen,
+          lastSeen: r.lastSeen,
+          transactionCount: r.transactionCount
+        } END) AS users
+        `,
+                { value: attribute.normalize(value) }
+            );
+
+            if (result.records.length === 0) {
+                return null;
+            }
+
+            const record = result.records[0];
+            return {
+                node: record.get('n').properties,
+                users: record.get('users').map(entry => ({
+                    user: entry.user.properties,
+                    firstSeen: entry.firstSeen,
+                    lastSeen: entry.lastSeen,
+                    transactionCount: entry.transactionCount.toNumber()
+                }))
+            };
+        } catch (error) {
+            console.error('Error fetching attribute users:', error);
+            throw error;
+        } finally {
+            await session.close();
+        }
+    }
+
+    /**
+     * Get the most recent transactions with an attribute value
+     * @param {string} type - Attribute type ('device', 'ipAddress' or 'location')
+     * @param {string} value - Device ID, IP address or location key
+     * @param {Object} options - Query options
+     * @param {number} options.limit - Maximum number of transactions
+     * @returns {Object|null} {node, transactions}, or null if the value has never been seen
+     */
+    static async getTransactions(type, value, options = {}) {
+        const attribute = this.getAttribute(type);
+        const session = getSession();
+        try {
+            const result = await session.run(
+                `
+        MATCH (n:${attribute.label} {${attribute.key}: $value})
+        OPTIONAL MATCH (t:Transaction)-[:${attribute.relationship}]->(n)
+        WITH n, t
+        ORDER BY t.timestamp DESC
+        RETURN n, collect(t)[..$limit] AS transactions
+        `,
+                { value: attribute.normalize(value), limit: neo4j.int(options.limit || DEFAULT_LIMIT) }
+            );
+
+            if (result.records.length === 0) {
+                return null;
+            }
+
+            const record = result.records[0];
+            return {
+                node: record.get('n').properties,
+                transactions: record.get('transactions').map(transaction => transaction.properties)
+            };
+        } catch (error) {
+            console.error('Error fetching attribute transactions:', error);
+            throw error;
+        } finally {
+            await session.close();
+        }
+    }
+}
+
+module.exports = TransactionAttribute;
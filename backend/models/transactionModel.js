@@ -1,120 +1,140 @@
 const { getSession } = require('../db/neo4jConnection');
 const { v4: uuidv4 } = require('uuid');
+const { validateValue } = require('../validation/validate');
+const { transactionSchema } = require('../validation/transactionSchemas');
+const { buildWhereClause, buildPageQuery, buildPage } = require('../utils/paginationUtils');
+const { applyChanges, parseJSONProperties, pickProperties } = require('../utils/updateUtils');
+const { normalizeIp, normalizeLocation } = require('../utils/normalizationUtils');
+const { CENTRALITY_PROPERTIES } = require('../utils/centralityUtils');
+const {
+    DEFAULT_STATUS,
+    canTransition,
+    transitionError,
+    appendStatus,
+    buildStatusCondition
+} = require('../utils/transactionStatusUtils');
+const {
+    ADJUSTMENT_RELATIONSHIPS,
+    INACTIVE_ADJUSTMENT_STATUSES,
+    isActiveAdjustment,
+    netAmountExpression,
+    exceedsAmount
+} = require('../utils/transactionChainUtils');
+const TransactionAttribute = require('./transactionAttributeModel');
+const LinkRule = require('./linkRuleModel');
+const FxRate = require('./fxRateModel');
+
+const DEFAULT_BATCH_SIZE = 500;
+
+// Properties stored on the party relationships; changing any of them rewrites the relationships
+const PARTY_PROPERTIES = ['amount', 'currency', 'timestamp'];
+
+// Sortable fields and the value used in place of a missing property
+const TRANSACTION_SORT_FIELDS = {
+    timestamp: "''",
+    createdAt: "''",
+    amount: '0.0',
+    amountBase: '0.0',
+    status: "''",
+    currency: "''"
+};
 
 /**
  * Transaction model for interacting with transaction nodes in Neo4j
  */
 class Transaction {
     /**
-     * Create or update a transaction
+     * Create or update a transaction. The node, its party relationships and its links
+     * are written in one transaction, which is rolled back on error and retried on
+     * transient errors.
      * @param {Object} transactionData - Transaction data
      * @returns {Object} Created/updated transaction
      */
     static async createOrUpdate(transactionData) {
         const session = getSession();
         try {
-            const id = transactionData.id || uuidv4();
-
-            // Required transaction fields
-            const baseProperties = {
-                id,
-                amount: transactionData.amount,
-                currency: transactionData.currency || 'USD',
-                timestamp: transactionData.timestamp || new Date().toISOString(),
-                status: transactionData.status || 'completed',
-                createdAt: transactionData.createdAt || new Date().toISOString(),
-                updatedAt: new Date().toISOString()
-            };
-
-            // Optional fields that might be used for link detection
-            if (transactionData.ipAddress) baseProperties.ipAddress = transactionData.ipAddress;
-            if (transactionData.deviceId) baseProperties.deviceId = transactionData.deviceId;
-            if (transactionData.location) baseProperties.location = JSON.stringify(transactionData.location);
-            if (transactionData.description) baseProperties.description = transactionData.description;
-
-            // Create or update the transaction node
-            const result = await session.run(
-                `
-        MERGE (t:Transaction {id: $id})
-        ON CREATE SET t = $properties
-        ON MATCH SET t += $updateProperties
-        RETURN t
-        `,
-                {
-                    id,
-                    properties: baseProperties,
-                    updateProperties: { ...baseProperties, updatedAt: new Date().toISOString() }
+            return await session.executeWrite(async tx => {
+                // Existing transactions go through update so that stale links are removed
+                const existing = transactionData.id
+                    ? await this.findForUpdate(tx, transactionData.id)
+                    : null;
+                if (existing) {
+                    return this.applyUpdate(tx, existing, transactionData, { partial: true });
                 }
-            );
 
-            const transaction = result.records[0].get('t').properties;
+                const baseProperties = this.buildProperties(transactionData);
+                const { id } = baseProperties;
 
-            // Create links between transaction and users
-            if (transactionData.fromUserId) {
-                await session.run(
-                    `
-          MATCH (u:User {id: $userId})
-          MATCH (t:Transaction {id: $transactionId})
-          MERGE (u)-[r:SENT_MONEY {amount: $amount, currency: $currency}]->(t)
-          RETURN r
-          `,
-                    {
-                        userId: transactionData.fromUserId,
-                        transactionId: id,
-                        amount: transactionData.amount,
-                        currency: transactionData.currency || 'USD'
-                    }
-                );
-            }
+                await this.validateAdjustment(tx, baseProperties);
 
-            if (transactionData.toUserId) {
-                await session.run(
+                // Create or update the transaction node
+                await tx.run(
                     `
-          MATCH (u:User {id: $userId})
-          MATCH (t:Transaction {id: $transactionId})
-          MERGE (t)-[r:RECEIVED_BY {amount: $amount, currency: $currency}]->(u)
-          RETURN r
+          MERGE (t:Transaction {id: $id})
+          ON CREATE SET t = $properties,
+                        t.statusHistory = [$properties.status],
+                        t.statusTimestamps = [$properties.timestamp]
+          ON MATCH SET t += $updateProperties
           `,
                     {
-                        userId: transactionData.toUserId,
-                        transactionId: id,
-                        amount: transactionData.amount,
-                        currency: transactionData.currency || 'USD'
+                        id,
+                        properties: baseProperties,
+                        updateProperties: { ...baseProperties, updatedAt: new Date().toISOString() }
                     }
                 );
-            }
 
-            // Create direct user-to-user relationship for the transaction
-            if (transactionData.fromUserId && transactionData.toUserId) {
-                await session.run(
-                    `
-          MATCH (sender:User {id: $fromUserId})
-          MATCH (receiver:User {id: $toUserId})
-          MERGE (sender)-[r:TRANSFERRED_TO {
-            transactionId: $transactionId,
-            amount: $amount,
-            currency: $currency,
-            timestamp: $timestamp
-          }]->(receiver)
-          RETURN r
-          `,
-                    {
-                        fromUserId: transactionData.fromUserId,
-                        toUserId: transactionData.toUserId,
-                        transactionId: id,
-                        amount: transactionData.amount,
-                        currency: transactionData.currency || 'USD',
-                        timestamp: transactionData.timestamp || new Date().toISOString()
-                    }
-                );
+                // Store the amount in the base currency
+                const [transaction] = await FxRate.convertTransactions(tx, [id]);
+
+                // Create links between transaction and users
+                await this.createPartyRelationships(tx, baseProperties, transactionData);
+
+                // Link a refund, reversal or chargeback to the transaction it adjusts
+                await this.syncAdjustmentRelationships(tx, [id]);
+
+                // Link the transaction (and its sender) to its device, IP address and location
+                await TransactionAttribute.syncTransactions(tx, [id]);
+
+                // Link the transaction to other transactions from the link rules
+                await LinkRule.applyRules(tx, 'transaction', [id]);
+
+                return transaction;
+            });
+        } catch (error) {
+            if (!error.statusCode) {
+                console.error('Error creating/updating transaction:', error);
             }
+            throw error;
+        } finally {
+            await session.close();
+        }
+    }
 
-            // Create relationships with other transactions based on shared attributes
-            await this.createTransactionLinkRelationships(id, transactionData);
+    /**
+     * Update an existing transaction and keep its relationships in sync, in one transaction
+     * @param {string} id - Transaction ID
+     * @param {Object} changes - New transaction data
+     * @param {Object} options - Update options
+     * @param {boolean} options.partial - Merge the changes into the stored transaction (PATCH);
+     *                                    otherwise the changes replace it (PUT)
+     * @param {string} options.statusChangedAt - Time recorded for a status change (defaults to now)
+     * @returns {Object|null} Updated transaction, or null if the transaction does not exist
+     */
+    static async update(id, changes, options = {}) {
+        const session = getSession();
+        try {
+            return await session.executeWrite(async tx => {
+                const existing = await this.findForUpdate(tx, id);
+                if (!existing) {
+                    return null;
+                }
 
-            return transaction;
+                return this.applyUpdate(tx, existing, changes, options);
+            });
         } catch (error) {
-            console.error('Error creating/updating transaction:', error);
+            if (!error.statusCode) {
+                console.error('Error updating transaction:', error);
+            }
             throw error;
         } finally {
             await session.close();
@@ -122,57 +142,721 @@ class Transaction {
     }
 
     /**
-     * Create relationships between transactions based on shared attributes
-     * @param {string} transactionId - Transaction ID
+     * Move a transaction to a new status and record the change in its status history
+     * @param {string} id - Transaction ID
+     * @param {string} status - New status
+     * @param {string} changedAt - Time of the change (ISO 8601, defaults to now)
+     * @returns {Object|null} Updated transaction, or null if the transaction does not exist
+     * @throws {Error} statusCode 409 when the lifecycle does not allow the change
+     */
+    static async updateStatus(id, status, changedAt) {
+        return this.update(id, { status }, { partial: true, statusChangedAt: changedAt });
+    }
+
+    /**
+     * Read a transaction and its sender and receiver inside a write transaction
+     * @param {Object} tx - Neo4j transaction
+     * @param {string} id - Transaction ID
+     * @returns {Object|null} {properties, parties}, or null if the transaction does not exist
+     */
+    static async findForUpdate(tx, id) {
+        const result = await tx.run(
+            `
+      MATCH (t:Transaction {id: $id})
+      OPTIONAL MATCH (sender:User)-[:SENT_MONEY]->(t)
+      OPTIONAL MATCH (t)-[:RECEIVED_BY]->(receiver:User)
+      RETURN t, sender.id AS fromUserId, receiver.id AS toUserId
+      LIMIT 1
+      `,
+            { id }
+        );
+
+        if (result.records.length === 0) {
+            return null;
+        }
+
+        const record = result.records[0];
+        const parties = {};
+        if (record.get('fromUserId')) parties.fromUserId = record.get('fromUserId');
+        if (record.get('toUserId')) parties.toUserId = record.get('toUserId');
+
+        return { properties: record.get('t').properties, parties };
+    }
+
+    /**
+     * Write an update to a transaction and replace its stale relationships
+     * @param {Object} tx - Neo4j transaction
+     * @param {Object} existing - Stored transaction ({properties, parties})
+     * @param {Object} changes - New transaction data
+     * @param {Object} options - Update options (partial, statusChangedAt)
+     * @returns {Object} Updated transaction
+     */
+    static async applyUpdate(tx, existing, changes, options = {}) {
+        const { properties: stored, parties } = existing;
+        const { id } = stored;
+        const current = { ...parseJSONProperties(stored, ['location']), ...parties };
+        const transactionData = {
+            ...(options.partial ? applyChanges(current, changes) : changes),
+            id,
+            createdAt: stored.createdAt,
+            // A replacement without a status keeps the current one rather than resetting it
+            status: changes.status || stored.status
+        };
+
+        if (!transactionData.fromUserId && !transactionData.toUserId) {
+            const invalid = new Error('At least one user (sender or receiver) is required');
+            invalid.statusCode = 400;
+            throw invalid;
+        }
+
+        const properties = {
+            ...this.buildProperties(transactionData),
+            ...appendStatus(stored, transactionData.status, options.statusChangedAt || new Date().toISOString()),
+            // The transaction keeps its centrality until the next run
+            ...pickProperties(stored, CENTRALITY_PROPERTIES)
+        };
+
+        await this.validateAdjustment(tx, properties);
+
+        await tx.run('MATCH (t:Transaction {id: $id}) SET t = $properties', { id, properties });
+        const [transaction] = await FxRate.convertTransactions(tx, [id]);
+
+        // Rewrite the party relationships when the parties or the values they carry changed
+        if (this.partyRelationshipsChanged(existing, properties, transactionData)) {
+            await this.deletePartyRelationships(tx, [id]);
+            await this.createPartyRelationships(tx, properties, transactionData);
+        }
+
+        await this.syncAdjustmentRelationships(tx, [id]);
+
+        // Relink the device, IP address and location; a previous sender may have lost a link
+        await TransactionAttribute.syncTransactions(tx, [id], [parties.fromUserId]);
+
+        await LinkRule.removeStaleLinks(tx, 'transaction', [id]);
+        await LinkRule.applyRules(tx, 'transaction', [id]);
+
+        return transaction;
+    }
+
+    /**
+     * Read the transactions of a bulk batch that already exist, with their senders and
+     * receivers, inside a write transaction
+     * @param {Object} tx - Neo4j transaction
+     * @param {Array} ids - Transaction IDs
+     * @returns {Map} {properties, parties} per existing transaction ID
+     */
+    static async findManyForUpdate(tx, ids) {
+        const result = await tx.run(
+            `
+      UNWIND $ids AS id
+      MATCH (t:Transaction {id: id})
+      OPTIONAL MATCH (sender:User)-[:SENT_MONEY]->(t)
+      OPTIONAL MATCH (t)-[:RECEIVED_BY]->(receiver:User)
+      RETURN t, head(collect(sender.id)) AS fromUserId, head(collect(receiver.id)) AS toUserId
+      `,
+            { ids }
+        );
+
+        return new Map(result.records.map(record => {
+            const { properties } = record.get('t');
+            const parties = {};
+            if (record.get('fromUserId')) parties.fromUserId = record.get('fromUserId');
+            if (record.get('toUserId')) parties.toUserId = record.get('toUserId');
+
+            return [properties.id, { properties, parties }];
+        }));
+    }
+
+    /**
+     * Check whether the party relationships of a stored transaction must be rewritten:
+     * its sender or receiver changed, or one of the values the relationships carry
+     * @param {Object} existing - Stored transaction ({properties, parties})
+     * @param {Object} properties - New transaction node properties
+     * @param {Object} parties - New sender and receiver ({fromUserId, toUserId})
+     * @returns {boolean} True if the relationships are stale
+     */
+    static partyRelationshipsChanged(existing, properties, parties) {
+        const partiesChanged = ['fromUserId', 'toUserId']
+            .some(field => (existing.parties[field] || null) !== (parties[field] || null));
+        const valuesChanged = PARTY_PROPERTIES
+            .some(field => existing.properties[field] !== properties[field]);
+
+        return partiesChanged || valuesChanged;
+    }
+
+    /**
+     * Delete the SENT_MONEY, RECEIVED_BY and TRANSFERRED_TO relationships of transactions
+     * @param {Object} tx - Neo4j transaction
+     * @param {Array} ids - Transaction IDs
+     */
+    static async deletePartyRelationships(tx, ids) {
+        if (ids.length === 0) {
+            return;
+        }
+
+        await tx.run(
+            `
+      UNWIND $ids AS id
+      MATCH (t:Transaction {id: id})
+      OPTIONAL MATCH (:User)-[sent:SENT_MONEY]->(t)
+      OPTIONAL MATCH (t)-[received:RECEIVED_BY]->(:User)
+      DELETE sent, received
+      WITH DISTINCT id
+      OPTIONAL MATCH (:User)-[transfer:TRANSFERRED_TO {transactionId: id}]->(:User)
+      DELETE transfer
+      `,
+            { ids }
+        );
+    }
+
+    /**
+     * Create SENT_MONEY, RECEIVED_BY and TRANSFERRED_TO relationships for a transaction
+     * @param {Object} tx - Neo4j transaction
+     * @param {Object} properties - Transaction node properties
+     * @param {Object} parties - Sender and receiver ({fromUserId, toUserId})
+     */
+    static async createPartyRelationships(tx, properties, parties) {
+        if (parties.fromUserId) {
+            await tx.run(
+                `
+      MATCH (u:User {id: $userId})
+      MATCH (t:Transaction {id: $transactionId})
+      MERGE (u)-[r:SENT_MONEY {amount: $amount, currency: $currency}]->(t)
+      RETURN r
+      `,
+                {
+                    userId: parties.fromUserId,
+                    transactionId: properties.id,
+                    amount: properties.amount,
+                    currency: properties.currency
+                }
+            );
+        }
+
+        if (parties.toUserId) {
+            await tx.run(
+                `
+      MATCH (u:User {id: $userId})
+      MATCH (t:Transaction {id: $transactionId})
+      MERGE (t)-[r:RECEIVED_BY {amount: $amount, currency: $currency}]->(u)
+      RETURN r
+      `,
+                {
+                    userId: parties.toUserId,
+                    transactionId: properties.id,
+                    amount: properties.amount,
+                    currency: properties.currency
+                }
+            );
+        }
+
+        // Create direct user-to-user relationship for the transaction
+        if (parties.fromUserId && parties.toUserId) {
+            await tx.run(
+                `
+      MATCH (sender:User {id: $fromUserId})
+      MATCH (receiver:User {id: $toUserId})
+      MERGE (sender)-[r:TRANSFERRED_TO {
+        transactionId: $transactionId,
+        amount: $amount,
+        currency: $currency,
+        timestamp: $timestamp
+      }]->(receiver)
+      RETURN r
+      `,
+                {
+                    fromUserId: parties.fromUserId,
+                    toUserId: parties.toUserId,
+                    transactionId: properties.id,
+                    amount: properties.amount,
+                    currency: properties.currency,
+                    timestamp: properties.timestamp
+                }
+            );
+        }
+    }
+
+    /**
+     * Build the node properties stored for a transaction
      * @param {Object} transactionData - Transaction data
+     * @returns {Object} Transaction node properties
      */
-    static async createTransactionLinkRelationships(transactionId, transactionData) {
+    static buildProperties(transactionData) {
+        const id = transactionData.id || uuidv4();
+
+        // Required transaction fields
+        const baseProperties = {
+            id,
+            amount: transactionData.amount,
+            currency: transactionData.currency || 'USD',
+            timestamp: transactionData.timestamp
+                ? new Date(transactionData.timestamp).toISOString()
+                : new Date().toISOString(),
+            status: transactionData.status || DEFAULT_STATUS,
+            createdAt: transactionData.createdAt || new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+
+        // Optional fields that might be used for link detection. IP addresses and locations
+        // are linked on their normalized copies; the values as entered are kept for display.
+        if (transactionData.ipAddress) {
+            baseProperties.ipAddress = transactionData.ipAddress;
+            baseProperties.normalizedIpAddress = normalizeIp(transactionData.ipAddress);
+        }
+        if (transactionData.deviceId) baseProperties.deviceId = transactionData.deviceId;
+        if (transactionData.location) {
+            baseProperties.location = JSON.stringify(transactionData.location);
+            baseProperties.normalizedLocation = normalizeLocation(transactionData.location);
+        }
+        if (transactionData.description) {
+            baseProperties.description = transactionData.description;
+            // Lowercased copy behind the case-insensitive description filter and its text index
+            baseProperties.normalizedDescription = transactionData.description.toLowerCase();
+        }
+        if (transactionData.parentTransactionId) {
+            baseProperties.parentTransactionId = transactionData.parentTransactionId;
+            baseProperties.parentRelationship = transactionData.parentRelationship;
+        }
+
+        return baseProperties;
+    }
+
+    /**
+     * Create or update many transactions using batched UNWIND statements
+     * @param {Array} transactionsData - List of transaction data objects
+     * @param {Object} options - Bulk options
+     * @param {number} options.batchSize - Number of transactions written per statement
+     * @param {boolean} options.dryRun - Only validate the records without writing them
+     * @returns {Object} Report with the outcome of every record
+     */
+    static async bulkCreateOrUpdate(transactionsData, options = {}) {
+        const batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+        const results = [];
+        const validRows = [];
+
+        // Validate every record up front so bad rows never reach the database
+        transactionsData.forEach((record, index) => {
+            const { value: transactionData, errors } = validateValue(transactionSchema, record, 'record');
+
+            if (errors.length > 0) {
+                results[index] = {
+                    index,
+                    id: (record && record.id) || null,
+                    status: 'error',
+                    error: errors.map(error => error.message).join('; ')
+                };
+                return;
+            }
+
+            validRows.push({ index, id: transactionData.id || uuidv4(), transactionData });
+        });
+
+        if (options.dryRun) {
+            validRows.forEach(row => {
+                results[row.index] = { index: row.index, id: row.id, status: 'valid' };
+            });
+
+            return {
+                total: transactionsData.length,
+                succeeded: validRows.length,
+                failed: transactionsData.length - validRows.length,
+                dryRun: true,
+                results
+            };
+        }
+
         const session = getSession();
         try {
-            // Link transactions by IP address
-            if (transactionData.ipAddress) {
-                await session.run(
-                    `
-          MATCH (t1:Transaction {id: $transactionId})
-          MATCH (t2:Transaction)
-          WHERE t2.ipAddress = $ipAddress AND t2.id <> $transactionId
-          MERGE (t1)-[r:SHARES_IP {ipAddress: $ipAddress}]->(t2)
-          RETURN r
+            for (let start = 0; start < validRows.length; start += batchSize) {
+                const batch = validRows.slice(start, start + batchSize);
+
+                try {
+                    const rejected = await session.executeWrite(async tx => {
+                        // Records for existing transactions are merged into them, as in applyUpdate
+                        const existing = await this.findManyForUpdate(tx, batch.map(row => row.id));
+                        const updates = batch.map(row => this.buildBulkRow(row, existing.get(row.id)));
+
+                        // Rows that would move an existing transaction through an illegal status
+                        // change, or adjust a transaction by more than its amount, are rejected;
+                        // the rest of the batch is written
+                        const invalid = await this.findIllegalStatusChanges(tx, updates);
+                        const adjustments = await this.findInvalidAdjustments(
+                            tx,
+                            updates.filter(row => !invalid.has(row.index))
+                        );
+                        adjustments.forEach((message, index) => invalid.set(index, message));
+                        const rows = updates.filter(row => !invalid.has(row.index));
+
+                        // Relationships that no longer match their parties or values are replaced
+                        const stale = rows.filter(row => existing.has(row.id) &&
+                            this.partyRelationshipsChanged(existing.get(row.id), row.properties, row));
+
+                        await tx.run(
+                            `
+          UNWIND $rows AS row
+          MERGE (t:Transaction {id: row.id})
+          ON CREATE SET t.statusHistory = [], t.statusTimestamps = []
+          WITH t, row,
+               coalesce(t.statusHistory, [t.status]) AS statusHistory,
+               coalesce(t.statusTimestamps, [t.timestamp]) AS statusTimestamps
+          SET t += row.properties
+          WITH t, row, statusHistory, statusTimestamps,
+               statusHistory[-1] = row.properties.status AS unchanged
+          SET t.statusHistory = CASE WHEN unchanged THEN statusHistory
+                                     ELSE statusHistory + row.properties.status END,
+              t.statusTimestamps = CASE WHEN unchanged THEN statusTimestamps
+                                        WHEN size(statusHistory) = 0 THEN [row.properties.timestamp]
+                                        ELSE statusTimestamps + $changedAt END
           `,
-                    { transactionId, ipAddress: transactionData.ipAddress }
-                );
-            }
+                            { rows, changedAt: new Date().toISOString() }
+                        );
 
-            // Link transactions by device ID
-            if (transactionData.deviceId) {
-                await session.run(
-                    `
-          MATCH (t1:Transaction {id: $transactionId})
-          MATCH (t2:Transaction)
-          WHERE t2.deviceId = $deviceId AND t2.id <> $transactionId
-          MERGE (t1)-[r:SHARES_DEVICE {deviceId: $deviceId}]->(t2)
-          RETURN r
+                        await this.deletePartyRelationships(tx, stale.map(row => row.id));
+
+                        await tx.run(
+                            `
+          UNWIND $rows AS row
+          WITH row WHERE row.fromUserId IS NOT NULL
+          MATCH (u:User {id: row.fromUserId})
+          MATCH (t:Transaction {id: row.id})
+          MERGE (u)-[r:SENT_MONEY {amount: row.properties.amount, currency: row.properties.currency}]->(t)
           `,
-                    { transactionId, deviceId: transactionData.deviceId }
-                );
-            }
+                            { rows }
+                        );
 
-            // Link transactions by location
-            if (transactionData.location) {
-                const locationStr = JSON.stringify(transactionData.location);
-                await session.run(
-                    `
-          MATCH (t1:Transaction {id: $transactionId})
-          MATCH (t2:Transaction)
-          WHERE t2.location = $location AND t2.id <> $transactionId
-          MERGE (t1)-[r:SHARES_LOCATION {location: $location}]->(t2)
-          RETURN r
+                        await tx.run(
+                            `
+          UNWIND $rows AS row
+          WITH row WHERE row.toUserId IS NOT NULL
+          MATCH (u:User {id: row.toUserId})
+          MATCH (t:Transaction {id: row.id})
+          MERGE (t)-[r:RECEIVED_BY {amount: row.properties.amount, currency: row.properties.currency}]->(u)
           `,
-                    { transactionId, location: locationStr }
-                );
+                            { rows }
+                        );
+
+                        await tx.run(
+                            `
+          UNWIND $rows AS row
+          WITH row WHERE row.fromUserId IS NOT NULL AND row.toUserId IS NOT NULL
+          MATCH (sender:User {id: row.fromUserId})
+          MATCH (receiver:User {id: row.toUserId})
+          MERGE (sender)-[r:TRANSFERRED_TO {
+            transactionId: row.id,
+            amount: row.properties.amount,
+            currency: row.properties.currency,
+            timestamp: row.properties.timestamp
+          }]->(receiver)
+          `,
+                            { rows }
+                        );
+
+                        await FxRate.convertTransactions(tx, rows.map(row => row.id));
+                        await this.syncAdjustmentRelationships(tx, rows.map(row => row.id));
+                        await TransactionAttribute.syncTransactions(
+                            tx,
+                            rows.map(row => row.id),
+                            [...existing.values()].map(({ parties }) => parties.fromUserId)
+                        );
+                        await LinkRule.removeStaleLinks(tx, 'transaction', [...existing.keys()]);
+                        await LinkRule.applyRules(tx, 'transaction', rows.map(row => row.id));
+
+                        return invalid;
+                    });
+
+                    batch.forEach(row => {
+                        results[row.index] = rejected.has(row.index)
+                            ? { index: row.index, id: row.id, status: 'error', error: rejected.get(row.index) }
+                            : { index: row.index, id: row.id, status: 'success' };
+                    });
+                } catch (error) {
+                    console.error('Error writing transaction batch:', error);
+                    batch.forEach(row => {
+                        results[row.index] = { index: row.index, id: row.id, status: 'error', error: error.message };
+                    });
+                }
+            }
+        } finally {
+            await session.close();
+        }
+
+        const succeeded = results.filter(result => result.status === 'success').length;
+
+        return {
+            total: transactionsData.length,
+            succeeded,
+            failed: transactionsData.length - succeeded,
+            results
+        };
+    }
+
+    /**
+     * Build the values a bulk record writes. A record for an existing transaction is merged
+     * into it as a partial update: the fields and parties the record leaves out keep their
+     * stored values, and it keeps its createdAt and, without a new one, its status.
+     * @param {Object} row - Validated batch row ({index, id, transactionData})
+     * @param {Object} existing - Stored transaction ({properties, parties}), if any
+     * @returns {Object} Batch row with the node properties and the parties to write
+     */
+    static buildBulkRow(row, existing) {
+        let transactionData = { ...row.transactionData, id: row.id };
+
+        if (existing) {
+            const { properties: stored, parties } = existing;
+            const current = { ...parseJSONProperties(stored, ['location']), ...parties };
+            transactionData = {
+                ...applyChanges(current, row.transactionData),
+                id: row.id,
+                createdAt: stored.createdAt,
+                status: row.transactionData.status || stored.status
+            };
+        }
+
+        return {
+            index: row.index,
+            id: row.id,
+            properties: this.buildProperties(transactionData),
+            fromUserId: transactionData.fromUserId || null,
+            toUserId: transactionData.toUserId || null
+        };
+    }
+
+    /**
+     * Find the rows of a bulk batch that change the status of an existing transaction
+     * in a way the lifecycle does not allow
+     * @param {Object} tx - Neo4j transaction
+     * @param {Array} rows - Batch rows ({index, id, properties})
+     * @returns {Map} Error message per rejected row index
+     */
+    static async findIllegalStatusChanges(tx, rows) {
+        const result = await tx.run(
+            `
+      UNWIND $ids AS id
+      MATCH (t:Transaction {id: id})
+      RETURN t.id AS id, t.status AS status
+      `,
+            { ids: rows.map(row => row.id) }
+        );
+
+        const storedStatuses = new Map(result.records.map(record => [record.get('id'), record.get('status')]));
+        const illegal = new Map();
+
+        rows.forEach(row => {
+            const stored = storedStatuses.get(row.id);
+            const { status } = row.properties;
+
+            if (stored !== undefined && stored !== status && !canTransition(stored, status)) {
+                illegal.set(row.index, transitionError(stored, status).message);
+            }
+        });
+
+        return illegal;
+    }
+
+    /**
+     * Check the refund, reversal or chargeback a single transaction records, and that its
+     * own amount still covers its adjustments
+     * @param {Object} tx - Neo4j transaction
+     * @param {Object} properties - Transaction node properties to be written
+     * @throws {Error} statusCode 400 when the adjustment is invalid
+     */
+    static async validateAdjustment(tx, properties) {
+        const invalid = await this.findInvalidAdjustments(tx, [{ index: 0, id: properties.id, properties }]);
+
+        if (invalid.has(0)) {
+            const error = new Error(invalid.get(0));
+            error.statusCode = 400;
+            throw error;
+        }
+    }
+
+    /**
+     * Find the rows whose refund, reversal or chargeback is invalid: the original must exist,
+     * be in the same currency and not be adjusted by the row itself (directly or through
+     * its own adjustments), and its active adjustments must not total more than its amount.
+     * Rows that are themselves adjusted must keep an amount and currency covering their
+     * adjustments.
+     * @param {Object} tx - Neo4j transaction
+     * @param {Array} rows - Rows to be written ({index, id, properties})
+     * @returns {Map} Error message per rejected row index
+     */
+    static async findInvalidAdjustments(tx, rows) {
+        const invalid = new Map();
+        const ids = rows.map(row => row.id);
+        const relationships = ADJUSTMENT_RELATIONSHIPS.join('|');
+
+        const adjustments = rows.filter(row => row.properties.parentTransactionId);
+        adjustments.forEach(row => {
+            const { parentTransactionId, parentRelationship } = row.properties;
+            if (parentTransactionId === row.id) {
+                invalid.set(row.index, 'A transaction cannot refund, reverse or charge back itself');
+            } else if (!ADJUSTMENT_RELATIONSHIPS.includes(parentRelationship)) {
+                invalid.set(row.index, `parentRelationship must be one of ${ADJUSTMENT_RELATIONSHIPS.join(', ')}`);
+            }
+        });
+
+        const parentsResult = await tx.run(
+            `
+      UNWIND $rows AS row
+      MATCH (parent:Transaction {id: row.parentTransactionId})
+      RETURN row.index AS index, parent.amount AS amount, parent.currency AS currency,
+             reduce(total = 0.0, amount IN [(adjustment:Transaction)-[:${relationships}]->(parent)
+                 WHERE NOT adjustment.id IN $ids AND NOT adjustment.status IN $inactiveStatuses
+                 | adjustment.amount] | total + amount) AS allocated,
+             EXISTS { MATCH (parent)-[:${relationships}*]->(:Transaction {id: row.id}) } AS circular
+      `,
+            {
+                rows: adjustments
+                    .filter(row => !invalid.has(row.index))
+                    .map(row => ({ index: row.index, id: row.id, parentTransactionId: row.properties.parentTransactionId })),
+                ids,
+                inactiveStatuses: INACTIVE_ADJUSTMENT_STATUSES
+            }
+        );
+        const parents = new Map(parentsResult.records.map(record => [record.get('index'), {
+            amount: record.get('amount'),
+            currency: record.get('currency'),
+            allocated: record.get('allocated'),
+            circular: record.get('circular')
+        }]));
+
+        // Originals written in the same batch are checked against their new amount and currency
+        const batchRows = new Map(rows.map(row => [row.id, row]));
+        const allocatedInBatch = new Map();
+
+        adjustments.forEach(row => {
+            if (invalid.has(row.index)) {
+                return;
             }
+
+            const { parentTransactionId, amount, currency } = row.properties;
+            const stored = parents.get(row.index);
+            const batchParent = batchRows.get(parentTransactionId);
+            if (!stored && !batchParent) {
+                invalid.set(row.index, `Parent transaction ${parentTransactionId} not found`);
+                return;
+            }
+
+            const parent = batchParent ? batchParent.properties : stored;
+            if (stored && stored.circular) {
+                invalid.set(row.index, `Transaction ${parentTransactionId} is already a refund, reversal or chargeback of this transaction`);
+            } else if (parent.currency !== currency) {
+                invalid.set(row.index, `Currency ${currency} does not match the ${parent.currency} of transaction ${parentTransactionId}`);
+            } else if (isActiveAdjustment(row.properties)) {
+                const total = (stored ? stored.allocated : 0) + (allocatedInBatch.get(parentTransactionId) || 0) + amount;
+                if (exceedsAmount(total, parent.amount)) {
+                    invalid.set(row.index, `Refunds, reversals and chargebacks of transaction ${parentTransactionId} would total ${total}, more than its amount of ${parent.amount}`);
+                    return;
+                }
+                allocatedInBatch.set(parentTransactionId, (allocatedInBatch.get(parentTransactionId) || 0) + amount);
+            }
+        });
+
+        // Originals must still cover the adjustments already stored against them
+        const originalsResult = await tx.run(
+            `
+      UNWIND $rows AS row
+      MATCH (t:Transaction {id: row.id})<-[:${relationships}]-(adjustment:Transaction)
+      WHERE NOT adjustment.id IN $ids AND NOT adjustment.status IN $inactiveStatuses
+      RETURN row.index AS index, sum(adjustment.amount) AS allocated, collect(DISTINCT adjustment.currency) AS currencies
+      `,
+            {
+                rows: rows.filter(row => !invalid.has(row.index)).map(row => ({ index: row.index, id: row.id })),
+                ids,
+                inactiveStatuses: INACTIVE_ADJUSTMENT_STATUSES
+            }
+        );
+
+        originalsResult.records.forEach(record => {
+            const row = rows.find(candidate => candidate.index === record.get('index'));
+            const { amount, currency } = row.properties;
+            const allocated = record.get('allocated') + (allocatedInBatch.get(row.id) || 0);
+
+            if (record.get('currencies').some(adjustmentCurrency => adjustmentCurrency !== currency)) {
+                invalid.set(row.index, `Currency cannot change to ${currency} while the transaction has refunds, reversals or chargebacks in another currency`);
+            } else if (exceedsAmount(allocated, amount)) {
+                invalid.set(row.index, `Amount ${amount} is less than the ${allocated} already refunded, reversed or charged back`);
+            }
+        });
+
+        return invalid;
+    }
+
+    /**
+     * Point the REFUND_OF, REVERSAL_OF or CHARGEBACK_OF relationship of written transactions
+     * at the transaction they adjust, removing relationships to a previous original
+     * @param {Object} tx - Neo4j transaction
+     * @param {Array} ids - IDs of the written transactions
+     */
+    static async syncAdjustmentRelationships(tx, ids) {
+        await tx.run(
+            `
+      UNWIND $ids AS id
+      MATCH (t:Transaction {id: id})-[r:${ADJUSTMENT_RELATIONSHIPS.join('|')}]->(parent:Transaction)
+      WHERE parent.id <> coalesce(t.parentTransactionId, '') OR type(r) <> coalesce(t.parentRelationship, '')
+      DELETE r
+      `,
+            { ids }
+        );
+
+        for (const relationship of ADJUSTMENT_RELATIONSHIPS) {
+            await tx.run(
+                `
+      UNWIND $ids AS id
+      MATCH (t:Transaction {id: id})
+      WHERE t.parentRelationship = $relationship
+      MATCH (parent:Transaction {id: t.parentTransactionId})
+      MERGE (t)-[:${relationship}]->(parent)
+      `,
+                { ids, relationship }
+            );
+        }
+    }
+
+    /**
+     * Get the chain of refunds, reversals and chargebacks a transaction belongs to: the
+     * original at its root and every adjustment below it, each with its net amount
+     * @param {string} id - ID of any transaction in the chain
+     * @returns {Object|null} Chain, or null if the transaction does not exist
+     */
+    static async getChain(id) {
+        const session = getSession();
+        const relationships = ADJUSTMENT_RELATIONSHIPS.join('|');
+        try {
+            const result = await session.run(
+                `
+      MATCH (t:Transaction {id: $id})
+      MATCH (t)-[:${relationships}*0..]->(root:Transaction)
+      WHERE NOT (root)-[:${relationships}]->(:Transaction)
+      WITH root LIMIT 1
+      MATCH path = (member:Transaction)-[:${relationships}*0..]->(root)
+      RETURN member, length(path) AS depth,
+             CASE WHEN length(path) > 0 THEN type(relationships(path)[0]) END AS relationship,
+             ${netAmountExpression('member')} AS netAmount
+      ORDER BY depth, member.timestamp
+      `,
+                { id }
+            );
+
+            if (result.records.length === 0) {
+                return null;
+            }
+
+            const transactions = result.records.map(record => ({
+                transaction: record.get('member').properties,
+                depth: record.get('depth').toNumber(),
+                relationship: record.get('relationship'),
+                netAmount: record.get('netAmount')
+            }));
+
+            return {
+                transactionId: id,
+                rootTransactionId: transactions[0].transaction.id,
+                netAmount: transactions[0].netAmount,
+                transactions
+            };
         } catch (error) {
-            console.error('Error creating transaction link relationships:', error);
+            console.error('Error fetching transaction chain:', error);
             throw error;
         } finally {
             await session.close();
@@ -180,22 +864,32 @@ class Transaction {
     }
 
     /**
-     * Get all transactions
+     * Get a page of transactions
      * @param {Object} filters - Optional filters
-     * @returns {Array} List of transactions
+     * @param {Object} options - Pagination options (limit, after, sortBy, sortOrder)
+     * @returns {Object} Transactions on the page and pagination details
      */
-    static async getAll(filters = {}) {
+    static async getAll(filters = {}, options = {}) {
         const session = getSession();
         try {
-            let query = 'MATCH (t:Transaction) ';
-
             // Add filters if provided
             const params = {};
             const filterConditions = [];
 
-            if (filters.status) {
-                filterConditions.push('t.status = $status');
-                params.status = filters.status;
+            // Status and currency accept a single value or a list of values. With statusAsOf
+            // the status is the one the transaction had at that time.
+            const statusFilter = buildStatusCondition('t', {
+                status: filters.status && [].concat(filters.status),
+                statusAsOf: filters.statusAsOf
+            });
+            if (statusFilter) {
+                filterConditions.push(statusFilter.condition);
+                Object.assign(params, statusFilter.params);
+            }
+
+            if (filters.currency) {
+                filterConditions.push('t.currency IN $currencies');
+                params.currencies = [].concat(filters.currency);
             }
 
             if (filters.minAmount) {
@@ -208,20 +902,84 @@ class Transaction {
                 params.maxAmount = parseFloat(filters.maxAmount);
             }
 
-            if (filters.currency) {
-                filterConditions.push('t.currency = $currency');
-                params.currency = filters.currency;
+            // Amounts converted into the base currency; transactions without a rate never match
+            if (filters.minAmountBase !== undefined) {
+                filterConditions.push('t.amountBase >= $minAmountBase');
+                params.minAmountBase = parseFloat(filters.minAmountBase);
+            }
+
+            if (filters.maxAmountBase !== undefined) {
+                filterConditions.push('t.amountBase <= $maxAmountBase');
+                params.maxAmountBase = parseFloat(filters.maxAmountBase);
+            }
+
+            // Timestamps are stored as normalized ISO strings, so they compare correctly as text
+            if (filters.fromTimestamp) {
+                filterConditions.push('t.timestamp >= $fromTimestamp');
+                params.fromTimestamp = new Date(filters.fromTimestamp).toISOString();
+            }
+
+            if (filters.toTimestamp) {
+                filterConditions.push('t.timestamp <= $toTimestamp');
+                params.toTimestamp = new Date(filters.toTimestamp).toISOString();
             }
 
-            if (filterConditions.length > 0) {
-                query += 'WHERE ' + filterConditions.join(' AND ') + ' ';
+            if (filters.fromUserId) {
+                filterConditions.push('EXISTS { MATCH (:User {id: $fromUserId})-[:SENT_MONEY]->(t) }');
+                params.fromUserId = filters.fromUserId;
             }
 
-            query += 'RETURN t ORDER BY t.timestamp DESC';
+            if (filters.toUserId) {
+                filterConditions.push('EXISTS { MATCH (t)-[:RECEIVED_BY]->(:User {id: $toUserId}) }');
+                params.toUserId = filters.toUserId;
+            }
+
+            if (filters.userId) {
+                filterConditions.push('EXISTS { MATCH (t)-[:SENT_MONEY|RECEIVED_BY]-(:User {id: $userId}) }');
+                params.userId = filters.userId;
+            }
+
+            if (filters.ipAddress) {
+                filterConditions.push('t.normalizedIpAddress = $ipAddress');
+                params.ipAddress = normalizeIp(filters.ipAddress);
+            }
+
+            if (filters.deviceId) {
+                filterConditions.push('t.deviceId = $deviceId');
+                params.deviceId = filters.deviceId;
+            }
+
+            if (filters.description) {
+                filterConditions.push('t.normalizedDescription CONTAINS $description');
+                params.description = filters.description.toLowerCase();
+            }
+
+            const page = buildPageQuery('t', TRANSACTION_SORT_FIELDS, {
+                ...options,
+                sortBy: options.sortBy || 'timestamp'
+            });
+
+            const pageConditions = page.cursorCondition
+                ? [...filterConditions, page.cursorCondition]
+                : filterConditions;
+
+            const result = await session.run(
+                `MATCH (t:Transaction) ${buildWhereClause(pageConditions)}` +
+                `RETURN t, ${page.sortExpression} AS sortValue ${page.orderBy} ${page.limitClause}`,
+                { ...params, ...page.params }
+            );
+
+            const countResult = await session.run(
+                `MATCH (t:Transaction) ${buildWhereClause(filterConditions)}RETURN count(t) AS totalCount`,
+                params
+            );
 
-            const result = await session.run(query, params);
+            const rows = result.records.map(record => ({
+                item: record.get('t').properties,
+                sortValue: record.get('sortValue')
+            }));
 
-            return result.records.map(record => record.get('t').properties);
+            return buildPage(rows, page, countResult.records[0].get('totalCount').toNumber());
         } catch (error) {
             console.error('Error fetching transactions:', error);
             throw error;
@@ -1,58 +1,88 @@
+const neo4j = require('neo4j-driver');
 const { getSession } = require('../db/neo4jConnection');
 const { v4: uuidv4 } = require('uuid');
+const { validateValue } = require('../validation/validate');
+const { userSchema } = require('../validation/userSchemas');
+const { buildWhereClause, buildPageQuery, buildPage } = require('../utils/paginationUtils');
+const { tokenize, buildLuceneQuery, highlight } = require('../utils/searchUtils');
+const { applyChanges, parseJSONProperties, pickProperties } = require('../utils/updateUtils');
+const { fingerprintPaymentMethod } = require('../utils/paymentMethodUtils');
+const { normalizeEmail, normalizePhone, normalizeAddress } = require('../utils/normalizationUtils');
+const {
+    FUZZY_MATCHING_ENABLED,
+    FUZZY_CANDIDATE_LIMIT,
+    FUZZY_ATTRIBUTES,
+    findSimilar
+} = require('../utils/fuzzyMatchUtils');
+const { COMMUNITY_PROPERTIES } = require('../utils/communityUtils');
+const { CENTRALITY_PROPERTIES } = require('../utils/centralityUtils');
+const PaymentMethod = require('./paymentMethodModel');
+const LinkRule = require('./linkRuleModel');
+
+const DEFAULT_BATCH_SIZE = 500;
+
+// Fields covered by the user_search full-text index
+const SEARCH_FIELDS = ['name', 'email', 'phone', 'address'];
+
+// Sortable fields and the value used in place of a missing property
+const USER_SORT_FIELDS = {
+    createdAt: "''",
+    updatedAt: "''",
+    name: "''",
+    email: "''"
+};
 
 /**
  * User model for interacting with user nodes in Neo4j
  */
 class User {
     /**
-     * Create or update a user
+     * Create or update a user. The node and its relationships are written in one
+     * transaction, which is rolled back on error and retried on transient errors.
      * @param {Object} userData - User data
      * @returns {Object} Created/updated user
      */
     static async createOrUpdate(userData) {
         const session = getSession();
         try {
-            const id = userData.id || uuidv4();
+            return await session.executeWrite(async tx => {
+                // Existing users go through update so that stale shared-attribute links are removed
+                const existing = userData.id ? await this.findForUpdate(tx, userData.id) : null;
+                if (existing) {
+                    return this.applyUpdate(tx, existing, userData, { partial: true });
+                }
 
-            // Extract shared attributes for relationship detection
-            const { email, phone, address, paymentMethods } = userData;
+                const baseProperties = this.buildProperties(userData);
+                const { id } = baseProperties;
 
-            // Base properties that all users have
-            const baseProperties = {
-                id,
-                name: userData.name,
-                createdAt: userData.createdAt || new Date().toISOString(),
-                updatedAt: new Date().toISOString()
-            };
-
-            // Add optional properties if they exist
-            if (email) baseProperties.email = email;
-            if (phone) baseProperties.phone = phone;
-            if (address) baseProperties.address = JSON.stringify(address);
-            if (paymentMethods) baseProperties.paymentMethods = JSON.stringify(paymentMethods);
+                // Merge (create or update) the user node
+                const result = await tx.run(
+                    `
+          MERGE (u:User {id: $id})
+          ON CREATE SET u = $properties
+          ON MATCH SET u += $updateProperties
+          RETURN u
+          `,
+                    {
+                        id,
+                        properties: baseProperties,
+                        updateProperties: { ...baseProperties, updatedAt: new Date().toISOString() }
+                    }
+                );
 
-            // Merge (create or update) the user node
-            const result = await session.run(
-                `
-        MERGE (u:User {id: $id})
-        ON CREATE SET u = $properties
-        ON MATCH SET u += $updateProperties
-        RETURN u
-        `,
-                {
-                    id,
-                    properties: baseProperties,
-                    updateProperties: { ...baseProperties, updatedAt: new Date().toISOString() }
+                // Create relationships with other users from the link rules
+                await LinkRule.applyRules(tx, 'user', [id]);
+                if (FUZZY_MATCHING_ENABLED) {
+                    await this.createSimilarityRelationships(tx, id, baseProperties);
                 }
-            );
 
-            // Create relationships with other users based on shared attributes
-            await this.createSharedAttributeRelationships(id, userData);
-
-            const user = result.records[0].get('u').properties;
+                // Link the user to the payment instruments it uses
+                if (userData.paymentMethods) {
+                    await PaymentMethod.syncUser(tx, id, userData.paymentMethods);
+                }
 
-            return user;
+                return result.records[0].get('u').properties;
+            });
         } catch (error) {
             console.error('Error creating/updating user:', error);
             throw error;
@@ -62,114 +92,379 @@ class User {
     }
 
     /**
-     * Create relationships between users based on shared attributes
-     * @param {string} userId - User ID
-     * @param {Object} userData - User data with potential shared attributes
+     * Update an existing user and keep its shared-attribute relationships in sync,
+     * in one transaction
+     * @param {string} id - User ID
+     * @param {Object} changes - New user data
+     * @param {Object} options - Update options
+     * @param {boolean} options.partial - Merge the changes into the stored user (PATCH);
+     *                                    otherwise the changes replace it (PUT)
+     * @returns {Object|null} Updated user, or null if the user does not exist
      */
-    static async createSharedAttributeRelationships(userId, userData) {
+    static async update(id, changes, options = {}) {
         const session = getSession();
         try {
-            // Create relationships based on shared email
-            if (userData.email) {
-                await session.run(
-                    `
-          MATCH (u1:User {id: $userId})
-          MATCH (u2:User)
-          WHERE u2.email = $email AND u2.id <> $userId
-          MERGE (u1)-[r:SHARES_EMAIL {email: $email}]->(u2)
-          RETURN r
-          `,
-                    { userId, email: userData.email }
-                );
-            }
+            return await session.executeWrite(async tx => {
+                const existing = await this.findForUpdate(tx, id);
+                if (!existing) {
+                    return null;
+                }
 
-            // Create relationships based on shared phone
-            if (userData.phone) {
-                await session.run(
-                    `
-          MATCH (u1:User {id: $userId})
-          MATCH (u2:User)
-          WHERE u2.phone = $phone AND u2.id <> $userId
-          MERGE (u1)-[r:SHARES_PHONE {phone: $phone}]->(u2)
-          RETURN r
-          `,
-                    { userId, phone: userData.phone }
-                );
+                return this.applyUpdate(tx, existing, changes, options);
+            });
+        } catch (error) {
+            console.error('Error updating user:', error);
+            throw error;
+        } finally {
+            await session.close();
+        }
+    }
+
+    /**
+     * Read a user inside a write transaction
+     * @param {Object} tx - Neo4j transaction
+     * @param {string} id - User ID
+     * @returns {Object|null} User properties, or null if the user does not exist
+     */
+    static async findForUpdate(tx, id) {
+        const result = await tx.run('MATCH (u:User {id: $id}) RETURN u', { id });
+        return result.records.length > 0 ? result.records[0].get('u').properties : null;
+    }
+
+    /**
+     * Read the users of a bulk batch that already exist inside a write transaction
+     * @param {Object} tx - Neo4j transaction
+     * @param {Array} ids - User IDs
+     * @returns {Map} Stored properties per existing user ID
+     */
+    static async findManyForUpdate(tx, ids) {
+        const result = await tx.run(
+            `
+      UNWIND $ids AS id
+      MATCH (u:User {id: id})
+      RETURN u
+      `,
+            { ids }
+        );
+
+        return new Map(result.records.map(record => {
+            const { properties } = record.get('u');
+            return [properties.id, properties];
+        }));
+    }
+
+    /**
+     * Write an update to a user and replace its stale shared-attribute relationships
+     * @param {Object} tx - Neo4j transaction
+     * @param {Object} existing - Stored user properties
+     * @param {Object} changes - New user data
+     * @param {Object} options - Update options (partial)
+     * @returns {Object} Updated user
+     */
+    static async applyUpdate(tx, existing, changes, options = {}) {
+        const { id } = existing;
+        const current = parseJSONProperties(existing, ['address', 'paymentMethods']);
+        const userData = {
+            ...(options.partial ? applyChanges(current, changes) : changes),
+            id,
+            createdAt: existing.createdAt
+        };
+        const properties = {
+            ...this.buildProperties(userData),
+            // The user keeps its community and centrality until the next runs
+            ...pickProperties(existing, [...COMMUNITY_PROPERTIES, ...CENTRALITY_PROPERTIES])
+        };
+
+        const result = await tx.run(
+            'MATCH (u:User {id: $id}) SET u = $properties RETURN u',
+            { id, properties }
+        );
+
+        // Remove links the rules no longer support, in both directions, then link the
+        // user to everyone matching the new values
+        await LinkRule.removeStaleLinks(tx, 'user', [id]);
+        await LinkRule.applyRules(tx, 'user', [id]);
+        if (FUZZY_MATCHING_ENABLED) {
+            await this.createSimilarityRelationships(tx, id, properties, existing);
+        }
+        await PaymentMethod.syncUser(tx, id, userData.paymentMethods);
+
+        return result.records[0].get('u').properties;
+    }
+
+    /**
+     * Build the node properties stored for a user
+     * @param {Object} userData - User data
+     * @returns {Object} User node properties
+     */
+    static buildProperties(userData) {
+        const id = userData.id || uuidv4();
+
+        // Extract shared attributes for relationship detection
+        const { email, phone, address, paymentMethods } = userData;
+
+        // Base properties that all users have
+        const baseProperties = {
+            id,
+            name: userData.name,
+            createdAt: userData.createdAt || new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+
+        // Add optional properties if they exist. The values as entered are kept for display;
+        // link detection compares the normalized copies.
+        if (email) {
+            baseProperties.email = email;
+            baseProperties.normalizedEmail = normalizeEmail(email);
+        }
+        if (phone) {
+            baseProperties.phone = phone;
+            baseProperties.normalizedPhone = normalizePhone(phone);
+        }
+        if (address) {
+            baseProperties.address = JSON.stringify(address);
+            baseProperties.normalizedAddress = normalizeAddress(address);
+        }
+        if (paymentMethods) {
+            // Stored with fingerprints so clients can look up the PaymentMethod node
+            baseProperties.paymentMethods = JSON.stringify(paymentMethods.map(method => ({
+                ...method,
+                fingerprint: fingerprintPaymentMethod(method)
+            })));
+        }
+
+        return baseProperties;
+    }
+
+    /**
+     * Create or update many users using batched UNWIND statements
+     * @param {Array} usersData - List of user data objects
+     * @param {Object} options - Bulk options
+     * @param {number} options.batchSize - Number of users written per statement
+     * @param {boolean} options.dryRun - Only validate the records without writing them
+     * @returns {Object} Report with the outcome of every record
+     */
+    static async bulkCreateOrUpdate(usersData, options = {}) {
+        const batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+        const results = [];
+        const validRows = [];
+
+        // Validate every record up front so bad rows never reach the database
+        usersData.forEach((record, index) => {
+            const { value: userData, errors } = validateValue(userSchema, record, 'record');
+
+            if (errors.length > 0) {
+                results[index] = {
+                    index,
+                    id: (record && record.id) || null,
+                    status: 'error',
+                    error: errors.map(error => error.message).join('; ')
+                };
+                return;
             }
 
-            // Create relationships based on shared address
-            if (userData.address) {
-                const addressStr = JSON.stringify(userData.address);
-                await session.run(
-                    `
-          MATCH (u1:User {id: $userId})
-          MATCH (u2:User)
-          WHERE u2.address = $address AND u2.id <> $userId
-          MERGE (u1)-[r:SHARES_ADDRESS {address: $address}]->(u2)
-          RETURN r
+            const properties = this.buildProperties(userData);
+
+            validRows.push({ index, id: properties.id, properties, paymentMethods: userData.paymentMethods });
+        });
+
+        if (options.dryRun) {
+            validRows.forEach(row => {
+                results[row.index] = { index: row.index, id: row.id, status: 'valid' };
+            });
+
+            return {
+                total: usersData.length,
+                succeeded: validRows.length,
+                failed: usersData.length - validRows.length,
+                dryRun: true,
+                results
+            };
+        }
+
+        const session = getSession();
+        try {
+            for (let start = 0; start < validRows.length; start += batchSize) {
+                const batch = validRows.slice(start, start + batchSize);
+
+                try {
+                    await session.executeWrite(async tx => {
+                        // Users that already exist are updated and may lose links, as in applyUpdate;
+                        // they keep the createdAt they were stored with
+                        const existing = await this.findManyForUpdate(tx, batch.map(row => row.id));
+                        const rows = batch.map(row => {
+                            const previous = existing.get(row.id);
+                            return previous && previous.createdAt
+                                ? { ...row, properties: { ...row.properties, createdAt: previous.createdAt } }
+                                : row;
+                        });
+
+                        await tx.run(
+                            `
+          UNWIND $rows AS row
+          MERGE (u:User {id: row.id})
+          ON CREATE SET u = row.properties
+          ON MATCH SET u += row.properties
           `,
-                    { userId, address: addressStr }
-                );
-            }
+                            { rows }
+                        );
+
+                        await LinkRule.removeStaleLinks(tx, 'user', [...existing.keys()]);
+                        await LinkRule.applyRules(tx, 'user', batch.map(row => row.id));
+                        if (FUZZY_MATCHING_ENABLED) {
+                            for (const row of batch) {
+                                const previous = existing.get(row.id);
+                                await this.createSimilarityRelationships(
+                                    tx,
+                                    row.id,
+                                    previous ? { ...previous, ...row.properties } : row.properties,
+                                    previous
+                                );
+                            }
+                        }
+
+                        // Records without paymentMethods keep the instruments they are linked to
+                        await PaymentMethod.syncUsers(tx, batch.filter(row => row.paymentMethods));
+                    });
 
-            // Create relationships based on shared payment methods
-            if (userData.paymentMethods && userData.paymentMethods.length > 0) {
-                for (const method of userData.paymentMethods) {
-                    const paymentMethodStr = JSON.stringify(method);
-                    await session.run(
-                        `
-            MATCH (u1:User {id: $userId})
-            MATCH (u2:User)
-            WHERE u2.id <> $userId AND 
-                  ANY(pm IN u2.paymentMethods WHERE pm = $paymentMethod)
-            MERGE (u1)-[r:SHARES_PAYMENT_METHOD {paymentMethod: $paymentMethod}]->(u2)
-            RETURN r
-            `,
-                        { userId, paymentMethod: paymentMethodStr }
-                    );
+                    batch.forEach(row => {
+                        results[row.index] = { index: row.index, id: row.id, status: 'success' };
+                    });
+                } catch (error) {
+                    console.error('Error writing user batch:', error);
+                    batch.forEach(row => {
+                        results[row.index] = { index: row.index, id: row.id, status: 'error', error: error.message };
+                    });
                 }
             }
-        } catch (error) {
-            console.error('Error creating shared attribute relationships:', error);
-            throw error;
         } finally {
             await session.close();
         }
+
+        const succeeded = results.filter(result => result.status === 'success').length;
+
+        return {
+            total: usersData.length,
+            succeeded,
+            failed: usersData.length - succeeded,
+            results
+        };
     }
 
     /**
-     * Get all users
+     * Link a user to users with similar names and addresses. Candidates come from the
+     * user_search full-text index and are scored in JS; pairs scoring at least the
+     * attribute's threshold get a SIMILAR_NAME/SIMILAR_ADDRESS relationship carrying
+     * the score and the threshold. Like rule links, there is one edge per pair,
+     * pointing from the user with the lower id.
+     * @param {Object} tx - Neo4j transaction
+     * @param {string} userId - User ID
+     * @param {Object} properties - Stored user properties
+     * @param {Object} previous - Properties before an update; unchanged attributes are skipped
+     */
+    static async createSimilarityRelationships(tx, userId, properties, previous = null) {
+        for (const attribute of FUZZY_ATTRIBUTES) {
+            const { field, relationship, threshold } = attribute;
+            const value = properties[field];
+            if (previous && previous[field] === value) continue;
+
+            // Scores computed for the old value no longer apply
+            await tx.run(
+                `
+      MATCH (u:User {id: $userId})-[r:${relationship}]-(:User)
+      DELETE r
+      `,
+                { userId }
+            );
+
+            const terms = value ? tokenize(attribute.toText(value)) : [];
+            if (terms.length === 0) continue;
+
+            const result = await tx.run(
+                `
+      CALL db.index.fulltext.queryNodes('user_search', $query) YIELD node
+      WHERE node.id <> $userId AND node.${field} IS NOT NULL
+      RETURN node.id AS id, node.${field} AS value
+      LIMIT $limit
+      `,
+                {
+                    userId,
+                    query: buildLuceneQuery(terms, { fuzzy: true, anyTerm: true }),
+                    limit: neo4j.int(FUZZY_CANDIDATE_LIMIT)
+                }
+            );
+
+            const matches = findSimilar(attribute, value, result.records.map(record => ({
+                id: record.get('id'),
+                value: record.get('value')
+            })));
+            if (matches.length === 0) continue;
+
+            await tx.run(
+                `
+      MATCH (u1:User {id: $userId})
+      UNWIND $matches AS similar
+      MATCH (u2:User {id: similar.id})
+      WITH similar,
+        CASE WHEN u1.id < u2.id THEN u1 ELSE u2 END AS source,
+        CASE WHEN u1.id < u2.id THEN u2 ELSE u1 END AS target
+      MERGE (source)-[r:${relationship}]->(target)
+      SET r.score = similar.score, r.threshold = $threshold
+      `,
+                { userId, matches, threshold }
+            );
+        }
+    }
+
+    /**
+     * Get a page of users
      * @param {Object} filters - Optional filters
-     * @returns {Array} List of users
+     * @param {Object} options - Pagination options (limit, after, sortBy, sortOrder)
+     * @returns {Object} Users on the page and pagination details
      */
-    static async getAll(filters = {}) {
+    static async getAll(filters = {}, options = {}) {
         const session = getSession();
         try {
-            let query = 'MATCH (u:User) ';
-
             // Add filters if provided
             const params = {};
             const filterConditions = [];
 
             if (filters.email) {
-                filterConditions.push('u.email = $email');
-                params.email = filters.email;
+                filterConditions.push('u.normalizedEmail = $email');
+                params.email = normalizeEmail(filters.email);
             }
 
             if (filters.phone) {
-                filterConditions.push('u.phone = $phone');
-                params.phone = filters.phone;
+                filterConditions.push('u.normalizedPhone = $phone');
+                params.phone = normalizePhone(filters.phone);
             }
 
-            if (filterConditions.length > 0) {
-                query += 'WHERE ' + filterConditions.join(' AND ') + ' ';
-            }
+            const page = buildPageQuery('u', USER_SORT_FIELDS, {
+                ...options,
+                sortBy: options.sortBy || 'createdAt'
+            });
+
+            const pageConditions = page.cursorCondition
+                ? [...filterConditions, page.cursorCondition]
+                : filterConditions;
 
-            query += 'RETURN u ORDER BY u.createdAt DESC';
+            const result = await session.run(
+                `MATCH (u:User) ${buildWhereClause(pageConditions)}` +
+                `RETURN u, ${page.sortExpression} AS sortValue ${page.orderBy} ${page.limitClause}`,
+                { ...params, ...page.params }
+            );
+
+            const countResult = await session.run(
+                `MATCH (u:User) ${buildWhereClause(filterConditions)}RETURN count(u) AS totalCount`,
+                params
+            );
 
-            const result = await session.run(query, params);
+            const rows = result.records.map(record => ({
+                item: record.get('u').properties,
+                sortValue: record.get('sortValue')
+            }));
 
-            return result.records.map(record => record.get('u').properties);
+            return buildPage(rows, page, countResult.records[0].get('totalCount').toNumber());
         } catch (error) {
             console.error('Error fetching users:', error);
             throw error;
@@ -178,6 +473,75 @@ class User {
         }
     }
 
+    /**
+     * Search users by name, email, phone and address
+     * @param {string} text - Search text
+     * @param {Object} options - Search options
+     * @param {number} options.limit - Maximum number of results
+     * @param {boolean} options.fuzzy - Tolerate typos
+     * @param {boolean} options.prefix - Match words that start with a search term
+     * @returns {Array} Ranked results with the matched fields highlighted
+     */
+    static async search(text, options = {}) {
+        const terms = tokenize(text);
+        if (terms.length === 0) {
+            return [];
+        }
+
+        const matchOptions = { fuzzy: options.fuzzy !== false, prefix: options.prefix !== false };
+
+        const session = getSession();
+        try {
+            const result = await session.run(
+                `
+        CALL db.index.fulltext.queryNodes('user_search', $query) YIELD node, score
+        RETURN node AS u, score
+        ORDER BY score DESC
+        LIMIT $limit
+        `,
+                {
+                    query: buildLuceneQuery(terms, matchOptions),
+                    limit: neo4j.int(options.limit || 20)
+                }
+            );
+
+            return result.records.map(record => {
+                const user = record.get('u').properties;
+
+                const matches = [];
+                SEARCH_FIELDS.forEach(field => {
+                    if (!user[field]) return;
+
+                    // Show address values rather than the stored JSON
+                    let value = user[field];
+                    if (field === 'address') {
+                        try {
+                            value = Object.values(JSON.parse(value)).join(', ');
+                        } catch (error) {
+                            // Keep the raw value if it is not JSON
+                        }
+                    }
+
+                    const segments = highlight(value, terms, matchOptions);
+                    if (segments) {
+                        matches.push({ field, value, highlight: segments });
+                    }
+                });
+
+                return {
+                    user,
+                    score: record.get('score'),
+                    matches
+                };
+            });
+        } catch (error) {
+            console.error('Error searching users:', error);
+            throw error;
+        } finally {
+            await session.close();
+        }
+    }
+
     /**
      * Get a user by ID
      * @param {string} id - User ID
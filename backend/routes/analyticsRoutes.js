@@ -1,36 +1,38 @@
 const express = require('express');
 const { findShortestPath, clusterTransactions } = require('../utils/graphAnalyticsUtils');
+const { traceMoneyTrail, findTransferCycles } = require('../utils/moneyTrailUtils');
+const { parseDuration } = require('../utils/linkRuleUtils');
+const { detectUserCommunities, getCommunities } = require('../utils/communityUtils');
+const { computeCentrality, getCentrality } = require('../utils/centralityUtils');
+const { startJob, getRunningJob } = require('../utils/jobUtils');
+const { validate } = require('../validation/validate');
+const {
+    shortestPathQuerySchema,
+    transactionClustersQuerySchema,
+    moneyTrailQuerySchema,
+    cyclesQuerySchema,
+    detectCommunitiesBodySchema,
+    communitiesQuerySchema,
+    computeCentralityBodySchema,
+    centralityQuerySchema
+} = require('../validation/analyticsSchemas');
 
 const router = express.Router();
 
+const COMMUNITY_JOB = 'detect-communities';
+const CENTRALITY_JOB = 'compute-centrality';
+
 /**
  * GET /analytics/shortestPath
- * Find the shortest path between two users
+ * Find the shortest path, every shortest path or the k shortest paths between two users,
+ * optionally restricted to relationship types, a direction and the node types passed through
  */
-router.get('/shortestPath', async (req, res) => {
+router.get('/shortestPath', validate({ query: shortestPathQuerySchema }), async (req, res) => {
     try {
-        const { sourceUserId, targetUserId, maxDepth } = req.query;
-
-        // Validate required parameters
-        if (!sourceUserId || !targetUserId) {
-            return res.status(400).json({
-                error: 'Missing required parameters',
-                requiredParams: ['sourceUserId', 'targetUserId']
-            });
-        }
-
-        // Parse maxDepth if provided
-        const parsedMaxDepth = maxDepth ? parseInt(maxDepth, 10) : 5;
-
-        // Validate maxDepth is a positive integer
-        if (isNaN(parsedMaxDepth) || parsedMaxDepth <= 0) {
-            return res.status(400).json({
-                error: 'maxDepth must be a positive integer'
-            });
-        }
+        const { sourceUserId, targetUserId, maxDepth, ...options } = req.query;
 
         // Find shortest path
-        const pathResult = await findShortestPath(sourceUserId, targetUserId, parsedMaxDepth);
+        const pathResult = await findShortestPath(sourceUserId, targetUserId, maxDepth, options);
 
         res.status(200).json(pathResult);
     } catch (error) {
@@ -44,34 +46,16 @@ router.get('/shortestPath', async (req, res) => {
  * GET /analytics/transactionClusters
  * Find clusters of transactions based on shared attributes
  */
-router.get('/transactionClusters', async (req, res) => {
+router.get('/transactionClusters', validate({ query: transactionClustersQuerySchema }), async (req, res) => {
     try {
         const { attribute, minClusterSize } = req.query;
 
-        // Validate required parameters
-        if (!attribute) {
-            return res.status(400).json({
-                error: 'Missing required parameter: attribute',
-                validAttributes: ['ip', 'deviceId', 'accountNumber', 'beneficiaryAccount', 'location']
-            });
-        }
-
-        // Parse minClusterSize if provided
-        const parsedMinSize = minClusterSize ? parseInt(minClusterSize, 10) : 2;
-
-        // Validate minClusterSize is a positive integer
-        if (isNaN(parsedMinSize) || parsedMinSize <= 0) {
-            return res.status(400).json({
-                error: 'minClusterSize must be a positive integer'
-            });
-        }
-
         // Get transaction clusters
-        const clusters = await clusterTransactions(attribute, parsedMinSize);
+        const clusters = await clusterTransactions(attribute, minClusterSize);
 
         res.status(200).json({
             attribute,
-            minClusterSize: parsedMinSize,
+            minClusterSize,
             clusterCount: clusters.length,
             clusters
         });
@@ -81,4 +65,138 @@ router.get('/transactionClusters', async (req, res) => {
     }
 });
 
+/**
+ * GET /analytics/moneyTrail
+ * Follow the money from a user or a transaction to every downstream recipient, along
+ * directed transfers where each hop happens after the previous one
+ */
+router.get('/moneyTrail', validate({ query: moneyTrailQuerySchema }), async (req, res) => {
+    try {
+        const { userId, transactionId, maxHops, fromTimestamp, toTimestamp } = req.query;
+
+        const trail = await traceMoneyTrail(
+            userId ? { userId } : { transactionId },
+            { maxHops, fromTimestamp, toTimestamp }
+        );
+
+        if (!trail) {
+            return res.status(404).json({ error: userId ? 'User not found' : 'Transaction not found' });
+        }
+
+        res.status(200).json(trail);
+    } catch (error) {
+        console.error('Error tracing money trail:', error);
+        res.status(500).json({ error: 'Failed to trace money trail', details: error.message });
+    }
+});
+
+/**
+ * GET /analytics/cycles
+ * Find money that left a user and came back through intermediaries, as time-ordered
+ * TRANSFERRED_TO cycles
+ */
+router.get('/cycles', validate({ query: cyclesQuerySchema }), async (req, res) => {
+    try {
+        const { userId, maxLength, window, minAmount, limit } = req.query;
+
+        const cycles = await findTransferCycles({
+            userId,
+            maxLength,
+            windowSeconds: window ? parseDuration(window) : undefined,
+            minAmount,
+            limit
+        });
+
+        res.status(200).json({
+            maxLength,
+            window: window || null,
+            cycleCount: cycles.length,
+            cycles
+        });
+    } catch (error) {
+        console.error('Error finding transfer cycles:', error);
+        res.status(500).json({ error: 'Failed to find transfer cycles', details: error.message });
+    }
+});
+
+/**
+ * POST /analytics/communities/detect
+ * Start a background job that detects communities of users and stores them on the User
+ * nodes. Responds with the job; poll GET /maintenance/jobs/:id for progress and the report.
+ */
+router.post('/communities/detect', validate({ body: detectCommunitiesBodySchema }), (req, res) => {
+    try {
+        const running = getRunningJob(COMMUNITY_JOB);
+        if (running) {
+            return res.status(409).json({ error: 'Community detection is already running', job: running });
+        }
+
+        const { relationshipTypes, weights, batchSize } = req.body;
+        const job = startJob(COMMUNITY_JOB, onProgress =>
+            detectUserCommunities({ relationshipTypes, weights, batchSize, onProgress }));
+
+        res.status(202).json(job);
+    } catch (error) {
+        console.error('Error starting community detection:', error);
+        res.status(500).json({ error: 'Failed to start community detection', details: error.message });
+    }
+});
+
+/**
+ * GET /analytics/communities
+ * List the stored communities, largest first, with their internal transfer volume and
+ * most central members
+ */
+router.get('/communities', validate({ query: communitiesQuerySchema }), async (req, res) => {
+    try {
+        const { minSize, limit, topMembers } = req.query;
+
+        const communities = await getCommunities({ minSize, limit, topMembers });
+        res.status(200).json(communities);
+    } catch (error) {
+        console.error('Error fetching communities:', error);
+        res.status(500).json({ error: 'Failed to fetch communities', details: error.message });
+    }
+});
+
+/**
+ * POST /analytics/centrality/compute
+ * Start a background job that computes degree, amount, PageRank and betweenness centrality
+ * of users and transactions and stores them on the nodes. Responds with the job; poll
+ * GET /maintenance/jobs/:id for progress and the report.
+ */
+router.post('/centrality/compute', validate({ body: computeCentralityBodySchema }), (req, res) => {
+    try {
+        const running = getRunningJob(CENTRALITY_JOB);
+        if (running) {
+            return res.status(409).json({ error: 'Centrality computation is already running', job: running });
+        }
+
+        const { relationshipTypes, betweennessSources, batchSize } = req.body;
+        const job = startJob(CENTRALITY_JOB, onProgress =>
+            computeCentrality({ relationshipTypes, betweennessSources, batchSize, onProgress }));
+
+        res.status(202).json(job);
+    } catch (error) {
+        console.error('Error starting centrality computation:', error);
+        res.status(500).json({ error: 'Failed to start centrality computation', details: error.message });
+    }
+});
+
+/**
+ * GET /analytics/centrality
+ * Rank users and transactions by a stored centrality metric
+ */
+router.get('/centrality', validate({ query: centralityQuerySchema }), async (req, res) => {
+    try {
+        const { metric, nodeType, limit } = req.query;
+
+        const centrality = await getCentrality({ metric, nodeType, limit });
+        res.status(200).json(centrality);
+    } catch (error) {
+        console.error('Error fetching centrality:', error);
+        res.status(500).json({ error: 'Failed to fetch centrality', details: error.message });
+    }
+});
+
 module.exports = router;
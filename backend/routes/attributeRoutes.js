@@ -0,0 +1,55 @@
+const express = require('express');
+const TransactionAttribute = require('../models/transactionAttributeModel');
+const { validate } = require('../validation/validate');
+const { attributeParamsSchema, attributeTransactionsQuerySchema } = require('../validation/attributeSchemas');
+
+const router = express.Router();
+
+/**
+ * GET /attributes/:type/:value/users
+ * List every user who sent transactions from a device, IP address or location.
+ * type is device, ipAddress or location; a location is identified by its key.
+ */
+router.get('/:type/:value/users', validate({ params: attributeParamsSchema }), async (req, res) => {
+    try {
+        const { type, value } = req.params;
+
+        const result = await TransactionAttribute.getUsers(type, value);
+
+        if (!result) {
+            return res.status(404).json({ error: 'Attribute value not found' });
+        }
+
+        res.status(200).json(result);
+    } catch (error) {
+        console.error('Error fetching attribute users:', error);
+        res.status(500).json({ error: 'Failed to fetch attribute users' });
+    }
+});
+
+/**
+ * GET /attributes/:type/:value/transactions
+ * List the most recent transactions made from a device, IP address or location
+ */
+router.get(
+    '/:type/:value/transactions',
+    validate({ params: attributeParamsSchema, query: attributeTransactionsQuerySchema }),
+    async (req, res) => {
+        try {
+            const { type, value } = req.params;
+
+            const result = await TransactionAttribute.getTransactions(type, value, { limit: req.query.limit });
+
+            if (!result) {
+                return res.status(404).json({ error: 'Attribute value not found' });
+            }
+
+            res.status(200).json(result);
+        } catch (error) {
+            console.error('Error fetching attribute transactions:', error);
+            res.status(500).json({ error: 'Failed to fetch attribute transactions' });
+        }
+    }
+);
+
+module.exports = router;
@@ -3,6 +3,8 @@ const {
     exportFullGraph,
     saveExportToFile
 } = require('../utils/exportUtils');
+const { validate } = require('../validation/validate');
+const { exportGraphQuerySchema } = require('../validation/exportSchemas');
 
 const router = express.Router();
 
@@ -10,21 +12,14 @@ const router = express.Router();
  * GET /export/graph
  * Export the full graph (users, transactions, relationships) in the specified format
  */
-router.get('/graph', async (req, res) => {
+router.get('/graph', validate({ query: exportGraphQuerySchema }), async (req, res) => {
     try {
-        const format = req.query.format?.toLowerCase() || 'json';
+        const { format, status, statusAsOf, amounts } = req.query;
 
-        // Validate format
-        if (!['json', 'csv'].includes(format)) {
-            return res.status(400).json({
-                error: 'Invalid format. Supported formats: json, csv'
-            });
-        }
-
-        const result = await exportFullGraph(format);
+        const result = await exportFullGraph(format, { status, statusAsOf }, { amounts });
 
         // Handle file download if requested
-        if (req.query.download === 'true') {
+        if (req.query.download) {
             const fileResult = await saveExportToFile(result, 'full_graph', 'exports');
 
             // Send file download info
@@ -0,0 +1,31 @@
+const express = require('express');
+const FxRate = require('../models/fxRateModel');
+const { validate } = require('../validation/validate');
+const { fxRateListQuerySchema } = require('../validation/fxRateSchemas');
+
+const router = express.Router();
+
+/**
+ * GET /fxRates
+ * List the loaded rates against a base currency (the configured base currency by default),
+ * filtered by currency and date range, with keyset pagination
+ */
+router.get('/', validate({ query: fxRateListQuerySchema }), async (req, res) => {
+    try {
+        // Everything other than the pagination options is a filter
+        const { limit, after, sortBy, sortOrder, ...filters } = req.query;
+        const page = await FxRate.getAll(filters, { limit, after, sortBy, sortOrder });
+
+        res.status(200).json({ data: page.items, pagination: page.pagination });
+    } catch (error) {
+        // Malformed or mismatched cursors
+        if (error.statusCode === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        console.error('Error fetching FX rates:', error);
+        res.status(500).json({ error: 'Failed to fetch FX rates' });
+    }
+});
+
+module.exports = router;
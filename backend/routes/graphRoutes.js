@@ -0,0 +1,32 @@
+const express = require('express');
+const { getGraphElements } = require('../utils/graphDataUtils');
+const { validate } = require('../validation/validate');
+const { graphQuerySchema } = require('../validation/graphSchemas');
+
+const router = express.Router();
+
+/**
+ * GET /graph
+ * Get users, transactions and their relationships as graph elements
+ */
+router.get('/', validate({ query: graphQuerySchema }), async (req, res) => {
+    try {
+        const { nodeTypes, relationshipTypes, userLimit, transactionLimit, status, statusAsOf } = req.query;
+
+        const graph = await getGraphElements({
+            nodeTypes,
+            relationshipTypes,
+            userLimit,
+            transactionLimit,
+            status,
+            statusAsOf
+        });
+
+        res.status(200).json(graph);
+    } catch (error) {
+        console.error('Error fetching graph:', error);
+        res.status(500).json({ error: 'Failed to fetch graph', details: error.message });
+    }
+});
+
+module.exports = router;
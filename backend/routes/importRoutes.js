@@ -0,0 +1,90 @@
+const express = require('express');
+const { ENTITY_TYPES, importCSV } = require('../utils/importUtils');
+const { restoreFullGraph } = require('../utils/restoreUtils');
+const { validate } = require('../validation/validate');
+const {
+    importCSVBodySchema,
+    importCSVParamsSchema,
+    importCSVQuerySchema,
+    restoreGraphQuerySchema
+} = require('../validation/exportSchemas');
+
+const router = express.Router();
+
+/**
+ * POST /import/csv
+ * Import several CSV files at once. The JSON body holds the CSV content under
+ * users, transactions and relationships, plus optional mapping (keyed by entity type),
+ * dryRun and batchSize.
+ */
+router.post('/csv', validate({ body: importCSVBodySchema }), async (req, res) => {
+    try {
+        const { mapping, dryRun, batchSize } = req.body;
+
+        const files = {};
+        ENTITY_TYPES.forEach(entityType => {
+            if (req.body[entityType]) {
+                files[entityType] = req.body[entityType];
+            }
+        });
+
+        const report = await importCSV(files, { mapping, dryRun, batchSize });
+        res.status(200).json(report);
+    } catch (error) {
+        console.error('Error importing CSV:', error);
+        res.status(500).json({ error: 'Failed to import CSV', details: error.message });
+    }
+});
+
+/**
+ * POST /import/csv/:entityType
+ * Upload a single CSV file as a text/csv body. Options are passed as query
+ * parameters; mapping is a JSON-encoded object of column name to field name.
+ */
+router.post(
+    '/csv/:entityType',
+    express.text({ type: ['text/csv', 'text/plain'], limit: '50mb' }),
+    validate({ params: importCSVParamsSchema, query: importCSVQuerySchema }),
+    async (req, res) => {
+        try {
+            const { entityType } = req.params;
+            const { mapping, dryRun, batchSize } = req.query;
+
+            if (typeof req.body !== 'string' || req.body.trim() === '') {
+                return res.status(400).json({ error: 'Request body must be CSV content sent as text/csv' });
+            }
+
+            const report = await importCSV(
+                { [entityType]: req.body },
+                { mapping: { [entityType]: mapping }, dryRun, batchSize }
+            );
+            res.status(200).json(report);
+        } catch (error) {
+            console.error('Error importing CSV:', error);
+            res.status(500).json({ error: 'Failed to import CSV', details: error.message });
+        }
+    }
+);
+
+/**
+ * POST /import/graph
+ * Restore a full graph JSON export. The body is the export file;
+ * mode=replace clears the database first, mode=merge (default) keeps existing data.
+ */
+router.post('/graph', validate({ query: restoreGraphQuerySchema }), async (req, res) => {
+    try {
+        const { mode, batchSize } = req.query;
+
+        const report = await restoreFullGraph(req.body, { mode, batchSize });
+        res.status(200).json(report);
+    } catch (error) {
+        if (error.validationErrors) {
+            return res.status(400).json({ error: error.message, details: error.validationErrors });
+        }
+
+        console.error('Error restoring graph:', error);
+        res.status(500).json({ error: 'Failed to restore graph', details: error.message });
+    }
+});
+
+module.exports = router;
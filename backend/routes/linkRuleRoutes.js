@@ -0,0 +1,40 @@
+const express = require('express');
+const LinkRule = require('../models/linkRuleModel');
+const { validate } = require('../validation/validate');
+const { linkRuleParamsSchema, linkRuleQuerySchema } = require('../validation/linkRuleSchemas');
+
+const router = express.Router();
+
+/**
+ * GET /linkRules
+ * List the link rules applied on ingest, optionally filtered by entity or enabled
+ */
+router.get('/', validate({ query: linkRuleQuerySchema }), (req, res) => {
+    try {
+        res.status(200).json(LinkRule.getRules(req.query));
+    } catch (error) {
+        console.error('Error fetching link rules:', error);
+        res.status(500).json({ error: 'Failed to fetch link rules', details: error.message });
+    }
+});
+
+/**
+ * GET /linkRules/:name
+ * Get a single link rule
+ */
+router.get('/:name', validate({ params: linkRuleParamsSchema }), (req, res) => {
+    try {
+        const rule = LinkRule.getRule(req.params.name);
+
+        if (!rule) {
+            return res.status(404).json({ error: 'Link rule not found' });
+        }
+
+        res.status(200).json(rule);
+    } catch (error) {
+        console.error('Error fetching link rule:', error);
+        res.status(500).json({ error: 'Failed to fetch link rule', details: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,48 @@
+const express = require('express');
+const { rebuildRelationships } = require('../utils/rebuildUtils');
+const { startJob, getJob, getRunningJob } = require('../utils/jobUtils');
+const { validate } = require('../validation/validate');
+const { idParamsSchema, batchSizeQuerySchema } = require('../validation/commonSchemas');
+
+const router = express.Router();
+
+const REBUILD_JOB = 'rebuild-relationships';
+
+/**
+ * POST /maintenance/rebuildRelationships
+ * Start a background job that drops every derived relationship (link rules, fuzzy
+ * matches, device/IP/location links) and recomputes them in batches.
+ * Responds with the job; poll GET /maintenance/jobs/:id for progress and the report.
+ */
+router.post('/rebuildRelationships', validate({ query: batchSizeQuerySchema }), (req, res) => {
+    try {
+        const running = getRunningJob(REBUILD_JOB);
+        if (running) {
+            return res.status(409).json({ error: 'A relationship rebuild is already running', job: running });
+        }
+
+        const { batchSize } = req.query;
+        const job = startJob(REBUILD_JOB, onProgress => rebuildRelationships({ batchSize, onProgress }));
+
+        res.status(202).json(job);
+    } catch (error) {
+        console.error('Error starting relationship rebuild:', error);
+        res.status(500).json({ error: 'Failed to start relationship rebuild', details: error.message });
+    }
+});
+
+/**
+ * GET /maintenance/jobs/:id
+ * Get the status, progress and (once finished) the report of a maintenance job
+ */
+router.get('/jobs/:id', validate({ params: idParamsSchema }), (req, res) => {
+    const job = getJob(req.params.id);
+
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.status(200).json(job);
+});
+
+module.exports = router;
@@ -0,0 +1,43 @@
+const express = require('express');
+const PaymentMethod = require('../models/paymentMethodModel');
+const { validate } = require('../validation/validate');
+const { paymentMethodQuerySchema, fingerprintParamsSchema } = require('../validation/paymentMethodSchemas');
+
+const router = express.Router();
+
+/**
+ * GET /paymentMethods
+ * Find payment methods by type, provider, bank or last4, with the number of users of each
+ */
+router.get('/', validate({ query: paymentMethodQuerySchema }), async (req, res) => {
+    try {
+        const { limit, ...filters } = req.query;
+
+        const paymentMethods = await PaymentMethod.find(filters, { limit });
+        res.status(200).json(paymentMethods);
+    } catch (error) {
+        console.error('Error fetching payment methods:', error);
+        res.status(500).json({ error: 'Failed to fetch payment methods' });
+    }
+});
+
+/**
+ * GET /paymentMethods/:fingerprint/users
+ * List every user who has used a payment method
+ */
+router.get('/:fingerprint/users', validate({ params: fingerprintParamsSchema }), async (req, res) => {
+    try {
+        const result = await PaymentMethod.getUsers(req.params.fingerprint);
+
+        if (!result) {
+            return res.status(404).json({ error: 'Payment method not found' });
+        }
+
+        res.status(200).json(result);
+    } catch (error) {
+        console.error('Error fetching payment method users:', error);
+        res.status(500).json({ error: 'Failed to fetch payment method users' });
+    }
+});
+
+module.exports = router;
@@ -2,6 +2,8 @@ const express = require('express');
 const Relationship = require('../models/relationshipModel');
 const User = require('../models/userModel');
 const Transaction = require('../models/transactionModel');
+const { validate } = require('../validation/validate');
+const { idParamsSchema } = require('../validation/commonSchemas');
 
 const router = express.Router();
 
@@ -9,7 +11,7 @@ const router = express.Router();
  * GET /relationships/user/:id
  * Get all connections of a user
  */
-router.get('/user/:id', async (req, res) => {
+router.get('/user/:id', validate({ params: idParamsSchema }), async (req, res) => {
     try {
         const userId = req.params.id;
 
@@ -31,7 +33,7 @@ router.get('/user/:id', async (req, res) => {
  * GET /relationships/transaction/:id
  * Get all connections of a transaction
  */
-router.get('/transaction/:id', async (req, res) => {
+router.get('/transaction/:id', validate({ params: idParamsSchema }), async (req, res) => {
     try {
         const transactionId = req.params.id;
 
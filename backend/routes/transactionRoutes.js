@@ -1,5 +1,15 @@
 const express = require('express');
 const Transaction = require('../models/transactionModel');
+const { validate } = require('../validation/validate');
+const { idParamsSchema, batchSizeQuerySchema } = require('../validation/commonSchemas');
+const {
+    transactionSchema,
+    transactionReplaceSchema,
+    transactionPatchSchema,
+    transactionStatusBodySchema,
+    bulkTransactionsBodySchema,
+    transactionListQuerySchema
+} = require('../validation/transactionSchemas');
 
 const router = express.Router();
 
@@ -7,43 +17,63 @@ const router = express.Router();
  * POST /transactions
  * Create or update a transaction
  */
-router.post('/', async (req, res) => {
+router.post('/', validate({ body: transactionSchema }), async (req, res) => {
     try {
         const transactionData = req.body;
 
-        // Validate required fields
-        if (!transactionData.amount) {
-            return res.status(400).json({ error: 'Amount is required' });
-        }
-
-        if (!transactionData.fromUserId && !transactionData.toUserId) {
-            return res.status(400).json({ error: 'At least one user (sender or receiver) is required' });
-        }
-
         const transaction = await Transaction.createOrUpdate(transactionData);
         res.status(201).json(transaction);
     } catch (error) {
+        // Invalid refund, reversal or chargeback
+        if (error.statusCode === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        // Updating an existing transaction through a status change its lifecycle does not allow
+        if (error.statusCode === 409) {
+            return res.status(409).json({ error: error.message, details: error.details });
+        }
+
         console.error('Error creating transaction:', error);
         res.status(500).json({ error: 'Failed to create transaction' });
     }
 });
 
+/**
+ * POST /transactions/bulk
+ * Create or update many transactions in batches
+ */
+router.post('/bulk', validate({ body: bulkTransactionsBodySchema, query: batchSizeQuerySchema }), async (req, res) => {
+    try {
+        const transactionsData = Array.isArray(req.body) ? req.body : req.body.transactions;
+
+        // Each record is validated individually so one bad record does not reject the batch
+        const report = await Transaction.bulkCreateOrUpdate(transactionsData, { batchSize: req.query.batchSize });
+
+        // 207 signals that some records were rejected; the report lists which ones
+        res.status(report.failed > 0 ? 207 : 201).json(report);
+    } catch (error) {
+        console.error('Error bulk creating transactions:', error);
+        res.status(500).json({ error: 'Failed to bulk create transactions' });
+    }
+});
+
 /**
  * GET /transactions
- * Get all transactions with optional filters
+ * Get a page of transactions with optional filters and sorting
  */
-router.get('/', async (req, res) => {
+router.get('/', validate({ query: transactionListQuerySchema }), async (req, res) => {
     try {
-        // Extract any filters from query params
-        const filters = {};
-        if (req.query.status) filters.status = req.query.status;
-        if (req.query.minAmount) filters.minAmount = req.query.minAmount;
-        if (req.query.maxAmount) filters.maxAmount = req.query.maxAmount;
-        if (req.query.currency) filters.currency = req.query.currency;
-
-        const transactions = await Transaction.getAll(filters);
-        res.status(200).json(transactions);
+        // Everything other than the pagination options is a filter
+        const { limit, after, sortBy, sortOrder, ...filters } = req.query;
+        const page = await Transaction.getAll(filters, { limit, after, sortBy, sortOrder });
+
+        res.status(200).json({ data: page.items, pagination: page.pagination });
     } catch (error) {
+        // Malformed or mismatched cursors
+        if (error.statusCode === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+
         console.error('Error fetching transactions:', error);
         res.status(500).json({ error: 'Failed to fetch transactions' });
     }
@@ -53,7 +83,7 @@ router.get('/', async (req, res) => {
  * GET /transactions/:id
  * Get a transaction by ID
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', validate({ params: idParamsSchema }), async (req, res) => {
     try {
         const transaction = await Transaction.getById(req.params.id);
 
@@ -68,11 +98,115 @@ router.get('/:id', async (req, res) => {
     }
 });
 
+/**
+ * GET /transactions/:id/chain
+ * Get the chain of refunds, reversals and chargebacks a transaction belongs to, from the
+ * original transaction down, with net amounts
+ */
+router.get('/:id/chain', validate({ params: idParamsSchema }), async (req, res) => {
+    try {
+        const chain = await Transaction.getChain(req.params.id);
+
+        if (!chain) {
+            return res.status(404).json({ error: 'Transaction not found' });
+        }
+
+        res.status(200).json(chain);
+    } catch (error) {
+        console.error('Error fetching transaction chain:', error);
+        res.status(500).json({ error: 'Failed to fetch transaction chain' });
+    }
+});
+
+/**
+ * PUT /transactions/:id
+ * Replace a transaction. Fields missing from the body are removed.
+ */
+router.put('/:id', validate({ params: idParamsSchema, body: transactionReplaceSchema }), async (req, res) => {
+    try {
+        const transaction = await Transaction.update(req.params.id, req.body, { partial: false });
+
+        if (!transaction) {
+            return res.status(404).json({ error: 'Transaction not found' });
+        }
+
+        res.status(200).json(transaction);
+    } catch (error) {
+        if (error.statusCode === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error.statusCode === 409) {
+            return res.status(409).json({ error: error.message, details: error.details });
+        }
+
+        console.error('Error replacing transaction:', error);
+        res.status(500).json({ error: 'Failed to update transaction' });
+    }
+});
+
+/**
+ * PATCH /transactions/:id
+ * Update some fields of a transaction. Fields set to null are removed.
+ */
+router.patch('/:id', validate({ params: idParamsSchema, body: transactionPatchSchema }), async (req, res) => {
+    try {
+        const transaction = await Transaction.update(req.params.id, req.body, { partial: true });
+
+        if (!transaction) {
+            return res.status(404).json({ error: 'Transaction not found' });
+        }
+
+        res.status(200).json(transaction);
+    } catch (error) {
+        // The change would leave the transaction without a sender or receiver, or make
+        // its refunds, reversals and chargebacks exceed the original amount
+        if (error.statusCode === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        // The status change is not allowed from the current status
+        if (error.statusCode === 409) {
+            return res.status(409).json({ error: error.message, details: error.details });
+        }
+
+        console.error('Error updating transaction:', error);
+        res.status(500).json({ error: 'Failed to update transaction' });
+    }
+});
+
+/**
+ * POST /transactions/:id/status
+ * Move a transaction to a new status. The change is checked against the status
+ * lifecycle and recorded in the transaction's status history.
+ */
+router.post('/:id/status', validate({ params: idParamsSchema, body: transactionStatusBodySchema }), async (req, res) => {
+    try {
+        const { status, timestamp } = req.body;
+        const transaction = await Transaction.updateStatus(req.params.id, status, timestamp);
+
+        if (!transaction) {
+            return res.status(404).json({ error: 'Transaction not found' });
+        }
+
+        res.status(200).json(transaction);
+    } catch (error) {
+        // The timestamp is before the last recorded change
+        if (error.statusCode === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error.statusCode === 409) {
+            return res.status(409).json({ error: error.message, details: error.details });
+        }
+
+        console.error('Error changing transaction status:', error);
+        res.status(500).json({ error: 'Failed to change transaction status' });
+    }
+});
+
 /**
  * DELETE /transactions/:id
  * Delete a transaction by ID
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', validate({ params: idParamsSchema }), async (req, res) => {
     try {
         const deleted = await Transaction.delete(req.params.id);
 
@@ -1,5 +1,15 @@
 const express = require('express');
 const User = require('../models/userModel');
+const { validate } = require('../validation/validate');
+const { idParamsSchema, batchSizeQuerySchema } = require('../validation/commonSchemas');
+const {
+    userSchema,
+    userReplaceSchema,
+    userPatchSchema,
+    bulkUsersBodySchema,
+    userListQuerySchema,
+    userSearchQuerySchema
+} = require('../validation/userSchemas');
 
 const router = express.Router();
 
@@ -7,16 +17,10 @@ const router = express.Router();
  * POST /users
  * Create or update a user
  */
-router.post('/', async (req, res) => {
+router.post('/', validate({ body: userSchema }), async (req, res) => {
     try {
         const userData = req.body;
 
-        if (!userData.name) {
-            return res.status(400).json({ error: 'Name is required' });
-
-            module.exports = router;
-        }
-
         const user = await User.createOrUpdate(userData);
         res.status(201).json(user);
     } catch (error) {
@@ -25,30 +29,72 @@ router.post('/', async (req, res) => {
     }
 });
 
+/**
+ * POST /users/bulk
+ * Create or update many users in batches
+ */
+router.post('/bulk', validate({ body: bulkUsersBodySchema, query: batchSizeQuerySchema }), async (req, res) => {
+    try {
+        const usersData = Array.isArray(req.body) ? req.body : req.body.users;
+
+        // Each record is validated individually so one bad record does not reject the batch
+        const report = await User.bulkCreateOrUpdate(usersData, { batchSize: req.query.batchSize });
+
+        // 207 signals that some records were rejected; the report lists which ones
+        res.status(report.failed > 0 ? 207 : 201).json(report);
+    } catch (error) {
+        console.error('Error bulk creating users:', error);
+        res.status(500).json({ error: 'Failed to bulk create users' });
+    }
+});
+
 /**
  * GET /users
- * Get all users with optional filters
+ * Get a page of users with optional filters and sorting
  */
-router.get('/', async (req, res) => {
+router.get('/', validate({ query: userListQuerySchema }), async (req, res) => {
     try {
         // Extract any filters from query params
         const filters = {};
         if (req.query.email) filters.email = req.query.email;
         if (req.query.phone) filters.phone = req.query.phone;
 
-        const users = await User.getAll(filters);
-        res.status(200).json(users);
+        const { limit, after, sortBy, sortOrder } = req.query;
+        const page = await User.getAll(filters, { limit, after, sortBy, sortOrder });
+
+        res.status(200).json({ data: page.items, pagination: page.pagination });
     } catch (error) {
+        // Malformed or mismatched cursors
+        if (error.statusCode === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+
         console.error('Error fetching users:', error);
         res.status(500).json({ error: 'Failed to fetch users' });
     }
 });
 
+/**
+ * GET /users/search
+ * Full-text search over user name, email, phone and address
+ */
+router.get('/search', validate({ query: userSearchQuerySchema }), async (req, res) => {
+    try {
+        const { q, limit, fuzzy, prefix } = req.query;
+
+        const results = await User.search(q, { limit, fuzzy, prefix });
+        res.status(200).json({ query: q, count: results.length, results });
+    } catch (error) {
+        console.error('Error searching users:', error);
+        res.status(500).json({ error: 'Failed to search users' });
+    }
+});
+
 /**
  * GET /users/:id
  * Get a user by ID
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', validate({ params: idParamsSchema }), async (req, res) => {
     try {
         const user = await User.getById(req.params.id);
 
@@ -63,11 +109,49 @@ router.get('/:id', async (req, res) => {
     }
 });
 
+/**
+ * PUT /users/:id
+ * Replace a user. Fields missing from the body are removed.
+ */
+router.put('/:id', validate({ params: idParamsSchema, body: userReplaceSchema }), async (req, res) => {
+    try {
+        const user = await User.update(req.params.id, req.body, { partial: false });
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.status(200).json(user);
+    } catch (error) {
+        console.error('Error replacing user:', error);
+        res.status(500).json({ error: 'Failed to update user' });
+    }
+});
+
+/**
+ * PATCH /users/:id
+ * Update some fields of a user. Fields set to null are removed.
+ */
+router.patch('/:id', validate({ params: idParamsSchema, body: userPatchSchema }), async (req, res) => {
+    try {
+        const user = await User.update(req.params.id, req.body, { partial: true });
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.status(200).json(user);
+    } catch (error) {
+        console.error('Error updating user:', error);
+        res.status(500).json({ error: 'Failed to update user' });
+    }
+});
+
 /**
  * DELETE /users/:id
  * Delete a user by ID
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', validate({ params: idParamsSchema }), async (req, res) => {
     try {
         const deleted = await User.delete(req.params.id);
 
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const { initializeDb, closeDriver } = require('../db/neo4jConnection');
+const { ENTITY_TYPES, importCSV } = require('../utils/importUtils');
+
+/**
+ * Print command line usage
+ */
+function printUsage() {
+    console.log(`Usage: node scripts/importCSV.js [options]
+
+Options:
+  --users <file>          Users CSV file
+  --transactions <file>   Transactions CSV file
+  --relationships <file>  Relationships CSV file
+  --fxRates <file>        FX rates CSV file (date, currency, rate, base)
+  --mapping <file>        JSON file with column mappings keyed by entity type
+  --batch-size <number>   Number of records written per statement
+  --dry-run               Validate the files without writing to the database`);
+}
+
+/**
+ * Parse command line arguments
+ * @param {Array} args - Arguments after the script name
+ * @returns {Object} Files and import options
+ */
+function parseArgs(args) {
+    const files = {};
+    const options = {};
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const name = arg.replace(/^--/, '');
+
+        if (ENTITY_TYPES.includes(name)) {
+            files[name] = fs.readFileSync(args[++i], 'utf8');
+        } else if (name === 'mapping') {
+            options.mapping = JSON.parse(fs.readFileSync(args[++i], 'utf8'));
+        } else if (name === 'batch-size') {
+            options.batchSize = parseInt(args[++i], 10);
+        } else if (name === 'dry-run') {
+            options.dryRun = true;
+        } else {
+            throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+
+    return { files, options };
+}
+
+/**
+ * Import CSV files into the database
+ */
+async function runImport() {
+    try {
+        const { files, options } = parseArgs(process.argv.slice(2));
+
+        if (Object.keys(files).length === 0) {
+            printUsage();
+            process.exit(1);
+        }
+
+        if (!options.dryRun) {
+            await initializeDb();
+        }
+
+        console.log(options.dryRun ? 'Validating CSV files...' : 'Importing CSV files...');
+        const report = await importCSV(files, options);
+
+        for (const entityType of ENTITY_TYPES) {
+            if (!report[entityType]) continue;
+
+            const entityReport = report[entityType];
+            console.log(`${entityType}: ${entityReport.total} rows, ${entityReport.failed} failed`);
+            entityReport.results
+                .filter(result => result.status === 'error')
+                .forEach(result => console.log(`  row ${result.row}: ${result.error}`));
+        }
+
+        closeDriver();
+        process.exit(0);
+    } catch (error) {
+        console.error('Error importing CSV:', error);
+        closeDriver();
+        process.exit(1);
+    }
+}
+
+runImport();
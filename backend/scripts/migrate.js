@@ -0,0 +1,42 @@
+const { initializeDb, closeDriver } = require('../db/neo4jConnection');
+const { MIGRATIONS } = require('../utils/migrationUtils');
+
+/**
+ * Run a data migration
+ * Usage: node scripts/migrate.js <migration> [--batch-size <number>]
+ */
+async function runMigration() {
+    try {
+        const args = process.argv.slice(2);
+        const options = {};
+        let name;
+
+        for (let i = 0; i < args.length; i++) {
+            if (args[i] === '--batch-size') {
+                options.batchSize = parseInt(args[++i], 10);
+            } else {
+                name = args[i];
+            }
+        }
+
+        if (!name || !MIGRATIONS[name]) {
+            console.log(`Usage: node scripts/migrate.js <${Object.keys(MIGRATIONS).join('|')}> [--batch-size <number>]`);
+            process.exit(1);
+        }
+
+        await initializeDb();
+
+        console.log(`Running migration ${name}...`);
+        const report = await MIGRATIONS[name](options);
+        console.log(JSON.stringify(report, null, 2));
+
+        closeDriver();
+        process.exit(0);
+    } catch (error) {
+        console.error('Migration failed:', error);
+        closeDriver();
+        process.exit(1);
+    }
+}
+
+runMigration();
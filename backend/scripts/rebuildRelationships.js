@@ -0,0 +1,39 @@
+const { initializeDb, closeDriver } = require('../db/neo4jConnection');
+const { rebuildRelationships } = require('../utils/rebuildUtils');
+
+/**
+ * Drop and recompute every derived relationship
+ * Usage: node scripts/rebuildRelationships.js [--batch-size <number>]
+ */
+async function runRebuild() {
+    try {
+        const args = process.argv.slice(2);
+        const options = {};
+
+        for (let i = 0; i < args.length; i++) {
+            if (args[i] === '--batch-size') {
+                options.batchSize = parseInt(args[++i], 10);
+            }
+        }
+
+        await initializeDb();
+
+        console.log('Rebuilding relationships...');
+        const report = await rebuildRelationships({
+            ...options,
+            onProgress: ({ phase, processed, total }) => console.log(`${phase}: ${processed}/${total}`)
+        });
+
+        console.log(`Processed ${report.usersProcessed} users and ${report.transactionsProcessed} transactions`);
+        console.table(report.relationships);
+
+        closeDriver();
+        process.exit(0);
+    } catch (error) {
+        console.error('Error rebuilding relationships:', error);
+        closeDriver();
+        process.exit(1);
+    }
+}
+
+runRebuild();
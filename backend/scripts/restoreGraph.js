@@ -0,0 +1,52 @@
+const fs = require('fs');
+const { initializeDb, closeDriver } = require('../db/neo4jConnection');
+const { RESTORE_MODES, restoreFullGraph } = require('../utils/restoreUtils');
+
+/**
+ * Restore the database from a full graph JSON export
+ * Usage: node scripts/restoreGraph.js <file> [--mode replace|merge] [--batch-size <number>]
+ */
+async function runRestore() {
+    try {
+        const args = process.argv.slice(2);
+        const options = { mode: 'merge' };
+        let file;
+
+        for (let i = 0; i < args.length; i++) {
+            if (args[i] === '--mode') {
+                options.mode = args[++i];
+            } else if (args[i] === '--batch-size') {
+                options.batchSize = parseInt(args[++i], 10);
+            } else {
+                file = args[i];
+            }
+        }
+
+        if (!file || !RESTORE_MODES.includes(options.mode)) {
+            console.log(`Usage: node scripts/restoreGraph.js <file> [--mode ${RESTORE_MODES.join('|')}] [--batch-size <number>]`);
+            process.exit(1);
+        }
+
+        const graph = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+        await initializeDb();
+
+        console.log(`Restoring ${file} in ${options.mode} mode...`);
+        const report = await restoreFullGraph(graph, options);
+
+        console.log(`Restored ${report.restored.users} users, ${report.restored.transactions} transactions, ` +
+            `${report.restored.paymentMethods} payment methods, ${report.restored.devices} devices, ` +
+            `${report.restored.ipAddresses} IP addresses, ${report.restored.locations} locations, ` +
+            `${report.restored.fxRates} FX rates ` +
+            `and ${report.restored.relationships} relationships (${report.skippedRelationships} skipped)`);
+
+        closeDriver();
+        process.exit(0);
+    } catch (error) {
+        console.error('Error restoring graph:', error.validationErrors || error);
+        closeDriver();
+        process.exit(1);
+    }
+}
+
+runRestore();
@@ -6,6 +6,13 @@ const transactionRoutes = require('./routes/transactionRoutes');
 const relationshipRoutes = require('./routes/relationshipRoutes');
 const analyticsRoutes = require('./routes/analyticsRoutes');
 const exportRoutes = require('./routes/exportRoutes');
+const graphRoutes = require('./routes/graphRoutes');
+const importRoutes = require('./routes/importRoutes');
+const paymentMethodRoutes = require('./routes/paymentMethodRoutes');
+const attributeRoutes = require('./routes/attributeRoutes');
+const linkRuleRoutes = require('./routes/linkRuleRoutes');
+const maintenanceRoutes = require('./routes/maintenanceRoutes');
+const fxRateRoutes = require('./routes/fxRateRoutes');
 const { initializeDb } = require('./db/neo4jConnection');
 const seedDatabase = require('./data/seedDataRunner');
 
@@ -16,7 +23,7 @@ const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '10mb' }));
 
 // Create exports directory if it doesn't exist
 const fs = require('fs');
@@ -34,6 +41,13 @@ app.use('/transactions', transactionRoutes);
 app.use('/relationships', relationshipRoutes);
 app.use('/analytics', analyticsRoutes);
 app.use('/export', exportRoutes);
+app.use('/graph', graphRoutes);
+app.use('/import', importRoutes);
+app.use('/paymentMethods', paymentMethodRoutes);
+app.use('/attributes', attributeRoutes);
+app.use('/linkRules', linkRuleRoutes);
+app.use('/maintenance', maintenanceRoutes);
+app.use('/fxRates', fxRateRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
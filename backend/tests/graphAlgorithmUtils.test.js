@@ -0,0 +1,95 @@
+const { pageRank, betweenness } = require('../utils/graphAlgorithmUtils');
+
+const edge = (source, target) => ({ source, target });
+
+/**
+ * Directed cycle n0 -> n1 -> ... -> n0
+ * @param {number} count - Number of nodes
+ * @returns {Object} {nodes, edges}
+ */
+function cycle(count) {
+    const nodes = Array.from({ length: count }, (_, index) => `n${index}`);
+    return { nodes, edges: nodes.map((node, index) => edge(node, nodes[(index + 1) % count])) };
+}
+
+const sum = scores => [...scores.values()].reduce((total, score) => total + score, 0);
+
+describe('pageRank', () => {
+    test('ranks the nodes of a cycle equally', () => {
+        const { nodes, edges } = cycle(3);
+
+        pageRank(nodes, edges).forEach(rank => expect(rank).toBeCloseTo(1 / 3, 6));
+    });
+
+    test('spreads the rank of nodes without outgoing edges over every node', () => {
+        const ranks = pageRank(['a', 'b'], [edge('a', 'b')]);
+
+        // rank(a) = 0.15 / 2 + 0.85 * rank(b) / 2, with the ranks adding up to 1
+        expect(ranks.get('a')).toBeCloseTo(0.5 / 1.425, 6);
+        expect(sum(ranks)).toBeCloseTo(1, 6);
+    });
+
+    test('ignores edges to unknown nodes', () => {
+        const ranks = pageRank(['a', 'b'], [edge('a', 'b'), edge('b', 'z')]);
+
+        expect([...ranks.keys()]).toEqual(['a', 'b']);
+        expect(sum(ranks)).toBeCloseTo(1, 6);
+    });
+
+    test('returns an empty map for an empty graph', () => {
+        expect(pageRank([], []).size).toBe(0);
+    });
+});
+
+describe('betweenness', () => {
+    test('scores the middle of a path by the share of pairs it connects', () => {
+        const scores = betweenness(['a', 'b', 'c'], [edge('a', 'b'), edge('b', 'c')]);
+
+        expect(Object.fromEntries(scores)).toEqual({ a: 0, b: 0.5, c: 0 });
+    });
+
+    test('splits the credit between equally short paths', () => {
+        const scores = betweenness(['a', 'b', 'c', 'd'], [edge('a', 'b'), edge('a', 'c'), edge('b', 'd'), edge('c', 'd')]);
+
+        expect(scores.get('b')).toBeCloseTo(0.5 / 6, 10);
+        expect(scores.get('c')).toBeCloseTo(0.5 / 6, 10);
+        expect(scores.get('a')).toBe(0);
+        expect(scores.get('d')).toBe(0);
+    });
+
+    test('counts repeated edges once', () => {
+        const scores = betweenness(['a', 'b', 'c'], [edge('a', 'b'), edge('a', 'b'), edge('b', 'c')]);
+
+        expect(scores.get('b')).toBe(0.5);
+    });
+
+    test('estimates the scores from a sample of sources', () => {
+        const { nodes, edges } = cycle(50);
+        const exact = betweenness(nodes, edges);
+        const sampled = betweenness(nodes, edges, { sources: 10 });
+
+        exact.forEach(score => expect(score).toBeCloseTo(0.5, 10));
+        // Every source of a cycle contributes the same total, so the scaled sample keeps the mean
+        expect(sum(sampled) / nodes.length).toBeCloseTo(0.5, 10);
+    });
+
+    test('searches every node when the sample is not smaller than the graph', () => {
+        const { nodes, edges } = cycle(5);
+
+        expect([...betweenness(nodes, edges, { sources: 5 })]).toEqual([...betweenness(nodes, edges)]);
+    });
+
+    test('reports progress every 100 sources', () => {
+        const nodes = Array.from({ length: 250 }, (_, index) => `n${index}`);
+        const progress = [];
+
+        betweenness(nodes, [], { onProgress: (processed, total) => progress.push([processed, total]) });
+
+        expect(progress).toEqual([[100, 250], [200, 250]]);
+    });
+
+    test('handles graphs too small to have pairs of other nodes', () => {
+        expect(Object.fromEntries(betweenness(['a', 'b'], [edge('a', 'b')]))).toEqual({ a: 0, b: 0 });
+        expect(betweenness([], []).size).toBe(0);
+    });
+});
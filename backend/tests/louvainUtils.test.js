@@ -0,0 +1,111 @@
+const { detectCommunities, modularity } = require('../utils/louvainUtils');
+
+/**
+ * Unit-weight edges between every pair of the given nodes
+ * @param {Array} ids - Node IDs
+ * @returns {Array} Edges as {source, target, weight}
+ */
+function clique(ids) {
+    const edges = [];
+    ids.forEach((source, i) => {
+        ids.slice(i + 1).forEach(target => edges.push({ source, target, weight: 1 }));
+    });
+    return edges;
+}
+
+/**
+ * Group node IDs by the community they were assigned
+ * @param {Map} communities - Community of each node
+ * @returns {Array} Sorted groups of node IDs
+ */
+function groups(communities) {
+    const members = new Map();
+    communities.forEach((community, node) => {
+        members.set(community, (members.get(community) || []).concat(node).sort());
+    });
+    return [...members.values()].sort();
+}
+
+describe('detectCommunities', () => {
+    test('splits two triangles joined by one edge, leaving isolated nodes alone', () => {
+        const edges = [...clique(['a', 'b', 'c']), ...clique(['d', 'e', 'f']), { source: 'c', target: 'd', weight: 1 }];
+        const { communities, modularity: score } = detectCommunities(['a', 'b', 'c', 'd', 'e', 'f', 'g'], edges);
+
+        expect(groups(communities)).toEqual([['a', 'b', 'c'], ['d', 'e', 'f'], ['g']]);
+        // 2 * (3/7 - (7/14)^2)
+        expect(score).toBeCloseTo(5 / 14, 10);
+    });
+
+    test('names each community after one of its members', () => {
+        const { communities } = detectCommunities(['a', 'b'], [{ source: 'a', target: 'b', weight: 1 }]);
+
+        expect(['a', 'b']).toContain(communities.get('a'));
+        expect(communities.get('a')).toBe(communities.get('b'));
+    });
+
+    test('finds the cliques of a ring of cliques across aggregation levels', () => {
+        const nodes = [];
+        const edges = [];
+        for (let k = 0; k < 8; k++) {
+            const ids = [0, 1, 2, 3].map(i => `c${k}n${i}`);
+            nodes.push(...ids);
+            edges.push(...clique(ids), { source: ids[3], target: `c${(k + 1) % 8}n0`, weight: 1 });
+        }
+
+        const { communities, modularity: score } = detectCommunities(nodes, edges);
+
+        expect(groups(communities)).toHaveLength(8);
+        groups(communities).forEach(group => {
+            expect(new Set(group.map(id => id.split('n')[0])).size).toBe(1);
+        });
+        // 8 * (6/56 - (14/112)^2)
+        expect(score).toBeCloseTo(41 / 56, 10);
+    });
+
+    test('ignores edges without a positive weight or to unknown nodes', () => {
+        const { communities } = detectCommunities(['a', 'b'], [
+            { source: 'a', target: 'b', weight: 0 },
+            { source: 'a', target: 'z', weight: 1 }
+        ]);
+
+        expect(groups(communities)).toEqual([['a'], ['b']]);
+    });
+
+    test('gives the same communities for the same graph', () => {
+        const edges = [...clique(['a', 'b', 'c', 'd']), ...clique(['d', 'e', 'f'])];
+        const first = detectCommunities(['a', 'b', 'c', 'd', 'e', 'f'], edges);
+        const second = detectCommunities(['a', 'b', 'c', 'd', 'e', 'f'], edges);
+
+        expect([...second.communities]).toEqual([...first.communities]);
+    });
+
+    test('handles graphs without nodes or edges', () => {
+        expect(detectCommunities([], []).modularity).toBe(0);
+        expect(groups(detectCommunities(['x', 'y'], []).communities)).toEqual([['x'], ['y']]);
+    });
+});
+
+describe('modularity', () => {
+    const adjacency = new Map([
+        ['a', new Map([['b', 1]])],
+        ['b', new Map([['a', 1]])]
+    ]);
+
+    test('is 0 when every node is in one community', () => {
+        expect(modularity(adjacency, new Map([['a', 1], ['b', 1]]))).toBe(0);
+    });
+
+    test('is -0.5 when the only edge joins two communities', () => {
+        expect(modularity(adjacency, new Map([['a', 1], ['b', 2]]))).toBe(-0.5);
+    });
+
+    test('counts both ends of a self-loop inside the community', () => {
+        const loop = new Map([['a', new Map([['a', 1]])]]);
+
+        expect(modularity(loop, new Map([['a', 1]]))).toBe(0);
+    });
+
+    test('is 0 without edges', () => {
+        expect(modularity(new Map([['a', new Map()]]), new Map([['a', 1]]))).toBe(0);
+    });
+});
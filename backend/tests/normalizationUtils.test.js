@@ -0,0 +1,133 @@
+// National numbers below are expected to get the default country code, 1
+delete process.env.DEFAULT_PHONE_COUNTRY_CODE;
+
+const {
+    normalizePhone,
+    normalizeEmail,
+    normalizeAddress,
+    normalizeIp,
+    normalizeLocation
+} = require('../utils/normalizationUtils');
+
+describe('normalizePhone', () => {
+    test('formats the same number written in different ways to one E.164 number', () => {
+        expect(normalizePhone('+1 (555) 010-0100')).toBe('+15550100100');
+        expect(normalizePhone('(555) 010-0100')).toBe('+15550100100');
+        expect(normalizePhone('1-555-010-0100')).toBe('+15550100100');
+    });
+
+    test('reads a 00 prefix as the international call prefix', () => {
+        expect(normalizePhone('0044 20 7946 0958')).toBe('+442079460958');
+    });
+
+    test('drops a (0) trunk prefix written after the country code', () => {
+        expect(normalizePhone('+44 (0)20 7946 0958')).toBe('+442079460958');
+        expect(normalizePhone('+44 ( 0 ) 20 7946 0958')).toBe('+442079460958');
+    });
+
+    test('drops the trunk prefix of national numbers before adding the default country code', () => {
+        expect(normalizePhone('020 7946 0958')).toBe('+12079460958');
+    });
+
+    test('keeps at most 15 digits', () => {
+        expect(normalizePhone('+123456789012345678')).toBe('+123456789012345');
+    });
+
+    test('returns null without digits', () => {
+        expect(normalizePhone('abc')).toBeNull();
+        expect(normalizePhone('')).toBeNull();
+        expect(normalizePhone(null)).toBeNull();
+        expect(normalizePhone(undefined)).toBeNull();
+    });
+});
+
+describe('normalizeEmail', () => {
+    test('lowercases and trims', () => {
+        expect(normalizeEmail('  Jane@Example.COM ')).toBe('jane@example.com');
+    });
+
+    test('removes dots and tags for providers that ignore them', () => {
+        expect(normalizeEmail('J.Doe+shopping@GMail.com')).toBe('jdoe@gmail.com');
+        expect(normalizeEmail('j.doe@googlemail.com')).toBe('jdoe@gmail.com');
+        expect(normalizeEmail('jane-news@yahoo.com')).toBe('jane@yahoo.com');
+    });
+
+    test('keeps dots for providers that only support tags', () => {
+        expect(normalizeEmail('first.last+tag@me.com')).toBe('first.last@icloud.com');
+    });
+
+    test('leaves addresses at other domains as entered', () => {
+        expect(normalizeEmail('a.b+c@example.com')).toBe('a.b+c@example.com');
+    });
+
+    test('returns values without a local part lowercased', () => {
+        expect(normalizeEmail('No-At-Sign')).toBe('no-at-sign');
+        expect(normalizeEmail('@x.com')).toBe('@x.com');
+        expect(normalizeEmail('')).toBeNull();
+        expect(normalizeEmail(null)).toBeNull();
+    });
+});
+
+describe('normalizeAddress', () => {
+    test('maps field names, abbreviates street words and sorts the keys', () => {
+        expect(normalizeAddress({ 'Street Address': '1 Main Street, Apt. 4', City: ' New  York ', ZIP: '10001' }))
+            .toBe('{"city":"new york","postalCode":"10001","street":"1 main st apt 4"}');
+    });
+
+    test('gives equal strings for equal addresses written differently', () => {
+        const a = normalizeAddress({ street: '12 North Road', city: 'Springfield' });
+        const b = normalizeAddress(JSON.stringify({ City: 'SPRINGFIELD', line1: '12 N. Rd' }));
+
+        expect(a).toBe(b);
+    });
+
+    test('normalizes a plain string that is not JSON', () => {
+        expect(normalizeAddress('12 North Road')).toBe('12 n rd');
+    });
+
+    test('returns null for addresses without values', () => {
+        expect(normalizeAddress({})).toBeNull();
+        expect(normalizeAddress({ city: '' })).toBeNull();
+        expect(normalizeAddress(null)).toBeNull();
+    });
+
+    test('normalizes locations the same way', () => {
+        expect(normalizeLocation({ City: 'Paris', country: 'FR' })).toBe('{"city":"paris","country":"fr"}');
+    });
+});
+
+describe('normalizeIp', () => {
+    test('removes leading zeros from IPv4 octets', () => {
+        expect(normalizeIp('010.001.002.003')).toBe('10.1.2.3');
+    });
+
+    test('compresses the longest run of zero groups', () => {
+        expect(normalizeIp('2001:DB8:0:0:0:0:0:1')).toBe('2001:db8::1');
+        expect(normalizeIp('2001:0db8:0000:0000:0001:0000:0000:0000')).toBe('2001:db8:0:0:1::');
+        expect(normalizeIp('0:0:0:0:0:0:0:0')).toBe('::');
+    });
+
+    test('compresses the first of equally long runs', () => {
+        expect(normalizeIp('2001:db8:0:0:1:0:0:1')).toBe('2001:db8::1:0:0:1');
+    });
+
+    test('does not compress a single zero group', () => {
+        expect(normalizeIp('1:0:1:0:1:0:1:0')).toBe('1:0:1:0:1:0:1:0');
+    });
+
+    test('reduces IPv4-mapped IPv6 addresses to IPv4', () => {
+        expect(normalizeIp('::ffff:10.0.0.1')).toBe('10.0.0.1');
+        expect(normalizeIp('::FFFF:0a00:0001')).toBe('10.0.0.1');
+    });
+
+    test('removes brackets and zone indexes', () => {
+        expect(normalizeIp('[::1]')).toBe('::1');
+        expect(normalizeIp('fe80::1%eth0')).toBe('fe80::1');
+    });
+
+    test('returns values that are not IP addresses trimmed', () => {
+        expect(normalizeIp(' not-an-ip ')).toBe('not-an-ip');
+        expect(normalizeIp('')).toBeNull();
+        expect(normalizeIp(null)).toBeNull();
+    });
+});
@@ -0,0 +1,66 @@
+const { tokenize, buildLuceneQuery, highlight } = require('../utils/searchUtils');
+
+describe('tokenize', () => {
+    test('lowercases and splits on characters other than letters, digits and dots', () => {
+        expect(tokenize('  J.Doe@Gmail.com, +1 555-0100')).toEqual(['j.doe', 'gmail.com', '1', '555', '0100']);
+    });
+
+    test('keeps letters outside ASCII', () => {
+        expect(tokenize('Zoë Ångström')).toEqual(['zoë', 'ångström']);
+    });
+
+    test('trims dots from the ends of terms and drops empty terms', () => {
+        expect(tokenize('end. ...')).toEqual(['end']);
+        expect(tokenize('...')).toEqual([]);
+    });
+});
+
+describe('buildLuceneQuery', () => {
+    test('requires every term and ranks exact matches above prefix and fuzzy ones', () => {
+        expect(buildLuceneQuery(['smith'], { fuzzy: true, prefix: true }))
+            .toBe('+(smith^3 smith*^2 smith~1)');
+    });
+
+    test('tolerates more typos in longer terms and none in short ones', () => {
+        expect(buildLuceneQuery(['jo', 'alexandra'], { fuzzy: true }))
+            .toBe('+(jo^3) +(alexandra^3 alexandra~2)');
+    });
+
+    test('makes every term optional with anyTerm', () => {
+        expect(buildLuceneQuery(['jo', 'smith'], { anyTerm: true })).toBe('(jo^3) (smith^3)');
+    });
+
+    test('builds an empty query without terms', () => {
+        expect(buildLuceneQuery([], { fuzzy: true })).toBe('');
+    });
+});
+
+describe('highlight', () => {
+    test('flags the matching words and keeps the separators', () => {
+        const segments = highlight('John Smith-Jones', ['smyth'], { fuzzy: true });
+
+        expect(segments).toEqual([
+            { text: 'John ', match: false },
+            { text: 'Smith', match: true },
+            { text: '-Jones', match: false }
+        ]);
+        expect(segments.map(segment => segment.text).join('')).toBe('John Smith-Jones');
+    });
+
+    test('matches prefixes only when prefix matching is on', () => {
+        expect(highlight('Johnny B.', ['john'], { prefix: true })).toEqual([
+            { text: 'Johnny', match: true },
+            { text: ' B.', match: false }
+        ]);
+        expect(highlight('Johnny', ['john'], {})).toBeNull();
+    });
+
+    test('does not allow typos in short terms', () => {
+        expect(highlight('Jo', ['ja'], { fuzzy: true })).toBeNull();
+        expect(highlight('Jon', ['jan'], { fuzzy: true })).not.toBeNull();
+    });
+
+    test('returns null when nothing matches', () => {
+        expect(highlight('abc', ['x'], { fuzzy: true, prefix: true })).toBeNull();
+    });
+});
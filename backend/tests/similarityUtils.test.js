@@ -0,0 +1,67 @@
+const { levenshteinDistance, jaroWinklerSimilarity, tokenSetSimilarity } = require('../utils/similarityUtils');
+
+describe('levenshteinDistance', () => {
+    test('counts insertions, deletions and substitutions', () => {
+        expect(levenshteinDistance('kitten', 'sitting')).toBe(3);
+        expect(levenshteinDistance('flaw', 'lawn')).toBe(2);
+    });
+
+    test('is the length of the other string when one is empty', () => {
+        expect(levenshteinDistance('', 'abc')).toBe(3);
+        expect(levenshteinDistance('abc', '')).toBe(3);
+    });
+
+    test('is 0 for equal strings and symmetric', () => {
+        expect(levenshteinDistance('same', 'same')).toBe(0);
+        expect(levenshteinDistance('sunday', 'saturday')).toBe(levenshteinDistance('saturday', 'sunday'));
+    });
+});
+
+describe('jaroWinklerSimilarity', () => {
+    test('matches the published reference values', () => {
+        expect(jaroWinklerSimilarity('MARTHA', 'MARHTA')).toBeCloseTo(0.9611, 4);
+        expect(jaroWinklerSimilarity('DIXON', 'DICKSONX')).toBeCloseTo(0.8133, 4);
+        expect(jaroWinklerSimilarity('DWAYNE', 'DUANE')).toBeCloseTo(0.84, 4);
+    });
+
+    test('scores names sharing a prefix highly', () => {
+        expect(jaroWinklerSimilarity('jon smith', 'john smith')).toBeGreaterThan(0.95);
+    });
+
+    test('is 1 for equal strings and 0 without matching characters', () => {
+        expect(jaroWinklerSimilarity('a', 'a')).toBe(1);
+        expect(jaroWinklerSimilarity('abc', 'xyz')).toBe(0);
+        expect(jaroWinklerSimilarity('', 'a')).toBe(0);
+    });
+
+    test('only matches characters within the match window', () => {
+        // For two-character strings the window is 0, so swapped characters do not match
+        expect(jaroWinklerSimilarity('ab', 'ba')).toBe(0);
+    });
+
+    test('stays between 0 and 1', () => {
+        const score = jaroWinklerSimilarity('abcd', 'abcdxyz');
+
+        expect(score).toBeGreaterThan(0);
+        expect(score).toBeLessThanOrEqual(1);
+    });
+});
+
+describe('tokenSetSimilarity', () => {
+    test('ignores word order and repeated whitespace', () => {
+        expect(tokenSetSimilarity('main st 123', '123  main st')).toBe(1);
+    });
+
+    test('lowers the score gradually for extra words', () => {
+        expect(tokenSetSimilarity('123 main st', '123 main st apt 2')).toBeCloseTo(0.75);
+    });
+
+    test('compares sets of words, so repeated words count once', () => {
+        expect(tokenSetSimilarity('a a b', 'a b')).toBe(1);
+    });
+
+    test('is 0 when either string has no words', () => {
+        expect(tokenSetSimilarity('', '')).toBe(0);
+        expect(tokenSetSimilarity('  ', 'main')).toBe(0);
+    });
+});
@@ -0,0 +1,267 @@
+/**
+ * Centrality of users and transactions. The graph is made of the User and Transaction
+ * nodes and the directed relationships of the chosen types between them (by default the
+ * SENT_MONEY and RECEIVED_BY edges that carry each payment). Each node gets its in- and
+ * out-degree, the amount flowing in and out over those edges, its PageRank and its
+ * betweenness, stored as node properties so they can be ranked and shown on the graph.
+ */
+const path = require('path');
+const { Worker } = require('worker_threads');
+const neo4j = require('neo4j-driver');
+const { getSession } = require('../db/neo4jConnection');
+const { nodeKey } = require('./centralityWorker');
+const { INACTIVE_TRANSFER_STATUSES, transferAmountExpression } = require('./moneyTrailUtils');
+
+const CENTRALITY_METRICS = ['degree', 'inDegree', 'outDegree', 'inAmount', 'outAmount', 'pageRank', 'betweenness'];
+
+// Node properties written by a run, kept when a user or transaction is updated
+const CENTRALITY_PROPERTIES = [...CENTRALITY_METRICS, 'centralityComputedAt'];
+
+// Node types scored, keyed by the name used in requests
+const CENTRALITY_NODE_LABELS = {
+    user: 'User',
+    transaction: 'Transaction'
+};
+
+const DEFAULT_RELATIONSHIP_TYPES = ['SENT_MONEY', 'RECEIVED_BY'];
+
+const DEFAULT_BATCH_SIZE = 500;
+
+// Betweenness searches the graph once per source node; larger graphs are scored from this
+// many evenly spaced sources and the scores scaled up, which bounds the work per run
+const BETWEENNESS_MAX_SOURCES = parseInt(process.env.BETWEENNESS_MAX_SOURCES, 10) || 1000;
+
+/**
+ * Load the User and Transaction nodes and the directed edges between them. An edge's amount
+ * is the base-currency amount of the transaction it belongs to: its Transaction end, or for
+ * user-to-user edges such as TRANSFERRED_TO the transaction named by r.transactionId.
+ * Failed and reversed transactions move no money and count as 0; transactions in a
+ * currency without a rate have no amount (null).
+ * @param {Object} session - Neo4j session
+ * @param {Array} relationshipTypes - Relationship types to use
+ * @returns {Object} Node keys and edges as {source, target, amount}
+ */
+async function loadCentralityGraph(session, relationshipTypes) {
+    const nodes = await session.run(
+        `
+        MATCH (n)
+        WHERE n:User OR n:Transaction
+        RETURN CASE WHEN n:User THEN 'User' ELSE 'Transaction' END AS label, n.id AS id
+        ORDER BY label, id
+        `
+    );
+
+    const edges = await session.run(
+        `
+        MATCH (a)-[r]->(b)
+        WHERE type(r) IN $types AND (a:User OR a:Transaction) AND (b:User OR b:Transaction) AND a <> b
+        WITH a, b, CASE
+            WHEN a:Transaction THEN a
+            WHEN b:Transaction THEN b
+            ELSE head([(t:Transaction {id: r.transactionId}) | t])
+        END AS t
+        RETURN CASE WHEN a:User THEN 'User' ELSE 'Transaction' END AS sourceLabel, a.id AS source,
+            CASE WHEN b:User THEN 'User' ELSE 'Transaction' END AS targetLabel, b.id AS target,
+            CASE WHEN t IS NULL OR coalesce(t.status, '') IN $inactiveStatuses THEN 0.0
+                ELSE ${transferAmountExpression('t')} END AS amount
+        `,
+        { types: relationshipTypes, inactiveStatuses: INACTIVE_TRANSFER_STATUSES }
+    );
+
+    return {
+        nodes: nodes.records.map(record => ({ label: record.get('label'), id: record.get('id') })),
+        edges: edges.records.map(record => ({
+            source: nodeKey(record.get('sourceLabel'), record.get('source')),
+            target: nodeKey(record.get('targetLabel'), record.get('target')),
+            amount: record.get('amount')
+        }))
+    };
+}
+
+/**
+ * Compute the centrality rows in a worker thread
+ * @param {Array} nodes - Nodes as {label, id}
+ * @param {Array} edges - Edges as {source, target, amount} between node keys
+ * @param {Object} options - Computation options (betweennessSources)
+ * @param {Function} onProgress - Called with (processed, total) betweenness sources
+ * @returns {Promise<Array>} Rows to store ({label, id, ...metrics})
+ */
+function computeRowsInWorker(nodes, edges, options, onProgress) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(path.join(__dirname, 'centralityWorker.js'), {
+            workerData: { nodes, edges, options }
+        });
+
+        worker.on('message', message => {
+            if (message.type === 'progress') {
+                onProgress(message.processed, message.total);
+            } else {
+                resolve(message.rows);
+            }
+        });
+        worker.on('error', reject);
+        worker.on('exit', code => {
+            if (code !== 0) reject(new Error(`Centrality worker stopped with exit code ${code}`));
+        });
+    });
+}
+
+/**
+ * Compute the centrality of every user and transaction and store it on the nodes. The
+ * scores are computed in a worker thread; betweenness is exact on graphs of up to
+ * betweennessSources nodes and estimated from that many sources on larger ones.
+ * @param {Object} options - Computation options
+ * @param {Array} options.relationshipTypes - Relationship types forming the graph (default SENT_MONEY, RECEIVED_BY)
+ * @param {number} options.betweennessSources - Source nodes searched for betweenness (default BETWEENNESS_MAX_SOURCES)
+ * @param {number} options.batchSize - Nodes written per transaction
+ * @param {Function} options.onProgress - Called with {phase, processed, total} as the job advances
+ * @returns {Object} Report with the relationship types used and the number of nodes and edges scored
+ */
+async function computeCentrality(options = {}) {
+    const relationshipTypes = options.relationshipTypes && options.relationshipTypes.length > 0
+        ? options.relationshipTypes
+        : DEFAULT_RELATIONSHIP_TYPES;
+    const batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+    const onProgress = options.onProgress || (() => {});
+    const computedAt = new Date().toISOString();
+    const session = getSession();
+
+    try {
+        onProgress({ phase: 'loading', processed: 0, total: null });
+        const { nodes, edges } = await loadCentralityGraph(session, relationshipTypes);
+
+        const betweennessSources = Math.min(nodes.length, options.betweennessSources || BETWEENNESS_MAX_SOURCES);
+        onProgress({ phase: 'computing', processed: 0, total: betweennessSources });
+        const rows = await computeRowsInWorker(nodes, edges, { betweennessSources }, (processed, total) =>
+            onProgress({ phase: 'computing', processed, total }));
+
+        // Scores are written as plain numbers (degrees included) so the graph data sent to the
+        // frontend can size nodes by them without converting Neo4j integers
+        onProgress({ phase: 'writing', processed: 0, total: rows.length });
+        let processed = 0;
+        for (const label of Object.values(CENTRALITY_NODE_LABELS)) {
+            const labelRows = rows.filter(row => row.label === label);
+
+            for (let start = 0; start < labelRows.length; start += batchSize) {
+                const batch = labelRows.slice(start, start + batchSize);
+
+                await session.executeWrite(tx => tx.run(
+                    `
+                    UNWIND $rows AS row
+                    MATCH (n:${label} {id: row.id})
+                    SET n.degree = row.degree,
+                        n.inDegree = row.inDegree,
+                        n.outDegree = row.outDegree,
+                        n.inAmount = row.inAmount,
+                        n.outAmount = row.outAmount,
+                        n.pageRank = row.pageRank,
+                        n.betweenness = row.betweenness,
+                        n.centralityComputedAt = $computedAt
+                    `,
+                    { rows: batch, computedAt }
+                ));
+
+                processed += batch.length;
+                onProgress({ phase: 'writing', processed, total: rows.length });
+            }
+        }
+
+        return {
+            computedAt,
+            relationshipTypes,
+            nodeCount: nodes.length,
+            userCount: rows.filter(row => row.label === CENTRALITY_NODE_LABELS.user).length,
+            transactionCount: rows.filter(row => row.label === CENTRALITY_NODE_LABELS.transaction).length,
+            edgeCount: edges.length,
+            // Edges whose amount could not be converted count towards degrees but not amounts
+            unconvertedEdgeCount: edges.filter(edge => edge.amount === null).length,
+            betweennessSources,
+            betweennessExact: betweennessSources === nodes.length
+        };
+    } finally {
+        await session.close();
+    }
+}
+
+/**
+ * Rank users and transactions by a stored centrality metric
+ * @param {Object} options - Ranking options
+ * @param {string} options.metric - One of CENTRALITY_METRICS (default pageRank)
+ * @param {string} options.nodeType - 'user' or 'transaction' (both when omitted)
+ * @param {number} options.limit - Maximum number of nodes (default 50)
+ * @returns {Object} Number of scored nodes and the highest-ranked nodes with all their metrics
+ */
+async function getCentrality(options = {}) {
+    const metric = options.metric || 'pageRank';
+    if (!CENTRALITY_METRICS.includes(metric)) {
+        throw new Error(`Unknown centrality metric: ${metric}`);
+    }
+
+    const labels = options.nodeType
+        ? [CENTRALITY_NODE_LABELS[options.nodeType]]
+        : Object.values(CENTRALITY_NODE_LABELS);
+    const labelFilter = labels.map(label => `n:${label}`).join(' OR ');
+    const session = getSession();
+
+    try {
+        const result = await session.run(
+            `
+            MATCH (n)
+            WHERE (${labelFilter}) AND n.${metric} IS NOT NULL
+            WITH n
+            ORDER BY n.${metric} DESC, n.id
+            LIMIT $limit
+            RETURN CASE WHEN n:User THEN 'user' ELSE 'transaction' END AS nodeType,
+                n {.id, .name, .amount, .currency, .timestamp, .${CENTRALITY_METRICS.join(', .')}, .centralityComputedAt} AS node
+            `,
+            { limit: neo4j.int(options.limit || 50) }
+        );
+
+        const countResult = await session.run(
+            `
+            MATCH (n)
+            WHERE (${labelFilter}) AND n.${metric} IS NOT NULL
+            RETURN count(n) AS nodeCount
+            `
+        );
+
+        return {
+            metric,
+            nodeType: options.nodeType || null,
+            nodeCount: countResult.records[0].get('nodeCount').toNumber(),
+            nodes: result.records.map((record, index) => {
+                const node = record.get('node');
+                const nodeType = record.get('nodeType');
+
+                return {
+                    rank: index + 1,
+                    nodeType,
+                    id: node.id,
+                    ...(nodeType === 'user'
+                        ? { name: node.name }
+                        : { amount: node.amount, currency: node.currency, timestamp: node.timestamp }),
+                    degree: node.degree,
+                    inDegree: node.inDegree,
+                    outDegree: node.outDegree,
+                    inAmount: node.inAmount,
+                    outAmount: node.outAmount,
+                    pageRank: node.pageRank,
+                    betweenness: node.betweenness,
+                    computedAt: node.centralityComputedAt
+                };
+            })
+        };
+    } finally {
+        await session.close();
+    }
+}
+
+module.exports = {
+    BETWEENNESS_MAX_SOURCES,
+    CENTRALITY_METRICS,
+    CENTRALITY_NODE_LABELS,
+    CENTRALITY_PROPERTIES,
+    DEFAULT_RELATIONSHIP_TYPES,
+    computeCentrality,
+    getCentrality
+};
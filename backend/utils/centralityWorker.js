@@ -0,0 +1,77 @@
+/**
+ * Centrality scores computed in a worker thread. Betweenness searches the graph from
+ * many nodes, which would otherwise keep the API process from answering requests while
+ * a computation runs. The worker receives {nodes, edges, options} as workerData, posts
+ * {type: 'progress', processed, total} while searching and finally {type: 'result', rows}.
+ */
+const { isMainThread, parentPort, workerData } = require('worker_threads');
+const { pageRank, betweenness } = require('./graphAlgorithmUtils');
+
+/**
+ * Key of a node in the in-memory graph; users and transactions may share IDs
+ * @param {string} label - Node label
+ * @param {string} id - Node ID
+ * @returns {string} Node key
+ */
+function nodeKey(label, id) {
+    return `${label}:${id}`;
+}
+
+/**
+ * Compute every centrality metric of every node
+ * @param {Array} nodes - Nodes as {label, id}
+ * @param {Array} edges - Edges as {source, target, amount} between node keys
+ * @param {Object} options - Computation options
+ * @param {number} options.betweennessSources - Maximum number of sources searched for betweenness
+ * @param {Function} onProgress - Called with (processed, total) betweenness sources
+ * @returns {Array} Rows to store ({label, id, ...metrics})
+ */
+function buildCentralityRows(nodes, edges, options = {}, onProgress = () => {}) {
+    const keys = nodes.map(node => nodeKey(node.label, node.id));
+    const ranks = pageRank(keys, edges);
+    const between = betweenness(keys, edges, { sources: options.betweennessSources, onProgress });
+
+    const degrees = new Map(keys.map(key => [key, { inDegree: 0, outDegree: 0, inAmount: 0, outAmount: 0 }]));
+    edges.forEach(({ source, target, amount }) => {
+        if (!degrees.has(source) || !degrees.has(target)) return;
+
+        // Amounts that could not be converted into the base currency are left out
+        const from = degrees.get(source);
+        from.outDegree += 1;
+        from.outAmount += amount || 0;
+
+        const to = degrees.get(target);
+        to.inDegree += 1;
+        to.inAmount += amount || 0;
+    });
+
+    return nodes.map((node, index) => {
+        const key = keys[index];
+        const degree = degrees.get(key);
+
+        return {
+            label: node.label,
+            id: node.id,
+            degree: degree.inDegree + degree.outDegree,
+            inDegree: degree.inDegree,
+            outDegree: degree.outDegree,
+            inAmount: Math.round(degree.inAmount * 100) / 100,
+            outAmount: Math.round(degree.outAmount * 100) / 100,
+            pageRank: ranks.get(key),
+            betweenness: between.get(key)
+        };
+    });
+}
+
+if (!isMainThread && parentPort) {
+    const { nodes, edges, options } = workerData;
+    const rows = buildCentralityRows(nodes, edges, options, (processed, total) => {
+        parentPort.postMessage({ type: 'progress', processed, total });
+    });
+    parentPort.postMessage({ type: 'result', rows });
+}
+
+module.exports = {
+    nodeKey,
+    buildCentralityRows
+};
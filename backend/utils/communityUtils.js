@@ -0,0 +1,261 @@
+/**
+ * Community detection over users. Users are connected by their direct relationships
+ * (transfers, shared emails, phones, addresses, link rules, ...) and by the payment
+ * methods, devices, IP addresses and locations they share; each connection is weighted
+ * by its relationship type. Communities found with the Louvain method are stored on the
+ * User nodes as communityId (the smallest user ID in the community) and communityDegree
+ * (the total weight of the member's connections inside its community).
+ */
+const neo4j = require('neo4j-driver');
+const { getSession } = require('../db/neo4jConnection');
+const { detectCommunities } = require('./louvainUtils');
+const { RELATIONSHIP_WEIGHTS, DEFAULT_RELATIONSHIP_WEIGHT } = require('./graphAnalyticsUtils');
+const { SHARED_NODE_RELATIONSHIPS } = require('./graphDataUtils');
+const { INACTIVE_TRANSFER_STATUSES, transferAmountExpression } = require('./moneyTrailUtils');
+
+const DEFAULT_BATCH_SIZE = 500;
+
+// User properties written by community detection, kept when a user is updated
+const COMMUNITY_PROPERTIES = ['communityId', 'communityDegree', 'communityDetectedAt'];
+
+// Shared nodes used by more users than this (a public IP address, a city) say little
+// about who belongs together and would add a connection between every pair of their users
+const MAX_SHARED_NODE_USERS = 50;
+
+/**
+ * Load the weighted connections between users
+ * @param {Object} session - Neo4j session
+ * @param {Object} options - Graph options
+ * @param {Array} options.relationshipTypes - Relationship types to use (all when omitted)
+ * @param {Object} options.weights - Relationship weights overriding RELATIONSHIP_WEIGHTS
+ * @returns {Object} User IDs and undirected edges as {source, target, weight}
+ */
+async function loadUserGraph(session, options = {}) {
+    const types = options.relationshipTypes && options.relationshipTypes.length > 0
+        ? options.relationshipTypes
+        : null;
+    const weights = { ...RELATIONSHIP_WEIGHTS, ...(options.weights || {}) };
+    const weightOf = type => weights[type] || DEFAULT_RELATIONSHIP_WEIGHT;
+
+    const direct = await session.run(
+        `
+        MATCH (a:User)-[r]->(b:User)
+        WHERE a <> b AND ($types IS NULL OR type(r) IN $types)
+        RETURN a.id AS source, b.id AS target, type(r) AS type, count(r) AS count
+        `,
+        { types }
+    );
+
+    const sharedTypes = types ? SHARED_NODE_RELATIONSHIPS.filter(type => types.includes(type)) : SHARED_NODE_RELATIONSHIPS;
+    // Payment methods with a derived fingerprint may be different cards and connect no one
+    const shared = await session.run(
+        `
+        MATCH (u:User)-[r]->(n)
+        WHERE type(r) IN $sharedTypes AND NOT coalesce(n.weakFingerprint, false)
+        WITH n, type(r) AS type, collect(DISTINCT u.id) AS users
+        WHERE size(users) >= 2 AND size(users) <= $maxSharedUsers
+        UNWIND range(0, size(users) - 2) AS i
+        UNWIND range(i + 1, size(users) - 1) AS j
+        RETURN users[i] AS source, users[j] AS target, type, count(n) AS count
+        `,
+        { sharedTypes, maxSharedUsers: neo4j.int(MAX_SHARED_NODE_USERS) }
+    );
+
+    const edges = direct.records.concat(shared.records).map(record => ({
+        source: record.get('source'),
+        target: record.get('target'),
+        weight: weightOf(record.get('type')) * record.get('count').toNumber()
+    }));
+
+    const users = await session.run('MATCH (u:User) RETURN u.id AS id ORDER BY u.id');
+
+    return { nodes: users.records.map(record => record.get('id')), edges };
+}
+
+/**
+ * Group users into communities and the total weight of each member's connections inside them
+ * @param {Array} nodes - User IDs
+ * @param {Array} edges - Weighted edges
+ * @returns {Object} Rows to store ({id, communityId, communityDegree}) and the modularity
+ */
+function buildCommunityRows(nodes, edges) {
+    const { communities, modularity } = detectCommunities(nodes, edges);
+
+    const members = new Map();
+    communities.forEach((community, id) => {
+        members.set(community, (members.get(community) || []).concat(id));
+    });
+
+    const degrees = new Map();
+    edges.forEach(({ source, target, weight }) => {
+        if (source === target || communities.get(source) !== communities.get(target)) return;
+        degrees.set(source, (degrees.get(source) || 0) + weight);
+        degrees.set(target, (degrees.get(target) || 0) + weight);
+    });
+
+    // Users left on their own are not part of any community
+    const rows = [];
+    members.forEach(ids => {
+        if (ids.length < 2) return;
+
+        const communityId = ids.reduce((smallest, id) => (id < smallest ? id : smallest));
+        ids.forEach(id => rows.push({ id, communityId, communityDegree: degrees.get(id) || 0 }));
+    });
+
+    return { rows, modularity };
+}
+
+/**
+ * Detect communities of users with the Louvain method and store them on the User nodes.
+ * Users outside every community lose a communityId stored by an earlier run.
+ * @param {Object} options - Detection options
+ * @param {Array} options.relationshipTypes - Relationship types connecting users (all when omitted)
+ * @param {Object} options.weights - Relationship weights overriding RELATIONSHIP_WEIGHTS
+ * @param {number} options.batchSize - Users written per transaction
+ * @param {Function} options.onProgress - Called with {phase, processed, total} as the job advances
+ * @returns {Object} Report with the number of communities, the modularity and the users assigned
+ */
+async function detectUserCommunities(options = {}) {
+    const batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+    const onProgress = options.onProgress || (() => {});
+    const detectedAt = new Date().toISOString();
+    const session = getSession();
+
+    try {
+        onProgress({ phase: 'loading', processed: 0, total: null });
+        const { nodes, edges } = await loadUserGraph(session, options);
+
+        onProgress({ phase: 'detecting', processed: 0, total: nodes.length });
+        const { rows, modularity } = buildCommunityRows(nodes, edges);
+
+        onProgress({ phase: 'writing', processed: 0, total: rows.length });
+        for (let start = 0; start < rows.length; start += batchSize) {
+            const batch = rows.slice(start, start + batchSize);
+
+            await session.executeWrite(tx => tx.run(
+                `
+                UNWIND $rows AS row
+                MATCH (u:User {id: row.id})
+                SET u.communityId = row.communityId,
+                    u.communityDegree = row.communityDegree,
+                    u.communityDetectedAt = $detectedAt
+                `,
+                { rows: batch, detectedAt }
+            ));
+
+            onProgress({ phase: 'writing', processed: start + batch.length, total: rows.length });
+        }
+
+        const cleared = await session.executeWrite(tx => tx.run(
+            `
+            MATCH (u:User)
+            WHERE u.communityId IS NOT NULL AND u.communityDetectedAt <> $detectedAt
+            REMOVE u.communityId, u.communityDegree, u.communityDetectedAt
+            RETURN count(u) AS cleared
+            `,
+            { detectedAt }
+        ));
+
+        const communityIds = new Set(rows.map(row => row.communityId));
+
+        return {
+            detectedAt,
+            algorithm: 'louvain',
+            userCount: nodes.length,
+            edgeCount: edges.length,
+            communityCount: communityIds.size,
+            usersInCommunities: rows.length,
+            usersCleared: cleared.records[0].get('cleared').toNumber(),
+            modularity
+        };
+    } finally {
+        await session.close();
+    }
+}
+
+/**
+ * List the stored communities, largest first, with their internal transfer volume and
+ * their most central members. Transfers in a currency without a rate are left out of the
+ * volume and counted as unconvertedTransferCount.
+ * @param {Object} options - List options
+ * @param {number} options.minSize - Smallest community listed (default 2)
+ * @param {number} options.limit - Maximum number of communities (default 50)
+ * @param {number} options.topMembers - Central members listed per community (default 5)
+ * @returns {Object} Number of communities and the communities listed
+ */
+async function getCommunities(options = {}) {
+    const session = getSession();
+
+    try {
+        const params = {
+            minSize: neo4j.int(options.minSize || 2),
+            limit: neo4j.int(options.limit || 50),
+            topMembers: neo4j.int(options.topMembers || 5),
+            inactiveStatuses: INACTIVE_TRANSFER_STATUSES
+        };
+
+        const result = await session.run(
+            `
+            MATCH (u:User)
+            WHERE u.communityId IS NOT NULL
+            WITH u.communityId AS communityId, count(u) AS size, max(u.communityDetectedAt) AS detectedAt
+            WHERE size >= $minSize
+            ORDER BY size DESC, communityId
+            LIMIT $limit
+            CALL {
+                WITH communityId
+                OPTIONAL MATCH (:User {communityId: communityId})-[r:TRANSFERRED_TO]->(:User {communityId: communityId})
+                WITH r, head([(t:Transaction {id: r.transactionId})
+                    WHERE NOT coalesce(t.status, '') IN $inactiveStatuses | {amount: ${transferAmountExpression('t')}}]) AS transfer
+                RETURN count(transfer) AS internalTransferCount,
+                       sum(coalesce(transfer.amount, 0.0)) AS internalTransferVolume,
+                       count(CASE WHEN transfer IS NOT NULL AND transfer.amount IS NULL THEN 1 END) AS unconvertedTransferCount
+            }
+            CALL {
+                WITH communityId
+                MATCH (member:User {communityId: communityId})
+                WITH member
+                ORDER BY member.communityDegree DESC, member.id
+                LIMIT $topMembers
+                RETURN collect(member {.id, .name, .communityDegree}) AS centralMembers
+            }
+            RETURN communityId, size, detectedAt, internalTransferCount, internalTransferVolume,
+                   unconvertedTransferCount, centralMembers
+            `,
+            params
+        );
+
+        const countResult = await session.run(
+            `
+            MATCH (u:User)
+            WHERE u.communityId IS NOT NULL
+            WITH u.communityId AS communityId, count(u) AS size
+            WHERE size >= $minSize
+            RETURN count(communityId) AS communityCount
+            `,
+            params
+        );
+
+        return {
+            communityCount: countResult.records[0].get('communityCount').toNumber(),
+            communities: result.records.map(record => ({
+                communityId: record.get('communityId'),
+                size: record.get('size').toNumber(),
+                detectedAt: record.get('detectedAt'),
+                internalTransferCount: record.get('internalTransferCount').toNumber(),
+                internalTransferVolume: record.get('internalTransferVolume'),
+                unconvertedTransferCount: record.get('unconvertedTransferCount').toNumber(),
+                centralMembers: record.get('centralMembers')
+            }))
+        };
+    } finally {
+        await session.close();
+    }
+}
+
+module.exports = {
+    COMMUNITY_PROPERTIES,
+    MAX_SHARED_NODE_USERS,
+    detectUserCommunities,
+    getCommunities
+};
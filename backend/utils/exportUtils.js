@@ -2,9 +2,32 @@
  * Utility functions for data export
  */
 const { getSession } = require('../db/neo4jConnection');
+const { buildStatusCondition } = require('./transactionStatusUtils');
+const { BASE_CURRENCY } = require('./fxRateUtils');
 const fs = require('fs');
 const path = require('path');
 
+// Property that identifies each kind of node in exports
+const NODE_KEYS = {
+    User: 'id',
+    Transaction: 'id',
+    PaymentMethod: 'fingerprint',
+    Device: 'deviceId',
+    IpAddress: 'address',
+    Location: 'key',
+    FxRate: 'id'
+};
+
+// Shared nodes and the FX rate table, exported alongside users and transactions and keyed
+// by their section in the export; a restore in replace mode would otherwise lose them
+const SHARED_NODE_LABELS = {
+    paymentMethods: 'PaymentMethod',
+    devices: 'Device',
+    ipAddresses: 'IpAddress',
+    locations: 'Location',
+    fxRates: 'FxRate'
+};
+
 /**
  * Export all user data in the specified format
  * @param {string} format - Export format ('json' or 'csv')
@@ -33,26 +56,52 @@ async function exportUsers(format) {
     }
 }
 
+/**
+ * Rewrite a transaction in base currency terms, keeping the original amount alongside.
+ * Transactions without a rate for their currency keep their original amount.
+ * @param {Object} transaction - Transaction node properties
+ * @returns {Object} Transaction with amount and currency in the base currency
+ */
+function toBaseAmounts(transaction) {
+    if (transaction.amountBase === undefined || transaction.amountBase === null) {
+        return transaction;
+    }
+
+    return {
+        ...transaction,
+        amount: transaction.amountBase,
+        currency: BASE_CURRENCY,
+        originalAmount: transaction.amount,
+        originalCurrency: transaction.currency
+    };
+}
+
 /**
  * Export all transaction data in the specified format
  * @param {string} format - Export format ('json' or 'csv')
+ * @param {Object} filters - Optional status filter (status, statusAsOf)
+ * @param {Object} options - Export options
+ * @param {string} options.amounts - 'base' to write amounts in the base currency (default 'original')
  * @returns {Object} Export result with data and metadata
  */
-async function exportTransactions(format) {
+async function exportTransactions(format, filters = {}, options = {}) {
     const session = getSession();
 
     try {
+        const statusFilter = buildStatusCondition('t', filters);
+
         // Get all transactions with their properties
         const query = `
             MATCH (t:Transaction)
+            ${statusFilter ? `WHERE ${statusFilter.condition}` : ''}
             RETURN t
         `;
 
-        const result = await session.run(query);
+        const result = await session.run(query, statusFilter ? statusFilter.params : {});
 
         const transactions = result.records.map(record => {
             const transaction = record.get('t');
-            return transaction.properties;
+            return options.amounts === 'base' ? toBaseAmounts(transaction.properties) : transaction.properties;
         });
 
         return formatExport(transactions, format, 'transactions');
@@ -61,28 +110,64 @@ async function exportTransactions(format) {
     }
 }
 
+/**
+ * Export all shared nodes of one kind (payment methods, devices, ...) in the specified format
+ * @param {string} entityType - Section of the export (a key of SHARED_NODE_LABELS)
+ * @param {string} format - Export format ('json' or 'csv')
+ * @returns {Object} Export result with data and metadata
+ */
+async function exportSharedNodes(entityType, format) {
+    const session = getSession();
+
+    try {
+        const result = await session.run(`
+            MATCH (n:${SHARED_NODE_LABELS[entityType]})
+            RETURN n
+        `);
+
+        const nodes = result.records.map(record => record.get('n').properties);
+
+        return formatExport(nodes, format, entityType);
+    } finally {
+        await session.close();
+    }
+}
+
 /**
  * Export all relationship data in the specified format
  * @param {string} format - Export format ('json' or 'csv')
+ * @param {Object} filters - Optional status filter (status, statusAsOf); relationships of
+ *                           transactions that do not pass it, including their transfers, are left out
  * @returns {Object} Export result with data and metadata
  */
-async function exportRelationships(format) {
+async function exportRelationships(format, filters = {}) {
     const session = getSession();
 
     try {
+        const statusFilter = buildStatusCondition('t', filters);
+        const transactionCondition = statusFilter
+            ? `
+            WHERE all(t IN [n IN [a, b] WHERE n:Transaction] WHERE ${statusFilter.condition})
+              AND (type(r) <> 'TRANSFERRED_TO'
+                   OR EXISTS { MATCH (t:Transaction {id: r.transactionId}) WHERE ${statusFilter.condition} })`
+            : '';
+
         // Get all relationships with source and target information
         const query = `
-            MATCH (a)-[r]->(b)
+            MATCH (a)-[r]->(b)${transactionCondition}
             RETURN 
                 labels(a) AS sourceLabels, 
-                a.id AS sourceId,
+                a[coalesce($nodeKeys[head(labels(a))], 'id')] AS sourceId,
                 type(r) AS relationshipType,
                 properties(r) AS relationshipProperties,
                 labels(b) AS targetLabels,
-                b.id AS targetId
+                b[coalesce($nodeKeys[head(labels(b))], 'id')] AS targetId
         `;
 
-        const result = await session.run(query);
+        const result = await session.run(query, {
+            nodeKeys: NODE_KEYS,
+            ...(statusFilter ? statusFilter.params : {})
+        });
 
         const relationships = result.records.map(record => ({
             sourceType: record.get('sourceLabels')[0],
@@ -100,23 +185,35 @@ async function exportRelationships(format) {
 }
 
 /**
- * Export complete graph data (users, transactions, relationships) in the specified format
+ * Export complete graph data (users, transactions, shared nodes, relationships) in the specified format
  * @param {string} format - Export format ('json' or 'csv')
+ * @param {Object} filters - Optional transaction status filter (status, statusAsOf)
+ * @param {Object} options - Export options (amounts: 'original' or 'base')
  * @returns {Object} Export result with data and metadata
  */
-async function exportFullGraph(format) {
+async function exportFullGraph(format, filters = {}, options = {}) {
     const users = await exportUsers(format);
-    const transactions = await exportTransactions(format);
-    const relationships = await exportRelationships(format);
+    const transactions = await exportTransactions(format, filters, options);
+    const relationships = await exportRelationships(format, filters);
+
+    const sharedNodes = {};
+    const sharedNodeCounts = {};
+    for (const entityType of Object.keys(SHARED_NODE_LABELS)) {
+        const exported = await exportSharedNodes(entityType, format);
+        sharedNodes[entityType] = exported.data;
+        sharedNodeCounts[entityType] = exported.metadata.count;
+    }
 
     if (format === 'json') {
         const fullGraph = {
             users: users.data,
             transactions: transactions.data,
+            ...sharedNodes,
             relationships: relationships.data,
             metadata: {
                 userCount: users.metadata.count,
                 transactionCount: transactions.metadata.count,
+                sharedNodeCounts,
                 relationshipCount: relationships.metadata.count,
                 exportDate: new Date().toISOString()
             }
@@ -129,6 +226,7 @@ async function exportFullGraph(format) {
                 count: {
                     users: users.metadata.count,
                     transactions: transactions.metadata.count,
+                    ...sharedNodeCounts,
                     relationships: relationships.metadata.count
                 },
                 exportDate: new Date().toISOString()
@@ -141,12 +239,14 @@ async function exportFullGraph(format) {
             data: {
                 users: users.data,
                 transactions: transactions.data,
+                ...sharedNodes,
                 relationships: relationships.data
             },
             metadata: {
                 count: {
                     users: users.metadata.count,
                     transactions: transactions.metadata.count,
+                    ...sharedNodeCounts,
                     relationships: relationships.metadata.count
                 },
                 exportDate: new Date().toISOString()
@@ -291,6 +391,8 @@ async function saveExportToFile(exportData, filename, outputDir = 'exports') {
 }
 
 module.exports = {
+    NODE_KEYS,
+    SHARED_NODE_LABELS,
     exportFullGraph,
     saveExportToFile
 };
\ No newline at end of file
@@ -0,0 +1,115 @@
+/**
+ * Utility functions for fuzzy matching of user attributes. Users whose names or
+ * addresses are similar but not equal are linked with SIMILAR_* relationships.
+ */
+const { normalizeAddress } = require('./normalizationUtils');
+const { jaroWinklerSimilarity, tokenSetSimilarity } = require('./similarityUtils');
+
+// Fuzzy matching is optional because it adds a full-text lookup to every user write
+const FUZZY_MATCHING_ENABLED = process.env.FUZZY_MATCHING_ENABLED === 'true';
+
+// Number of full-text candidates scored for each attribute value
+const FUZZY_CANDIDATE_LIMIT = parseInt(process.env.FUZZY_CANDIDATE_LIMIT, 10) || 50;
+
+/**
+ * Read a similarity threshold from the environment
+ * @param {string} value - Environment value
+ * @param {number} defaultValue - Threshold used when the value is missing or out of range
+ * @returns {number} Threshold between 0 (exclusive) and 1
+ */
+function parseThreshold(value, defaultValue) {
+    const threshold = parseFloat(value);
+    return threshold > 0 && threshold <= 1 ? threshold : defaultValue;
+}
+
+/**
+ * Turn a name into comparable text: lowercase words without punctuation, sorted so
+ * that "Smith, John" and "John Smith" compare equal
+ * @param {string} name - Name as stored
+ * @returns {string} Comparable text
+ */
+function nameText(name) {
+    return String(name)
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean)
+        .sort()
+        .join(' ');
+}
+
+/**
+ * Turn an address into comparable text: the normalized field values in key order
+ * @param {Object|string} address - Address object or its JSON encoding
+ * @returns {string} Comparable text
+ */
+function addressText(address) {
+    const normalized = normalizeAddress(address);
+    if (!normalized) return '';
+
+    try {
+        return Object.values(JSON.parse(normalized)).join(' ');
+    } catch (error) {
+        // Addresses that are not JSON normalize to plain text
+        return normalized;
+    }
+}
+
+// Attributes compared fuzzily, the relationship they produce, how their values are
+// compared and the minimum score for a link (configurable per attribute)
+const FUZZY_ATTRIBUTES = [
+    {
+        field: 'name',
+        relationship: 'SIMILAR_NAME',
+        toText: nameText,
+        similarity: jaroWinklerSimilarity,
+        threshold: parseThreshold(process.env.FUZZY_NAME_THRESHOLD, 0.9)
+    },
+    {
+        field: 'address',
+        relationship: 'SIMILAR_ADDRESS',
+        toText: addressText,
+        similarity: tokenSetSimilarity,
+        threshold: parseThreshold(process.env.FUZZY_ADDRESS_THRESHOLD, 0.8),
+        // Equal addresses are already linked by SHARES_ADDRESS
+        skipExact: true
+    }
+];
+
+/**
+ * Score how similar two stored attribute values are
+ * @param {Object} attribute - Entry of FUZZY_ATTRIBUTES
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} Score between 0 and 1 (rounded to 3 decimals)
+ */
+function scoreSimilarity(attribute, a, b) {
+    const textA = attribute.toText(a);
+    const textB = attribute.toText(b);
+    if (!textA || !textB) return 0;
+
+    return Math.round(attribute.similarity(textA, textB) * 1000) / 1000;
+}
+
+/**
+ * Score candidate users against an attribute value and keep those at or above the threshold
+ * @param {Object} attribute - Entry of FUZZY_ATTRIBUTES
+ * @param {*} value - The user's value
+ * @param {Array} candidates - Candidates as {id, value}
+ * @returns {Array} Matches as {id, score}
+ */
+function findSimilar(attribute, value, candidates) {
+    const text = attribute.toText(value);
+
+    return candidates
+        .filter(candidate => !(attribute.skipExact && attribute.toText(candidate.value) === text))
+        .map(candidate => ({ id: candidate.id, score: scoreSimilarity(attribute, value, candidate.value) }))
+        .filter(match => match.score >= attribute.threshold);
+}
+
+module.exports = {
+    FUZZY_MATCHING_ENABLED,
+    FUZZY_CANDIDATE_LIMIT,
+    FUZZY_ATTRIBUTES,
+    scoreSimilarity,
+    findSimilar
+};
@@ -0,0 +1,34 @@
+/**
+ * Utility functions for converting transaction amounts into the base currency.
+ * A rate is the number of base currency units one unit of a currency was worth on a
+ * date; transactions are converted at the latest rate on or before their own date.
+ */
+
+// Currency that amountBase is expressed in
+const BASE_CURRENCY = (process.env.BASE_CURRENCY || 'USD').trim().toUpperCase();
+
+/**
+ * Reduce a timestamp to the calendar date (UTC) rates are keyed by
+ * @param {string} timestamp - ISO 8601 date or timestamp
+ * @returns {string} Date as YYYY-MM-DD
+ */
+function toRateDate(timestamp) {
+    return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+/**
+ * Build the ID of the rate of a currency against a base currency on a date
+ * @param {string} base - Base currency
+ * @param {string} currency - Quoted currency
+ * @param {string} date - Date as YYYY-MM-DD
+ * @returns {string} Rate ID
+ */
+function fxRateId(base, currency, date) {
+    return `${base}:${currency}:${date}`;
+}
+
+module.exports = {
+    BASE_CURRENCY,
+    toRateDate,
+    fxRateId
+};
@@ -0,0 +1,188 @@
+/**
+ * Centrality algorithms on directed graphs held in memory. Nodes are IDs; edges are
+ * {source, target} pairs and may repeat when two nodes are linked more than once.
+ */
+
+const DEFAULT_DAMPING = 0.85;
+const DEFAULT_MAX_ITERATIONS = 100;
+const DEFAULT_TOLERANCE = 1e-6;
+
+/**
+ * Build the outgoing adjacency lists of a graph, ignoring edges to unknown nodes
+ * @param {Array} nodes - Node IDs
+ * @param {Array} edges - Directed edges as {source, target}
+ * @returns {Map} Node ID to the IDs its edges point at (one entry per edge)
+ */
+function buildOutgoing(nodes, edges) {
+    const outgoing = new Map(nodes.map(node => [node, []]));
+
+    edges.forEach(({ source, target }) => {
+        if (outgoing.has(source) && outgoing.has(target)) {
+            outgoing.get(source).push(target);
+        }
+    });
+
+    return outgoing;
+}
+
+/**
+ * Compute PageRank by power iteration. The rank of nodes without outgoing edges is
+ * spread evenly over all nodes; ranks add up to 1.
+ * @param {Array} nodes - Node IDs
+ * @param {Array} edges - Directed edges as {source, target}
+ * @param {Object} options - PageRank options
+ * @param {number} options.damping - Probability of following an edge rather than jumping (default 0.85)
+ * @param {number} options.maxIterations - Maximum number of iterations (default 100)
+ * @param {number} options.tolerance - Stop once ranks change by less than this in total (default 1e-6)
+ * @returns {Map} Node ID to PageRank
+ */
+function pageRank(nodes, edges, options = {}) {
+    const damping = options.damping === undefined ? DEFAULT_DAMPING : options.damping;
+    const maxIterations = options.maxIterations || DEFAULT_MAX_ITERATIONS;
+    const tolerance = options.tolerance || DEFAULT_TOLERANCE;
+
+    const count = nodes.length;
+    if (count === 0) return new Map();
+
+    const outgoing = buildOutgoing(nodes, edges);
+    let ranks = new Map(nodes.map(node => [node, 1 / count]));
+
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+        let danglingRank = 0;
+        nodes.forEach(node => {
+            if (outgoing.get(node).length === 0) danglingRank += ranks.get(node);
+        });
+
+        const base = (1 - damping) / count + damping * danglingRank / count;
+        const next = new Map(nodes.map(node => [node, base]));
+
+        nodes.forEach(node => {
+            const targets = outgoing.get(node);
+            if (targets.length === 0) return;
+
+            const share = damping * ranks.get(node) / targets.length;
+            targets.forEach(target => next.set(target, next.get(target) + share));
+        });
+
+        let change = 0;
+        nodes.forEach(node => {
+            change += Math.abs(next.get(node) - ranks.get(node));
+        });
+
+        ranks = next;
+        if (change < tolerance) break;
+    }
+
+    return ranks;
+}
+
+/**
+ * Pick evenly spaced source nodes, so the same graph always gives the same sample
+ * @param {number} count - Number of nodes
+ * @param {number} sources - Number of sources wanted
+ * @returns {Array} Node indexes
+ */
+function sampleSources(count, sources) {
+    if (!(sources < count)) {
+        return Array.from({ length: count }, (_, index) => index);
+    }
+
+    const step = count / sources;
+    return Array.from({ length: sources }, (_, index) => Math.floor(index * step));
+}
+
+/**
+ * Compute betweenness centrality with Brandes' algorithm: the share of shortest directed
+ * paths between other nodes that pass through each node, normalized by the number of
+ * ordered pairs of other nodes so that scores lie between 0 and 1.
+ * Each source costs a search of the whole graph. With options.sources below the number of
+ * nodes, only that many sources are searched and the scores are scaled up to estimate the
+ * exact ones (Brandes and Pich's pivot sampling).
+ * @param {Array} nodes - Node IDs
+ * @param {Array} edges - Directed edges as {source, target}; repeated edges count once
+ * @param {Object} options - Betweenness options
+ * @param {number} options.sources - Maximum number of source nodes searched (all when omitted)
+ * @param {Function} options.onProgress - Called with (processed, total) sources every 100 sources
+ * @returns {Map} Node ID to betweenness
+ */
+function betweenness(nodes, edges, options = {}) {
+    const count = nodes.length;
+    const onProgress = options.onProgress || (() => {});
+    const indexes = new Map(nodes.map((node, index) => [node, index]));
+
+    // Distinct outgoing neighbours by node index
+    const outgoing = Array.from({ length: count }, () => new Set());
+    edges.forEach(({ source, target }) => {
+        if (indexes.has(source) && indexes.has(target)) {
+            outgoing[indexes.get(source)].add(indexes.get(target));
+        }
+    });
+    const neighbours = outgoing.map(targets => [...targets]);
+
+    // Search state, reset after each source for the nodes it reached
+    const scores = new Float64Array(count);
+    const distances = new Int32Array(count).fill(-1);
+    const pathCounts = new Float64Array(count);
+    const dependencies = new Float64Array(count);
+    const predecessors = Array.from({ length: count }, () => []);
+    const order = new Int32Array(count);
+
+    const sources = sampleSources(count, options.sources);
+    sources.forEach((source, sourceNumber) => {
+        // Breadth-first search counting the shortest paths from the source to every node
+        distances[source] = 0;
+        pathCounts[source] = 1;
+        order[0] = source;
+        let reached = 1;
+
+        for (let head = 0; head < reached; head++) {
+            const node = order[head];
+
+            for (const next of neighbours[node]) {
+                if (distances[next] < 0) {
+                    distances[next] = distances[node] + 1;
+                    order[reached++] = next;
+                }
+                if (distances[next] === distances[node] + 1) {
+                    pathCounts[next] += pathCounts[node];
+                    predecessors[next].push(node);
+                }
+            }
+        }
+
+        // Accumulate dependencies from the farthest nodes back to the source
+        for (let position = reached - 1; position >= 0; position--) {
+            const node = order[position];
+
+            for (const predecessor of predecessors[node]) {
+                dependencies[predecessor] += pathCounts[predecessor] / pathCounts[node] * (1 + dependencies[node]);
+            }
+            if (node !== source) {
+                scores[node] += dependencies[node];
+            }
+        }
+
+        for (let position = 0; position < reached; position++) {
+            const node = order[position];
+            distances[node] = -1;
+            pathCounts[node] = 0;
+            dependencies[node] = 0;
+            predecessors[node].length = 0;
+        }
+
+        if ((sourceNumber + 1) % 100 === 0) onProgress(sourceNumber + 1, sources.length);
+    });
+
+    const pairs = (count - 1) * (count - 2);
+    const scale = sources.length > 0 ? count / sources.length : 1;
+
+    return new Map(nodes.map((node, index) => [
+        node,
+        pairs > 0 ? Math.min(scores[index] * scale / pairs, 1) : scores[index]
+    ]));
+}
+
+module.exports = {
+    pageRank,
+    betweenness
+};
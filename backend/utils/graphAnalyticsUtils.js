@@ -1,16 +1,109 @@
 /**
  * Utility functions for graph analytics
  */
+const neo4j = require('neo4j-driver');
 const { getSession } = require('../db/neo4jConnection');
+const { NODE_LABELS } = require('./graphDataUtils');
+
+// Transaction properties that can be used for clustering
+const CLUSTER_ATTRIBUTES = ['ipAddress', 'deviceId', 'currency', 'status', 'amount', 'amountBase'];
+
+// Converted amounts carry the fractions of the rate, so they are clustered to the cent
+const CLUSTER_KEYS = {
+    amountBase: 'round(t.amountBase, 2)'
+};
+
+// How strongly each relationship type ties two nodes together. A hop costs 1 / weight,
+// so paths along direct transfers cost less than paths through shared attributes.
+const RELATIONSHIP_WEIGHTS = {
+    TRANSFERRED_TO: 1,
+    SENT_MONEY: 1,
+    RECEIVED_BY: 1,
+    REFUND_OF: 1,
+    REVERSAL_OF: 1,
+    CHARGEBACK_OF: 1,
+    SHARES_EMAIL: 0.8,
+    SHARES_PHONE: 0.8,
+    USES_PAYMENT_METHOD: 0.8,
+    SHARES_ADDRESS: 0.5,
+    USED_DEVICE: 0.5,
+    USED_IP: 0.3,
+    SIMILAR_NAME: 0.3,
+    SIMILAR_ADDRESS: 0.3,
+    AT_LOCATION: 0.2
+};
+
+// Weight of relationship types not listed above, such as those created by link rules
+const DEFAULT_RELATIONSHIP_WEIGHT = 0.5;
+
+const PATH_DIRECTIONS = ['both', 'outgoing', 'incoming'];
+
+// shortest: one shortest path; all: every shortest path; k: the k shortest simple paths
+const PATH_MODES = ['shortest', 'all', 'k'];
+
+// Most paths returned in 'all' mode: paths through shared devices, IP addresses and locations
+// multiply, so two users can be joined by a very large number of equally short paths
+const MAX_ALL_SHORTEST_PATHS = 100;
 
 /**
- * Find the shortest path between two users
+ * Build the relationship part of a path pattern
+ * @param {Array} relationshipTypes - Relationship types to traverse (all when empty)
+ * @param {string} direction - One of PATH_DIRECTIONS, relative to the source
+ * @param {number} maxDepth - Maximum path length
+ * @returns {string} Cypher pattern such as -[:A|B*..5]->
+ */
+function buildPathPattern(relationshipTypes, direction, maxDepth) {
+    const types = relationshipTypes.length > 0 ? `:${relationshipTypes.join('|')}` : '';
+    const relationship = `[${types}*..${maxDepth}]`;
+
+    if (direction === 'outgoing') {
+        return `-${relationship}->`;
+    }
+    if (direction === 'incoming') {
+        return `<-${relationship}-`;
+    }
+    return `-${relationship}-`;
+}
+
+/**
+ * Format a Neo4j path as steps, with the direction each relationship was traversed in
+ * @param {Object} path - Neo4j path
+ * @returns {Array} Steps as {from, relationship, to}
+ */
+function formatPathSteps(path) {
+    const formatNode = node => ({
+        id: node.properties.id,
+        type: node.labels[0],
+        properties: node.properties
+    });
+
+    return path.segments.map(segment => ({
+        from: formatNode(segment.start),
+        relationship: {
+            type: segment.relationship.type,
+            properties: segment.relationship.properties,
+            direction: segment.relationship.startNodeElementId === segment.start.elementId ? 'forward' : 'backward'
+        },
+        to: formatNode(segment.end)
+    }));
+}
+
+/**
+ * Find the shortest path, every shortest path or the k shortest paths between two users
  * @param {string} sourceUserId - ID of the source user
  * @param {string} targetUserId - ID of the target user
  * @param {number} maxDepth - Maximum path length to search for (optional, default: 5)
- * @returns {Object} The shortest path details
+ * @param {Object} options - Path options
+ * @param {Array} options.relationshipTypes - Relationship types to traverse (all when omitted)
+ * @param {string} options.direction - 'both' (default), 'outgoing' or 'incoming', relative to the source
+ * @param {Array} options.excludeNodeTypes - Node types paths may not pass through (see NODE_TYPES)
+ * @param {string} options.mode - 'shortest' (default), 'all' or 'k'
+ * @param {number} options.k - Number of paths in 'k' mode (default 3)
+ * @param {Object} options.weights - Relationship weights overriding RELATIONSHIP_WEIGHTS
+ * @returns {Object} The paths found, each with its length and weighted cost; in 'all' mode at
+ *                   most MAX_ALL_SHORTEST_PATHS, with truncated set when there were more
  */
-async function findShortestPath(sourceUserId, targetUserId, maxDepth = 5) {
+async function findShortestPath(sourceUserId, targetUserId, maxDepth = 5, options = {}) {
     const session = getSession();
 
     try {
@@ -29,60 +122,69 @@ async function findShortestPath(sourceUserId, targetUserId, maxDepth = 5) {
             throw new Error('One or both users not found');
         }
 
-        // Find shortest path between users
-        // This query will find paths that can go through:
-        // - Direct user relationships
-        // - Common transactions
-        // - Users connected via shared attributes
+        const mode = options.mode || 'shortest';
+        const pattern = buildPathPattern(options.relationshipTypes || [], options.direction || 'both', maxDepth);
+        const excludedLabels = (options.excludeNodeTypes || []).map(type => NODE_LABELS[type]);
+
+        const conditions = [];
+        if (excludedLabels.length > 0) {
+            conditions.push('none(n IN nodes(path)[1..-1] WHERE any(label IN labels(n) WHERE label IN $excludedLabels))');
+        }
+
+        // Any relationship can be part of a path unless relationshipTypes narrows it down:
+        // direct user relationships, common transactions and shared attribute nodes
+        let match;
+        if (mode === 'k') {
+            // Enumerate simple paths up to maxDepth and keep the k shortest, cheapest first
+            conditions.push('all(n IN nodes(path) WHERE single(m IN nodes(path) WHERE m = n))');
+            match = `MATCH path = (source:User {id: $sourceUserId})${pattern}(target:User {id: $targetUserId})`;
+        } else {
+            const shortest = mode === 'all' ? 'allShortestPaths' : 'shortestPath';
+            match = `MATCH path = ${shortest}(
+                (source:User {id: $sourceUserId})${pattern}(target:User {id: $targetUserId})
+            )`;
+        }
+
         const query = `
-            MATCH path = shortestPath(
-                (source:User {id: $sourceUserId})-[*..${maxDepth}]-(target:User {id: $targetUserId})
-            )
-            RETURN path, length(path) AS pathLength
+            ${match}
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+            WITH path, reduce(cost = 0.0, r IN relationships(path) |
+                cost + 1.0 / coalesce($weights[type(r)], $defaultWeight)) AS cost
+            RETURN path, length(path) AS pathLength, cost
+            ORDER BY pathLength, cost
+            ${mode === 'shortest' ? '' : 'LIMIT $limit'}
         `;
 
         const result = await session.run(query, {
             sourceUserId,
-            targetUserId
+            targetUserId,
+            excludedLabels,
+            weights: { ...RELATIONSHIP_WEIGHTS, ...(options.weights || {}) },
+            defaultWeight: DEFAULT_RELATIONSHIP_WEIGHT,
+            // One path more than returned in 'all' mode shows whether the result was cut off
+            limit: neo4j.int(mode === 'k' ? options.k || 3 : MAX_ALL_SHORTEST_PATHS + 1)
         });
 
         if (result.records.length === 0) {
             return { pathExists: false, message: 'No path found between users' };
         }
 
-        // Process the path to make it more readable
-        const path = result.records[0].get('path');
-        const pathLength = result.records[0].get('pathLength');
-
-        const nodes = path.segments.map(segment => segment.start).concat([path.segments[path.segments.length - 1].end]);
-        const relationships = path.segments.map(segment => segment.relationship);
-
-        // Format nodes and relationships for better readability
-        const formattedNodes = nodes.map(node => ({
-            id: node.properties.id,
-            type: node.labels[0],
-            properties: node.properties
-        }));
-
-        const formattedRelationships = relationships.map(rel => ({
-            type: rel.type,
-            properties: rel.properties
+        const truncated = mode === 'all' && result.records.length > MAX_ALL_SHORTEST_PATHS;
+        const paths = result.records.slice(0, MAX_ALL_SHORTEST_PATHS).map(record => ({
+            pathLength: record.get('pathLength').toNumber(),
+            cost: record.get('cost'),
+            path: formatPathSteps(record.get('path'))
         }));
 
-        // Build path as array of objects representing each step
-        const pathSteps = [];
-        for (let i = 0; i < relationships.length; i++) {
-            pathSteps.push({
-                from: formattedNodes[i],
-                relationship: formattedRelationships[i],
-                to: formattedNodes[i + 1]
-            });
-        }
-
+        // The first path is also returned at the top level, as before paths were added
         return {
             pathExists: true,
-            pathLength,
-            path: pathSteps
+            pathLength: paths[0].pathLength,
+            cost: paths[0].cost,
+            path: paths[0].path,
+            pathCount: paths.length,
+            ...(mode === 'all' ? { truncated, pathLimit: MAX_ALL_SHORTEST_PATHS } : {}),
+            paths
         };
     } finally {
         await session.close();
@@ -100,16 +202,15 @@ async function clusterTransactions(attribute, minClusterSize = 2) {
 
     try {
         // Validate attribute
-        const validAttributes = ['ipAddress', 'deviceId', 'currency', 'status', 'amount'];
-        if (!validAttributes.includes(attribute)) {
-            throw new Error(`Invalid attribute: ${attribute}. Valid options are: ${validAttributes.join(', ')}`);
+        if (!CLUSTER_ATTRIBUTES.includes(attribute)) {
+            throw new Error(`Invalid attribute: ${attribute}. Valid options are: ${CLUSTER_ATTRIBUTES.join(', ')}`);
         }
 
         // Query to find clusters of transactions based on the specified attribute
         const query = `
             MATCH (t:Transaction)
             WHERE t.${attribute} IS NOT NULL
-            WITH t.${attribute} AS shared, collect(t) AS transactions
+            WITH ${CLUSTER_KEYS[attribute] || `t.${attribute}`} AS shared, collect(t) AS transactions
             WHERE size(transactions) >= $minClusterSize
             RETURN shared, 
                    [x IN transactions | x.id] AS transactionIds,
@@ -131,6 +232,12 @@ async function clusterTransactions(attribute, minClusterSize = 2) {
 }
 
 module.exports = {
+    CLUSTER_ATTRIBUTES,
+    RELATIONSHIP_WEIGHTS,
+    DEFAULT_RELATIONSHIP_WEIGHT,
+    PATH_DIRECTIONS,
+    PATH_MODES,
+    MAX_ALL_SHORTEST_PATHS,
     findShortestPath,
     clusterTransactions
 };
\ No newline at end of file
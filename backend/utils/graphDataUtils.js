@@ -0,0 +1,285 @@
+/**
+ * Utility functions for building visualization-ready graph data
+ */
+const neo4j = require('neo4j-driver');
+const { getSession } = require('../db/neo4jConnection');
+const { buildStatusCondition } = require('./transactionStatusUtils');
+const { ADJUSTMENT_RELATIONSHIPS } = require('./transactionChainUtils');
+
+const NODE_TYPES = ['user', 'transaction', 'paymentMethod', 'device', 'ipAddress', 'location'];
+
+// Neo4j label of each node type
+const NODE_LABELS = {
+    user: 'User',
+    transaction: 'Transaction',
+    paymentMethod: 'PaymentMethod',
+    device: 'Device',
+    ipAddress: 'IpAddress',
+    location: 'Location'
+};
+
+// Shared nodes: the property identifying them and how they are labelled in the graph
+const SHARED_NODES = {
+    PaymentMethod: {
+        type: 'paymentMethod',
+        key: 'fingerprint',
+        label: properties => {
+            const name = properties.provider || properties.type || 'Payment method';
+            return properties.last4 ? `${name} ••${properties.last4}` : name;
+        }
+    },
+    Device: {
+        type: 'device',
+        key: 'deviceId',
+        label: properties => `Device ${properties.deviceId}`
+    },
+    IpAddress: {
+        type: 'ipAddress',
+        key: 'address',
+        label: properties => properties.address
+    },
+    Location: {
+        type: 'location',
+        key: 'key',
+        label: properties => [properties.city, properties.country].filter(Boolean).join(', ') || 'Location'
+    }
+};
+
+// Relationships from users and transactions to shared nodes
+const SHARED_NODE_RELATIONSHIPS = ['USES_PAYMENT_METHOD', 'USED_DEVICE', 'USED_IP', 'AT_LOCATION'];
+
+/**
+ * Fetch users, transactions, shared nodes and the relationships between them in a single query
+ * and return them as Cytoscape elements
+ * @param {Object} options - Query options
+ * @param {Array} options.nodeTypes - Node types to include (see NODE_TYPES)
+ * @param {Array} options.relationshipTypes - Relationship types to include (all when omitted)
+ * @param {number} options.userLimit - Maximum number of users (unlimited when omitted)
+ * @param {number} options.transactionLimit - Maximum number of transactions (unlimited when omitted)
+ * @param {Array} options.status - Transaction statuses to include (all when omitted)
+ * @param {string} options.statusAsOf - Match the status transactions had at this time (ISO 8601)
+ * @returns {Object} Graph elements ({nodes, edges}) and metadata
+ */
+async function getGraphElements(options = {}) {
+    const session = getSession();
+
+    try {
+        const nodeTypes = options.nodeTypes && options.nodeTypes.length > 0 ? options.nodeTypes : NODE_TYPES;
+        const relationshipTypes = options.relationshipTypes && options.relationshipTypes.length > 0
+            ? options.relationshipTypes
+            : null;
+
+        const params = {
+            relationshipTypes,
+            labels: nodeTypes.map(type => NODE_LABELS[type])
+        };
+        const nodeQueries = [];
+
+        // Transfers between users are kept only when their transaction passes the status filter
+        const statusFilter = buildStatusCondition('t', options);
+        let transferCondition = '';
+        if (statusFilter) {
+            Object.assign(params, statusFilter.params);
+            transferCondition = `
+                  AND (type(r) <> 'TRANSFERRED_TO'
+                       OR EXISTS { MATCH (t:Transaction {id: r.transactionId}) WHERE ${statusFilter.condition} })`;
+        }
+
+        if (nodeTypes.includes('user')) {
+            let userQuery = 'MATCH (u:User) RETURN u AS n ORDER BY u.createdAt DESC';
+            if (options.userLimit) {
+                userQuery += ' LIMIT $userLimit';
+                params.userLimit = neo4j.int(options.userLimit);
+            }
+            nodeQueries.push(userQuery);
+        }
+
+        if (nodeTypes.includes('transaction')) {
+            let transactionQuery = 'MATCH (t:Transaction) ' +
+                (statusFilter ? `WHERE ${statusFilter.condition} ` : '') +
+                'RETURN t AS n ORDER BY t.timestamp DESC';
+            if (options.transactionLimit) {
+                transactionQuery += ' LIMIT $transactionLimit';
+                params.transactionLimit = neo4j.int(options.transactionLimit);
+            }
+            nodeQueries.push(transactionQuery);
+        }
+
+        Object.keys(SHARED_NODES).forEach(label => {
+            if (nodeTypes.includes(SHARED_NODES[label].type)) {
+                nodeQueries.push(`MATCH (n:${label}) RETURN n`);
+            }
+        });
+
+        // Relationships are fetched from the selected nodes only; edges whose far end
+        // falls outside the selection are dropped below when the elements are built
+        const query = `
+            CALL {
+                ${nodeQueries.join('\n                UNION\n                ')}
+            }
+            WITH collect(n) AS nodes
+            CALL {
+                WITH nodes
+                UNWIND nodes AS source
+                MATCH (source)-[r]->(target)
+                WHERE any(label IN labels(target) WHERE label IN $labels)
+                  AND ($relationshipTypes IS NULL OR type(r) IN $relationshipTypes)${transferCondition}
+                RETURN collect(r) AS relationships
+            }
+            RETURN nodes, relationships
+        `;
+
+        const result = await session.run(query, params);
+
+        const record = result.records[0];
+        const nodes = record ? record.get('nodes') : [];
+        const relationships = record ? record.get('relationships') : [];
+
+        const nodeIdMap = new Map();
+        const nodeElements = nodes.map(node => {
+            const element = formatNode(node);
+            nodeIdMap.set(node.elementId, element.data.id);
+            return element;
+        });
+
+        const edgeElements = [];
+        relationships.forEach(relationship => {
+            const source = nodeIdMap.get(relationship.startNodeElementId);
+            const target = nodeIdMap.get(relationship.endNodeElementId);
+
+            if (source && target) {
+                edgeElements.push(formatEdge(relationship, source, target));
+            }
+        });
+
+        return {
+            nodes: nodeElements,
+            edges: edgeElements,
+            metadata: {
+                nodeCount: nodeElements.length,
+                edgeCount: edgeElements.length,
+                nodeTypes,
+                relationshipTypes,
+                status: options.status || null,
+                statusAsOf: options.statusAsOf || null
+            }
+        };
+    } finally {
+        await session.close();
+    }
+}
+
+/**
+ * Convert a Neo4j node into a Cytoscape node element
+ * @param {Object} node - Neo4j node
+ * @returns {Object} Cytoscape node element
+ */
+function formatNode(node) {
+    const properties = node.properties;
+
+    const sharedLabel = node.labels.find(label => SHARED_NODES[label]);
+    if (sharedLabel) {
+        const shared = SHARED_NODES[sharedLabel];
+        return {
+            data: {
+                ...properties,
+                // Keys such as location JSON or IPv6 addresses are not safe in element IDs
+                id: `${shared.type}-${encodeURIComponent(properties[shared.key])}`,
+                entityId: properties[shared.key],
+                // The payment instrument type would otherwise be shadowed by the node type
+                methodType: properties.type,
+                label: shared.label(properties),
+                type: shared.type
+            },
+            classes: `shared ${shared.type}`
+        };
+    }
+
+    if (node.labels.includes('Transaction')) {
+        return {
+            data: {
+                ...properties,
+                id: `transaction-${properties.id}`,
+                entityId: properties.id,
+                label: `Transaction ${properties.id}`,
+                type: 'transaction'
+            },
+            classes: 'transaction'
+        };
+    }
+
+    return {
+        data: {
+            ...properties,
+            id: `user-${properties.id}`,
+            entityId: properties.id,
+            label: properties.name || `User ${properties.id}`,
+            type: 'user'
+        },
+        classes: 'user'
+    };
+}
+
+/**
+ * Convert a Neo4j relationship into a Cytoscape edge element
+ * @param {Object} relationship - Neo4j relationship
+ * @param {string} source - Cytoscape ID of the source node
+ * @param {string} target - Cytoscape ID of the target node
+ * @returns {Object} Cytoscape edge element
+ */
+function formatEdge(relationship, source, target) {
+    const relType = relationship.type;
+    const data = {
+        id: `edge-${relType}-${relationship.elementId}`,
+        source,
+        target,
+        label: relType,
+        relationshipType: relType,
+        properties: relationship.properties
+    };
+
+    if (relType === 'TRANSFERRED_TO') {
+        return {
+            data: {
+                ...data,
+                amount: relationship.properties.amount,
+                currency: relationship.properties.currency
+            },
+            classes: 'transfer'
+        };
+    }
+
+    if (relType === 'SENT_MONEY' || relType === 'RECEIVED_BY') {
+        return { data, classes: 'user-transaction' };
+    }
+
+    if (relType === 'USES_PAYMENT_METHOD') {
+        return { data, classes: 'user-payment-method' };
+    }
+
+    if (SHARED_NODE_RELATIONSHIPS.includes(relType)) {
+        return {
+            data,
+            classes: source.startsWith('user-') ? 'user-attribute' : 'transaction-attribute'
+        };
+    }
+
+    // Refunds, reversals and chargebacks point at the transaction they adjust
+    if (ADJUSTMENT_RELATIONSHIPS.includes(relType)) {
+        return { data, classes: 'transaction-transaction adjustment' };
+    }
+
+    // The remaining links (SHARES_*, SIMILAR_*, link rules) are undirected identity links
+    if (source.startsWith('transaction-') && target.startsWith('transaction-')) {
+        return { data, classes: 'transaction-transaction identity' };
+    }
+
+    return { data, classes: 'user-user identity' };
+}
+
+module.exports = {
+    NODE_TYPES,
+    NODE_LABELS,
+    SHARED_NODE_RELATIONSHIPS,
+    getGraphElements
+};
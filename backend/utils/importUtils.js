@@ -0,0 +1,289 @@
+/**
+ * Utility functions for data import
+ */
+const User = require('../models/userModel');
+const Transaction = require('../models/transactionModel');
+const FxRate = require('../models/fxRateModel');
+
+// Columns that convertToCSV writes as JSON-encoded strings
+const JSON_COLUMNS = {
+    users: ['address', 'paymentMethods'],
+    transactions: ['location'],
+    relationships: ['properties'],
+    fxRates: []
+};
+
+// Columns that must be converted back to numbers
+const NUMBER_COLUMNS = {
+    users: [],
+    transactions: ['amount'],
+    relationships: [],
+    fxRates: ['rate']
+};
+
+const ENTITY_TYPES = ['users', 'transactions', 'relationships', 'fxRates'];
+
+/**
+ * Parse CSV text into an array of rows (arrays of cell values).
+ * Understands the quoting produced by convertToCSV: quoted cells,
+ * doubled quotes and commas or newlines inside quoted cells.
+ * @param {string} text - CSV content
+ * @returns {Array} Rows of cell values
+ */
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    // Strip a UTF-8 byte order mark if present
+    const content = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+
+        if (inQuotes) {
+            if (char === '"') {
+                if (content[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            // Treat \r\n as a single line break
+            if (char === '\r' && content[i + 1] === '\n') {
+                i++;
+            }
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (inQuotes) {
+        throw new Error('Malformed CSV: unterminated quoted value');
+    }
+
+    // Add the last row if the content does not end with a newline
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Convert CSV text into records keyed by field name
+ * @param {string} text - CSV content
+ * @param {string} entityType - Type of entity ('users', 'transactions', 'relationships' or 'fxRates')
+ * @param {Object} mapping - Optional map of CSV column name to field name
+ * @returns {Object} Parsed records and row-level errors
+ */
+function parseRecords(text, entityType, mapping = {}) {
+    const records = [];
+    const errors = [];
+
+    let rows;
+    try {
+        rows = parseCSV(text);
+    } catch (error) {
+        // Row 0 marks a problem with the file as a whole
+        errors.push({ row: 0, id: null, status: 'error', error: error.message });
+        return { records, errors };
+    }
+
+    if (rows.length === 0) {
+        return { records, errors };
+    }
+
+    const headers = rows[0].map(header => {
+        const name = header.trim();
+        return mapping[name] || name;
+    });
+
+    rows.slice(1).forEach((cells, index) => {
+        // Row numbers are 1-based and exclude the header row
+        const row = index + 1;
+        const record = {};
+        const rowErrors = [];
+
+        headers.forEach((field, column) => {
+            const rawValue = cells[column] !== undefined ? cells[column] : '';
+
+            // Empty cells mean the property was not set
+            if (!field || rawValue === '') return;
+
+            if (JSON_COLUMNS[entityType].includes(field)) {
+                try {
+                    record[field] = JSON.parse(rawValue);
+                } catch (error) {
+                    rowErrors.push(`${field} must be valid JSON`);
+                }
+            } else if (NUMBER_COLUMNS[entityType].includes(field)) {
+                const value = Number(rawValue);
+                if (isNaN(value)) {
+                    rowErrors.push(`${field} must be a number`);
+                } else {
+                    record[field] = value;
+                }
+            } else {
+                record[field] = rawValue;
+            }
+        });
+
+        if (cells.length > headers.length) {
+            rowErrors.push(`Row has ${cells.length} columns but the header has ${headers.length}`);
+        }
+
+        if (rowErrors.length > 0) {
+            errors.push({ row, id: record.id || null, status: 'error', error: rowErrors.join('; ') });
+        } else {
+            records.push({ row, record });
+        }
+    });
+
+    return { records, errors };
+}
+
+/**
+ * Derive transaction parties from SENT_MONEY and RECEIVED_BY relationship records
+ * @param {Array} relationships - Parsed relationship records
+ * @returns {Map} Transaction ID to {fromUserId, toUserId}
+ */
+function derivePartiesFromRelationships(relationships) {
+    const parties = new Map();
+
+    relationships.forEach(({ record }) => {
+        if (record.type === 'SENT_MONEY' && record.targetId) {
+            const entry = parties.get(record.targetId) || {};
+            entry.fromUserId = record.sourceId;
+            parties.set(record.targetId, entry);
+        } else if (record.type === 'RECEIVED_BY' && record.sourceId) {
+            const entry = parties.get(record.sourceId) || {};
+            entry.toUserId = record.targetId;
+            parties.set(record.sourceId, entry);
+        }
+    });
+
+    return parties;
+}
+
+/**
+ * Merge row-level parse errors with the report returned by a bulk write
+ * @param {Array} records - Records passed to the bulk write
+ * @param {Array} errors - Row-level parse errors
+ * @param {Object} report - Bulk write report
+ * @returns {Object} Combined report ordered by row
+ */
+function buildReport(records, errors, report) {
+    const results = report.results
+        .map((result, index) => {
+            const { index: _index, ...rest } = result;
+            return { row: records[index].row, ...rest };
+        })
+        .concat(errors)
+        .sort((a, b) => a.row - b.row);
+
+    const succeeded = report.succeeded;
+
+    return {
+        total: records.length + errors.length,
+        succeeded,
+        failed: records.length + errors.length - succeeded,
+        results
+    };
+}
+
+/**
+ * Import users, transactions and relationships from CSV files
+ * in the format produced by the CSV export, and FX rates (date, currency, rate, base)
+ * @param {Object} files - CSV content keyed by entity type ('users', 'transactions', 'relationships', 'fxRates')
+ * @param {Object} options - Import options
+ * @param {Object} options.mapping - Column mappings keyed by entity type
+ * @param {boolean} options.dryRun - Validate only, without writing to the database
+ * @param {number} options.batchSize - Number of records written per statement
+ * @returns {Object} Import report per entity type
+ */
+async function importCSV(files, options = {}) {
+    const mapping = options.mapping || {};
+    const bulkOptions = { dryRun: Boolean(options.dryRun), batchSize: options.batchSize };
+    const report = { dryRun: bulkOptions.dryRun };
+
+    const parsed = {};
+    for (const entityType of ENTITY_TYPES) {
+        if (files[entityType]) {
+            parsed[entityType] = parseRecords(files[entityType], entityType, mapping[entityType]);
+        }
+    }
+
+    // Relationships exported from this system describe who sent and received each
+    // transaction. The remaining relationship types are derived during ingestion.
+    if (parsed.relationships) {
+        const { records, errors } = parsed.relationships;
+        const partyRecords = records.filter(({ record }) =>
+            record.type === 'SENT_MONEY' || record.type === 'RECEIVED_BY'
+        );
+
+        report.relationships = {
+            total: records.length + errors.length,
+            usedForParties: partyRecords.length,
+            derivedOnIngest: records.length - partyRecords.length,
+            failed: errors.length,
+            results: errors
+        };
+    }
+
+    // Rates are loaded first so that the transactions below convert at ingest
+    if (parsed.fxRates) {
+        const { records, errors } = parsed.fxRates;
+        const bulkReport = await FxRate.bulkCreateOrUpdate(records.map(({ record }) => record), bulkOptions);
+        report.fxRates = buildReport(records, errors, bulkReport);
+
+        if (!bulkOptions.dryRun) {
+            report.fxRates.transactionsConverted = bulkReport.transactionsConverted;
+        }
+    }
+
+    if (parsed.users) {
+        const { records, errors } = parsed.users;
+        const bulkReport = await User.bulkCreateOrUpdate(records.map(({ record }) => record), bulkOptions);
+        report.users = buildReport(records, errors, bulkReport);
+    }
+
+    if (parsed.transactions) {
+        const { records, errors } = parsed.transactions;
+        const parties = parsed.relationships
+            ? derivePartiesFromRelationships(parsed.relationships.records)
+            : new Map();
+
+        const transactions = records.map(({ record }) => ({
+            ...(parties.get(record.id) || {}),
+            ...record
+        }));
+
+        const bulkReport = await Transaction.bulkCreateOrUpdate(transactions, bulkOptions);
+        report.transactions = buildReport(records, errors, bulkReport);
+    }
+
+    return report;
+}
+
+module.exports = {
+    ENTITY_TYPES,
+    parseCSV,
+    importCSV
+};
@@ -0,0 +1,81 @@
+/**
+ * In-memory registry for long-running maintenance jobs started from routes.
+ * Jobs run in the background of the API process; their state is lost on restart.
+ */
+const { v4: uuidv4 } = require('uuid');
+
+// Finished jobs kept for status lookups, oldest dropped first
+const MAX_FINISHED_JOBS = 20;
+
+const jobs = new Map();
+
+/**
+ * Drop the oldest finished jobs beyond MAX_FINISHED_JOBS
+ */
+function pruneFinishedJobs() {
+    const finished = [...jobs.values()].filter(job => job.status !== 'running');
+    finished.slice(0, Math.max(finished.length - MAX_FINISHED_JOBS, 0)).forEach(job => jobs.delete(job.id));
+}
+
+/**
+ * Start a job in the background
+ * @param {string} type - Job type, e.g. 'rebuild-relationships'
+ * @param {Function} run - Async function called with an onProgress callback; its result becomes the job report
+ * @returns {Object} The job as stored (status 'running')
+ */
+function startJob(type, run) {
+    const job = {
+        id: uuidv4(),
+        type,
+        status: 'running',
+        progress: null,
+        report: null,
+        error: null,
+        startedAt: new Date().toISOString(),
+        finishedAt: null
+    };
+    jobs.set(job.id, job);
+
+    run(progress => {
+        job.progress = progress;
+    })
+        .then(report => {
+            job.status = 'completed';
+            job.report = report;
+        })
+        .catch(error => {
+            console.error(`Error running ${type} job:`, error);
+            job.status = 'failed';
+            job.error = error.message;
+        })
+        .finally(() => {
+            job.finishedAt = new Date().toISOString();
+            pruneFinishedJobs();
+        });
+
+    return job;
+}
+
+/**
+ * Get a job by ID
+ * @param {string} id - Job ID
+ * @returns {Object|null} Job, or null if it is unknown
+ */
+function getJob(id) {
+    return jobs.get(id) || null;
+}
+
+/**
+ * Find the running job of a type
+ * @param {string} type - Job type
+ * @returns {Object|null} Running job, or null if none is running
+ */
+function getRunningJob(type) {
+    return [...jobs.values()].find(job => job.type === type && job.status === 'running') || null;
+}
+
+module.exports = {
+    startJob,
+    getJob,
+    getRunningJob
+};
@@ -0,0 +1,129 @@
+/**
+ * Utility functions for loading link rules and turning them into Cypher
+ */
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { linkRulesFileSchema } = require('../validation/linkRuleSchemas');
+
+const DEFAULT_RULES_PATH = path.join(__dirname, '..', 'rules', 'linkRules.yaml');
+
+// Node label and default time property of each entity a rule can apply to
+const RULE_ENTITIES = {
+    user: { label: 'User', timeField: 'createdAt' },
+    transaction: { label: 'Transaction', timeField: 'timestamp' }
+};
+
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+let cachedRules = null;
+
+/**
+ * Convert a rule window into seconds
+ * @param {number|string} window - Seconds, or a duration such as "15m" or "1h"
+ * @returns {number} Window in seconds
+ */
+function parseDuration(window) {
+    if (typeof window === 'number') return window;
+
+    const [, amount, unit] = String(window).trim().match(/^(\d+)\s*([smhd])$/);
+    return parseInt(amount, 10) * DURATION_UNITS[unit];
+}
+
+/**
+ * Read and validate a link rule file (YAML or JSON, chosen by extension)
+ * @param {string} filePath - Path of the rule file
+ * @returns {Array} Rules with defaults applied and the window converted to seconds
+ */
+function loadLinkRules(filePath) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const parsed = path.extname(filePath).toLowerCase() === '.json' ? JSON.parse(content) : yaml.load(content);
+
+    const { value, error } = linkRulesFileSchema.validate(parsed, {
+        abortEarly: false,
+        errors: { wrap: { label: false } }
+    });
+
+    if (error) {
+        const invalid = new Error(`Invalid link rules in ${filePath}: ${error.details.map(detail => detail.message).join('; ')}`);
+        invalid.details = error.details.map(detail => ({ field: detail.path.join('.'), message: detail.message }));
+        throw invalid;
+    }
+
+    return value.rules.map(rule => ({
+        ...rule,
+        timeField: rule.window ? rule.timeField || RULE_ENTITIES[rule.entity].timeField : rule.timeField,
+        windowSeconds: rule.window ? parseDuration(rule.window) : undefined
+    }));
+}
+
+/**
+ * Get the link rules in use, loading them on first use from LINK_RULES_PATH
+ * (or the bundled rules/linkRules.yaml)
+ * @returns {Object} {source, rules}
+ */
+function getLinkRules() {
+    if (!cachedRules) {
+        const source = process.env.LINK_RULES_PATH || DEFAULT_RULES_PATH;
+        cachedRules = { source, rules: loadLinkRules(source) };
+    }
+    return cachedRules;
+}
+
+/**
+ * Get the enabled rules of an entity
+ * @param {string} entity - 'user' or 'transaction'
+ * @returns {Array} Rules
+ */
+function getActiveRules(entity) {
+    return getLinkRules().rules.filter(rule => rule.enabled && rule.entity === entity);
+}
+
+/**
+ * Build the Cypher condition under which a rule links node a to node b
+ * @param {Object} rule - Link rule
+ * @returns {string} Cypher boolean expression using $tolerance and $window
+ */
+function buildRuleCondition(rule) {
+    const { attribute } = rule;
+    const conditions = [];
+
+    if (rule.operator === 'equalsIgnoreCase') {
+        conditions.push(`toLower(toString(b.${attribute})) = toLower(toString(a.${attribute}))`);
+    } else if (rule.operator === 'within') {
+        conditions.push(`abs(b.${attribute} - a.${attribute}) <= $tolerance`);
+    } else {
+        conditions.push(`b.${attribute} = a.${attribute}`);
+    }
+
+    if (rule.windowSeconds) {
+        conditions.push(
+            `abs(duration.inSeconds(datetime(a.${rule.timeField}), datetime(b.${rule.timeField})).seconds) <= $window`
+        );
+    }
+
+    return conditions.join(' AND ');
+}
+
+/**
+ * Build the parameters referenced by buildRuleCondition
+ * @param {Object} rule - Link rule
+ * @returns {Object} Cypher parameters
+ */
+function buildRuleParams(rule) {
+    return {
+        rule: rule.name,
+        tolerance: rule.tolerance === undefined ? null : rule.tolerance,
+        window: rule.windowSeconds === undefined ? null : rule.windowSeconds
+    };
+}
+
+module.exports = {
+    RULE_ENTITIES,
+    parseDuration,
+    loadLinkRules,
+    getLinkRules,
+    getActiveRules,
+    buildRuleCondition,
+    buildRuleParams
+};
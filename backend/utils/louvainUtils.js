@@ -0,0 +1,204 @@
+/**
+ * Louvain community detection on weighted, undirected graphs. Nodes are moved to the
+ * neighbouring community that most increases modularity until no move helps, then each
+ * community is merged into a single node and the process repeats on the smaller graph.
+ */
+
+// A move must raise modularity by more than this to count, so rounding cannot cause endless moves
+const MIN_MODULARITY_GAIN = 1e-12;
+
+// Upper bound on passes over the nodes of one level
+const MAX_PASSES = 50;
+
+/**
+ * Build an adjacency map from weighted edges. Edges between the same pair are added up.
+ * @param {Array} nodes - Node IDs
+ * @param {Array} edges - Edges as {source, target, weight}
+ * @returns {Map} Node ID to a Map of neighbour ID to edge weight
+ */
+function buildAdjacency(nodes, edges) {
+    const adjacency = new Map(nodes.map(node => [node, new Map()]));
+
+    edges.forEach(({ source, target, weight }) => {
+        if (!adjacency.has(source) || !adjacency.has(target) || !(weight > 0)) return;
+
+        const sourceNeighbours = adjacency.get(source);
+        sourceNeighbours.set(target, (sourceNeighbours.get(target) || 0) + weight);
+
+        if (source !== target) {
+            const targetNeighbours = adjacency.get(target);
+            targetNeighbours.set(source, (targetNeighbours.get(source) || 0) + weight);
+        }
+    });
+
+    return adjacency;
+}
+
+/**
+ * Weighted degree of a node; a self-loop counts twice, as both of its ends touch the node
+ * @param {Map} neighbours - Neighbour ID to edge weight
+ * @param {*} node - Node ID
+ * @returns {number} Weighted degree
+ */
+function weightedDegree(neighbours, node) {
+    let degree = 0;
+    neighbours.forEach((weight, neighbour) => {
+        degree += neighbour === node ? 2 * weight : weight;
+    });
+    return degree;
+}
+
+/**
+ * Move nodes between communities until no single move increases modularity
+ * @param {Map} adjacency - Adjacency map of the current level
+ * @returns {Object} Community of each node and whether any node moved
+ */
+function moveNodes(adjacency) {
+    const nodes = [...adjacency.keys()];
+    const degrees = new Map(nodes.map(node => [node, weightedDegree(adjacency.get(node), node)]));
+    const totalWeight = nodes.reduce((total, node) => total + degrees.get(node), 0);
+
+    const community = new Map(nodes.map(node => [node, node]));
+    const communityDegree = new Map(degrees);
+
+    if (totalWeight === 0) {
+        return { community, moved: false };
+    }
+
+    let moved = false;
+    for (let pass = 0; pass < MAX_PASSES; pass++) {
+        let movedThisPass = false;
+
+        for (const node of nodes) {
+            const current = community.get(node);
+            const degree = degrees.get(node);
+
+            // Weight of the edges from the node into each neighbouring community
+            const linkWeights = new Map();
+            adjacency.get(node).forEach((weight, neighbour) => {
+                if (neighbour === node) return;
+                const neighbourCommunity = community.get(neighbour);
+                linkWeights.set(neighbourCommunity, (linkWeights.get(neighbourCommunity) || 0) + weight);
+            });
+
+            // Take the node out of its community before comparing where it fits best
+            communityDegree.set(current, communityDegree.get(current) - degree);
+
+            const gain = target => (linkWeights.get(target) || 0) - communityDegree.get(target) * degree / totalWeight;
+
+            let best = current;
+            let bestGain = gain(current);
+            linkWeights.forEach((_, candidate) => {
+                const candidateGain = gain(candidate);
+                if (candidateGain > bestGain + MIN_MODULARITY_GAIN) {
+                    best = candidate;
+                    bestGain = candidateGain;
+                }
+            });
+
+            communityDegree.set(best, communityDegree.get(best) + degree);
+            if (best !== current) {
+                community.set(node, best);
+                movedThisPass = true;
+                moved = true;
+            }
+        }
+
+        if (!movedThisPass) break;
+    }
+
+    return { community, moved };
+}
+
+/**
+ * Merge each community into a single node; edges inside a community become a self-loop
+ * @param {Map} adjacency - Adjacency map of the current level
+ * @param {Map} community - Community of each node
+ * @returns {Map} Adjacency map of the next level
+ */
+function aggregate(adjacency, community) {
+    const next = new Map();
+    [...new Set(community.values())].forEach(id => next.set(id, new Map()));
+
+    adjacency.forEach((neighbours, node) => {
+        const source = community.get(node);
+        neighbours.forEach((weight, neighbour) => {
+            const target = community.get(neighbour);
+            const sourceNeighbours = next.get(source);
+
+            // Every edge is seen from both ends; a self-loop of the current level only once
+            const share = source === target && node !== neighbour ? weight / 2 : weight;
+            sourceNeighbours.set(target, (sourceNeighbours.get(target) || 0) + share);
+        });
+    });
+
+    return next;
+}
+
+/**
+ * Compute the modularity of a partition
+ * @param {Map} adjacency - Adjacency map
+ * @param {Map} community - Community of each node
+ * @returns {number} Modularity between -0.5 and 1
+ */
+function modularity(adjacency, community) {
+    let totalWeight = 0;
+    const internal = new Map();
+    const degreeSums = new Map();
+
+    adjacency.forEach((neighbours, node) => {
+        const degree = weightedDegree(neighbours, node);
+        const nodeCommunity = community.get(node);
+
+        totalWeight += degree;
+        degreeSums.set(nodeCommunity, (degreeSums.get(nodeCommunity) || 0) + degree);
+
+        neighbours.forEach((weight, neighbour) => {
+            if (community.get(neighbour) === nodeCommunity) {
+                const ends = neighbour === node ? 2 * weight : weight;
+                internal.set(nodeCommunity, (internal.get(nodeCommunity) || 0) + ends);
+            }
+        });
+    });
+
+    if (totalWeight === 0) return 0;
+
+    let result = 0;
+    degreeSums.forEach((degreeSum, id) => {
+        result += (internal.get(id) || 0) / totalWeight - Math.pow(degreeSum / totalWeight, 2);
+    });
+    return result;
+}
+
+/**
+ * Detect communities with the Louvain method. Nodes are visited in the order given,
+ * so the same graph always gives the same communities.
+ * @param {Array} nodes - Node IDs
+ * @param {Array} edges - Undirected edges as {source, target, weight}
+ * @returns {Object} Community of each node (a Map to the ID of one of its members) and the modularity
+ */
+function detectCommunities(nodes, edges) {
+    const original = buildAdjacency(nodes, edges);
+
+    // Community of each original node, as a node of the current level
+    const membership = new Map(nodes.map(node => [node, node]));
+    let adjacency = original;
+
+    for (;;) {
+        const { community, moved } = moveNodes(adjacency);
+        if (!moved) break;
+
+        membership.forEach((levelNode, node) => membership.set(node, community.get(levelNode)));
+        adjacency = aggregate(adjacency, community);
+    }
+
+    return {
+        communities: membership,
+        modularity: modularity(original, membership)
+    };
+}
+
+module.exports = {
+    detectCommunities,
+    modularity
+};
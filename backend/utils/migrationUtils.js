@@ -0,0 +1,452 @@
+/**
+ * Data migrations for graphs written by earlier versions of the schema
+ */
+const neo4j = require('neo4j-driver');
+const { getSession } = require('../db/neo4jConnection');
+const PaymentMethod = require('../models/paymentMethodModel');
+const LinkRule = require('../models/linkRuleModel');
+const TransactionAttribute = require('../models/transactionAttributeModel');
+const FxRate = require('../models/fxRateModel');
+const { ATTRIBUTE_NODES } = require('./transactionAttributeUtils');
+const { fingerprintPaymentMethod } = require('./paymentMethodUtils');
+const { normalizeEmail, normalizePhone, normalizeAddress, normalizeIp, normalizeLocation } = require('./normalizationUtils');
+const { DEFAULT_STATUS } = require('./transactionStatusUtils');
+const { BASE_CURRENCY } = require('./fxRateUtils');
+const { forEachBatch } = require('./rebuildUtils');
+
+const DEFAULT_BATCH_SIZE = 500;
+
+/**
+ * Parse the paymentMethods JSON stored on a user
+ * @param {string} value - Stored property value
+ * @returns {Array} Payment methods (empty when missing or invalid)
+ */
+function parsePaymentMethods(value) {
+    try {
+        const parsed = JSON.parse(value);
+        return Array.isArray(parsed) ? parsed.filter(method => method && typeof method === 'object') : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Create PaymentMethod nodes and USES_PAYMENT_METHOD relationships from the
+ * paymentMethods JSON stored on users, then remove the pairwise
+ * SHARES_PAYMENT_METHOD relationships they replace
+ * @param {Object} options - Migration options
+ * @param {number} options.batchSize - Users processed per transaction
+ * @returns {Object} Migration report
+ */
+async function migratePaymentMethods(options = {}) {
+    const batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+    const session = getSession();
+
+    try {
+        let users = 0;
+        let lastId = '';
+
+        // Walk users in id order so each batch is a fresh, bounded read
+        for (;;) {
+            const result = await session.executeRead(tx => tx.run(
+                `
+                MATCH (u:User)
+                WHERE u.id > $lastId AND u.paymentMethods IS NOT NULL
+                RETURN u.id AS id, u.paymentMethods AS paymentMethods
+                ORDER BY u.id
+                LIMIT $batchSize
+                `,
+                { lastId, batchSize: neo4j.int(batchSize) }
+            ));
+
+            if (result.records.length === 0) {
+                break;
+            }
+
+            const rows = result.records.map(record => {
+                const paymentMethods = parsePaymentMethods(record.get('paymentMethods'));
+                return {
+                    id: record.get('id'),
+                    paymentMethods,
+                    // Rewritten with fingerprints, as new writes store them
+                    stored: JSON.stringify(paymentMethods.map(method => ({
+                        ...method,
+                        fingerprint: fingerprintPaymentMethod(method)
+                    })))
+                };
+            });
+
+            await session.executeWrite(async tx => {
+                await tx.run(
+                    `
+                    UNWIND $rows AS row
+                    MATCH (u:User {id: row.id})
+                    SET u.paymentMethods = row.stored
+                    `,
+                    { rows }
+                );
+                await PaymentMethod.syncUsers(tx, rows);
+            });
+
+            users += rows.length;
+            lastId = rows[rows.length - 1].id;
+        }
+
+        const deleted = await session.run(`
+            MATCH ()-[r:SHARES_PAYMENT_METHOD]->()
+            CALL { WITH r DELETE r } IN TRANSACTIONS OF ${batchSize} ROWS
+            RETURN count(*) AS deleted
+        `);
+
+        const counts = await session.run(`
+            MATCH (p:PaymentMethod)
+            OPTIONAL MATCH (:User)-[r:USES_PAYMENT_METHOD]->(p)
+            RETURN count(DISTINCT p) AS paymentMethods, count(r) AS links
+        `);
+
+        return {
+            migration: 'payment-methods',
+            usersProcessed: users,
+            paymentMethods: counts.records[0].get('paymentMethods').toNumber(),
+            usesPaymentMethodRelationships: counts.records[0].get('links').toNumber(),
+            deletedSharesPaymentMethodRelationships: deleted.records[0].get('deleted').toNumber()
+        };
+    } finally {
+        await session.close();
+    }
+}
+
+// Pairwise transaction relationships replaced by Device, IpAddress and Location nodes
+const PAIRWISE_ATTRIBUTE_RELATIONSHIPS = ['SHARES_IP', 'SHARES_DEVICE', 'SHARES_LOCATION'];
+
+/**
+ * Count relationships of the given types
+ * @param {Object} session - Neo4j session
+ * @param {Array} types - Relationship types
+ * @returns {Object} Count per type
+ */
+async function countRelationships(session, types) {
+    const counts = {};
+    for (const type of types) {
+        const result = await session.run(`MATCH ()-[r:${type}]->() RETURN count(r) AS count`);
+        counts[type] = result.records[0].get('count').toNumber();
+    }
+    return counts;
+}
+
+/**
+ * Link transactions and their senders to Device, IpAddress and Location nodes,
+ * then remove the pairwise SHARES_IP/SHARES_DEVICE/SHARES_LOCATION relationships
+ * @param {Object} options - Migration options
+ * @param {number} options.batchSize - Transactions processed per transaction
+ * @returns {Object} Migration report with relationship counts before and after
+ */
+async function migrateTransactionAttributes(options = {}) {
+    const batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+    const nodeRelationships = ATTRIBUTE_NODES.map(attribute => attribute.relationship);
+    const session = getSession();
+
+    try {
+        const before = await countRelationships(session, [...PAIRWISE_ATTRIBUTE_RELATIONSHIPS, ...nodeRelationships]);
+
+        let transactions = 0;
+        let lastId = '';
+
+        for (;;) {
+            const result = await session.executeRead(tx => tx.run(
+                `
+                MATCH (t:Transaction)
+                WHERE t.id > $lastId
+                  AND (t.deviceId IS NOT NULL OR t.ipAddress IS NOT NULL OR t.location IS NOT NULL)
+                RETURN t.id AS id
+                ORDER BY t.id
+                LIMIT $batchSize
+                `,
+                { lastId, batchSize: neo4j.int(batchSize) }
+            ));
+
+            if (result.records.length === 0) {
+                break;
+            }
+
+            const ids = result.records.map(record => record.get('id'));
+            await session.executeWrite(tx => TransactionAttribute.syncTransactions(tx, ids));
+
+            transactions += ids.length;
+            lastId = ids[ids.length - 1];
+        }
+
+        for (const type of PAIRWISE_ATTRIBUTE_RELATIONSHIPS) {
+            await session.run(`
+                MATCH ()-[r:${type}]->()
+                CALL { WITH r DELETE r } IN TRANSACTIONS OF ${batchSize} ROWS
+            `);
+        }
+
+        const after = await countRelationships(session, [...PAIRWISE_ATTRIBUTE_RELATIONSHIPS, ...nodeRelationships]);
+
+        const nodes = {};
+        for (const { label } of ATTRIBUTE_NODES) {
+            const result = await session.run(`MATCH (n:${label}) RETURN count(n) AS count`);
+            nodes[label] = result.records[0].get('count').toNumber();
+        }
+
+        return {
+            migration: 'transaction-attributes',
+            transactionsProcessed: transactions,
+            nodes,
+            relationships: { before, after }
+        };
+    } finally {
+        await session.close();
+    }
+}
+
+/**
+ * Store normalized emails, phones, addresses, IP addresses and locations on existing
+ * users and transactions, then rebuild the links that compare them: the links of the
+ * user link rules (dropped, including those of disabled rules, and recreated by the
+ * active rules) and the IP address and location links of transactions
+ * @param {Object} options - Migration options
+ * @param {number} options.batchSize - Records processed per transaction
+ * @returns {Object} Migration report with relationship counts before and after
+ */
+async function migrateNormalizedAttributes(options = {}) {
+    const batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+    const ruleTypes = [...new Set(LinkRule.getRules({ entity: 'user' }).rules.map(rule => rule.relationship))];
+    const relationshipTypes = [
+        ...ruleTypes,
+        ...ATTRIBUTE_NODES.map(attribute => attribute.relationship)
+    ];
+    const session = getSession();
+
+    try {
+        const before = await countRelationships(session, relationshipTypes);
+
+        let users = 0;
+        let lastId = '';
+
+        for (;;) {
+            const result = await session.executeRead(tx => tx.run(
+                `
+                MATCH (u:User)
+                WHERE u.id > $lastId
+                RETURN u.id AS id, u.email AS email, u.phone AS phone, u.address AS address
+                ORDER BY u.id
+                LIMIT $batchSize
+                `,
+                { lastId, batchSize: neo4j.int(batchSize) }
+            ));
+
+            if (result.records.length === 0) {
+                break;
+            }
+
+            const rows = result.records.map(record => ({
+                id: record.get('id'),
+                normalizedEmail: normalizeEmail(record.get('email')),
+                normalizedPhone: normalizePhone(record.get('phone')),
+                normalizedAddress: normalizeAddress(record.get('address'))
+            }));
+
+            await session.executeWrite(tx => tx.run(
+                `
+                UNWIND $rows AS row
+                MATCH (u:User {id: row.id})
+                SET u.normalizedEmail = row.normalizedEmail,
+                    u.normalizedPhone = row.normalizedPhone,
+                    u.normalizedAddress = row.normalizedAddress
+                `,
+                { rows }
+            ));
+
+            users += rows.length;
+            lastId = rows[rows.length - 1].id;
+        }
+
+        // Links built from the values as entered are replaced by links on the normalized values
+        for (const type of ruleTypes) {
+            await session.run(`
+                MATCH ()-[r:${type}]->()
+                CALL { WITH r DELETE r } IN TRANSACTIONS OF ${batchSize} ROWS
+            `);
+        }
+        await forEachBatch(session, 'User', batchSize, (tx, ids) => LinkRule.applyRules(tx, 'user', ids), () => {});
+
+        let transactions = 0;
+        lastId = '';
+
+        for (;;) {
+            const result = await session.executeRead(tx => tx.run(
+                `
+                MATCH (t:Transaction)
+                WHERE t.id > $lastId AND (t.ipAddress IS NOT NULL OR t.location IS NOT NULL)
+                RETURN t.id AS id, t.ipAddress AS ipAddress, t.location AS location
+                ORDER BY t.id
+                LIMIT $batchSize
+                `,
+                { lastId, batchSize: neo4j.int(batchSize) }
+            ));
+
+            if (result.records.length === 0) {
+                break;
+            }
+
+            const rows = result.records.map(record => ({
+                id: record.get('id'),
+                normalizedIpAddress: normalizeIp(record.get('ipAddress')),
+                normalizedLocation: normalizeLocation(record.get('location'))
+            }));
+
+            await session.executeWrite(async tx => {
+                await tx.run(
+                    `
+                    UNWIND $rows AS row
+                    MATCH (t:Transaction {id: row.id})
+                    SET t.normalizedIpAddress = row.normalizedIpAddress,
+                        t.normalizedLocation = row.normalizedLocation
+                    `,
+                    { rows }
+                );
+                // Moves the transactions and their senders to the nodes of the normalized values
+                await TransactionAttribute.syncTransactions(tx, rows.map(row => row.id));
+            });
+
+            transactions += rows.length;
+            lastId = rows[rows.length - 1].id;
+        }
+
+        // Nodes keyed by the values as entered are left without links
+        const orphaned = await session.run(`
+            MATCH (n)
+            WHERE (n:IpAddress OR n:Location) AND NOT (n)--()
+            CALL { WITH n DELETE n } IN TRANSACTIONS OF ${batchSize} ROWS
+            RETURN count(*) AS deleted
+        `);
+
+        const after = await countRelationships(session, relationshipTypes);
+
+        return {
+            migration: 'normalize-attributes',
+            usersProcessed: users,
+            transactionsProcessed: transactions,
+            deletedOrphanedNodes: orphaned.records[0].get('deleted').toNumber(),
+            relationships: { before, after }
+        };
+    } finally {
+        await session.close();
+    }
+}
+
+/**
+ * Start the status history of transactions written before it existed with their
+ * current status, recorded at the transaction's timestamp
+ * @param {Object} options - Migration options
+ * @param {number} options.batchSize - Transactions processed per transaction
+ * @returns {Object} Migration report with the number of transactions updated
+ */
+async function migrateStatusHistory(options = {}) {
+    const batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+    const session = getSession();
+
+    try {
+        const result = await session.run(`
+            MATCH (t:Transaction)
+            WHERE t.statusHistory IS NULL
+            CALL {
+                WITH t
+                SET t.status = coalesce(t.status, $defaultStatus),
+                    t.statusHistory = [coalesce(t.status, $defaultStatus)],
+                    t.statusTimestamps = [coalesce(t.timestamp, t.createdAt)]
+            } IN TRANSACTIONS OF ${batchSize} ROWS
+            RETURN count(*) AS updated
+        `, { defaultStatus: DEFAULT_STATUS });
+
+        return {
+            migration: 'status-history',
+            transactionsUpdated: result.records[0].get('updated').toNumber()
+        };
+    } finally {
+        await session.close();
+    }
+}
+
+/**
+ * Convert the amounts of all stored transactions into the base currency, e.g. for
+ * transactions written before rates were loaded or after BASE_CURRENCY changed
+ * @param {Object} options - Migration options
+ * @param {number} options.batchSize - Transactions processed per transaction
+ * @returns {Object} Migration report with the number of transactions converted and left without a rate
+ */
+async function migrateBaseAmounts(options = {}) {
+    const transactionsConverted = await FxRate.convertStoredTransactions({ batchSize: options.batchSize });
+
+    const session = getSession();
+    try {
+        const missing = await session.run(`
+            MATCH (t:Transaction)
+            WHERE t.amountBase IS NULL
+            RETURN count(t) AS missing
+        `);
+
+        return {
+            migration: 'base-amounts',
+            baseCurrency: BASE_CURRENCY,
+            transactionsConverted,
+            transactionsWithoutRate: missing.records[0].get('missing').toNumber()
+        };
+    } finally {
+        await session.close();
+    }
+}
+
+/**
+ * Store the lowercased description that the description filter matches on transactions
+ * written before it existed
+ * @param {Object} options - Migration options
+ * @param {number} options.batchSize - Transactions processed per transaction
+ * @returns {Object} Migration report with the number of transactions updated
+ */
+async function migrateDescriptions(options = {}) {
+    const batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+    const session = getSession();
+
+    try {
+        const result = await session.run(`
+            MATCH (t:Transaction)
+            WHERE t.description IS NOT NULL AND t.normalizedDescription IS NULL
+            CALL {
+                WITH t
+                SET t.normalizedDescription = toLower(t.description)
+            } IN TRANSACTIONS OF ${batchSize} ROWS
+            RETURN count(*) AS updated
+        `);
+
+        return {
+            migration: 'descriptions',
+            transactionsUpdated: result.records[0].get('updated').toNumber()
+        };
+    } finally {
+        await session.close();
+    }
+}
+
+// Migrations that can be run by name from scripts/migrate.js
+const MIGRATIONS = {
+    'payment-methods': migratePaymentMethods,
+    'transaction-attributes': migrateTransactionAttributes,
+    'normalize-attributes': migrateNormalizedAttributes,
+    'status-history': migrateStatusHistory,
+    'base-amounts': migrateBaseAmounts,
+    'descriptions': migrateDescriptions
+};
+
+module.exports = {
+    MIGRATIONS,
+    migratePaymentMethods,
+    migrateTransactionAttributes,
+    migrateNormalizedAttributes,
+    migrateStatusHistory,
+    migrateBaseAmounts,
+    migrateDescriptions
+};
@@ -0,0 +1,370 @@
+/**
+ * Utility functions for following money between users. A hop is a transaction that moved
+ * money from its sender to its receiver ((sender)-[:SENT_MONEY]->(t)-[:RECEIVED_BY]->(receiver),
+ * the same hop a TRANSFERRED_TO relationship records); a trail is a sequence of hops where
+ * each hop happens after the previous one, so money received could have been passed on.
+ */
+const neo4j = require('neo4j-driver');
+const { getSession } = require('../db/neo4jConnection');
+const { netAmountExpression } = require('./transactionChainUtils');
+const { BASE_CURRENCY } = require('./fxRateUtils');
+
+// Transactions in these statuses never moved money
+const INACTIVE_TRANSFER_STATUSES = ['failed', 'reversed'];
+
+const DEFAULT_MAX_HOPS = 5;
+
+const DEFAULT_MAX_CYCLE_LENGTH = 4;
+const DEFAULT_CYCLE_LIMIT = 100;
+
+/**
+ * Build a Cypher expression for the amount a transaction moved: its net amount (less
+ * active refunds, reversals and chargebacks) in the base currency. The expression is
+ * null for transactions without a rate for their currency, so that amounts in different
+ * currencies are never added up or compared; callers leave those out and report them.
+ * @param {string} alias - Variable bound to the Transaction node
+ * @returns {string} Cypher expression
+ */
+function transferAmountExpression(alias) {
+    return `(${netAmountExpression(alias)}) * ${alias}.fxRate`;
+}
+
+/**
+ * Get the transfers sent by users after the time each of them received money
+ * @param {Object} session - Neo4j session
+ * @param {Array} senders - Senders as {key, userId, after}; after is an ISO timestamp or null
+ * @param {Object} window - Optional time window (fromTimestamp, toTimestamp)
+ * @returns {Array} Transfers as {key, transactionId, fromUserId, toUserId, timestamp, amount}
+ */
+async function findOutgoingTransfers(session, senders, window = {}) {
+    const result = await session.run(
+        `
+        UNWIND $senders AS sender
+        MATCH (:User {id: sender.userId})-[:SENT_MONEY]->(t:Transaction)-[:RECEIVED_BY]->(receiver:User)
+        WHERE NOT coalesce(t.status, '') IN $inactiveStatuses
+          AND (sender.after IS NULL OR t.timestamp > sender.after)
+          AND ($fromTimestamp IS NULL OR t.timestamp >= $fromTimestamp)
+          AND ($toTimestamp IS NULL OR t.timestamp <= $toTimestamp)
+        RETURN sender.key AS key,
+               t.id AS transactionId,
+               sender.userId AS fromUserId,
+               receiver.id AS toUserId,
+               t.timestamp AS timestamp,
+               ${transferAmountExpression('t')} AS amount
+        `,
+        {
+            senders,
+            inactiveStatuses: INACTIVE_TRANSFER_STATUSES,
+            fromTimestamp: window.fromTimestamp || null,
+            toTimestamp: window.toTimestamp || null
+        }
+    );
+
+    return result.records.map(record => ({
+        key: record.get('key'),
+        transactionId: record.get('transactionId'),
+        fromUserId: record.get('fromUserId'),
+        toUserId: record.get('toUserId'),
+        timestamp: record.get('timestamp'),
+        amount: record.get('amount')
+    }));
+}
+
+/**
+ * Check whether a trail reaching a user is no better than one already found: it arrived
+ * no earlier, carries no more money and used no fewer hops, so it cannot reach anyone
+ * the other trail cannot reach with at least as much money
+ * @param {Object} trail - Trail to check
+ * @param {Array} found - Trails already found to the same user
+ * @returns {boolean} Whether the trail is dominated
+ */
+function isDominated(trail, found) {
+    return found.some(other =>
+        other.receivedAt <= trail.receivedAt &&
+        other.maxAmount >= trail.maxAmount &&
+        other.hops.length <= trail.hops.length
+    );
+}
+
+/**
+ * Pick the trail reported for a recipient: the one that could have carried the most
+ * money, then the one with the fewest hops, then the earliest
+ * @param {Array} trails - Trails to the recipient
+ * @returns {Object} Best trail
+ */
+function bestTrail(trails) {
+    return trails.reduce((best, trail) => {
+        if (trail.maxAmount !== best.maxAmount) {
+            return trail.maxAmount > best.maxAmount ? trail : best;
+        }
+        if (trail.hops.length !== best.hops.length) {
+            return trail.hops.length < best.hops.length ? trail : best;
+        }
+        return trail.receivedAt < best.receivedAt ? trail : best;
+    });
+}
+
+/**
+ * Follow the money from a user or a transaction to every downstream recipient, along
+ * directed transfers where each hop happens after the previous one. The amount that
+ * could have flowed along a trail is the smallest transfer on it. Transfers in a currency
+ * without a rate are not followed and are listed in unconvertedTransactionIds.
+ * @param {Object} start - Where the trail starts: {userId} or {transactionId}
+ * @param {Object} options - Trace options
+ * @param {number} options.maxHops - Maximum number of hops (default 5)
+ * @param {string} options.fromTimestamp - Ignore transfers before this time
+ * @param {string} options.toTimestamp - Ignore transfers after this time
+ * @returns {Object|null} Recipients with their best trail, or null if the start does not exist
+ */
+async function traceMoneyTrail(start, options = {}) {
+    const maxHops = options.maxHops || DEFAULT_MAX_HOPS;
+    const window = { fromTimestamp: options.fromTimestamp, toTimestamp: options.toTimestamp };
+    const session = getSession();
+
+    try {
+        let origin;
+        let frontier;
+        let unconvertedStart = false;
+
+        if (start.transactionId) {
+            // The trail starts with the transaction itself, even outside the time window
+            const result = await session.run(
+                `
+                MATCH (t:Transaction {id: $transactionId})
+                OPTIONAL MATCH (sender:User)-[:SENT_MONEY]->(t)
+                OPTIONAL MATCH (t)-[:RECEIVED_BY]->(receiver:User)
+                RETURN t.timestamp AS timestamp, t.status AS status, sender.id AS fromUserId,
+                       receiver.id AS toUserId, ${transferAmountExpression('t')} AS amount
+                `,
+                { transactionId: start.transactionId }
+            );
+
+            if (result.records.length === 0) {
+                return null;
+            }
+
+            const record = result.records[0];
+            origin = { transactionId: start.transactionId, userId: record.get('fromUserId') };
+
+            const moved = record.get('toUserId') && !INACTIVE_TRANSFER_STATUSES.includes(record.get('status'));
+            unconvertedStart = moved && record.get('amount') === null;
+            frontier = moved && !unconvertedStart
+                ? [{
+                    userId: record.get('toUserId'),
+                    receivedAt: record.get('timestamp'),
+                    maxAmount: record.get('amount'),
+                    hops: [{
+                        transactionId: start.transactionId,
+                        fromUserId: record.get('fromUserId'),
+                        toUserId: record.get('toUserId'),
+                        timestamp: record.get('timestamp'),
+                        amount: record.get('amount')
+                    }]
+                }]
+                : [];
+        } else {
+            const result = await session.run('MATCH (u:User {id: $userId}) RETURN u.id AS id', { userId: start.userId });
+
+            if (result.records.length === 0) {
+                return null;
+            }
+
+            origin = { userId: start.userId };
+            frontier = [{ userId: start.userId, receivedAt: null, maxAmount: Infinity, hops: [] }];
+        }
+
+        // Transfers left out of the trails because their amount could not be converted
+        const unconverted = new Set(unconvertedStart ? [start.transactionId] : []);
+
+        // Trails found so far, keyed by recipient
+        const trails = new Map();
+        const keep = trail => {
+            const found = trails.get(trail.userId) || [];
+            if (trail.userId === origin.userId || isDominated(trail, found)) {
+                return false;
+            }
+            trails.set(trail.userId, found.concat(trail));
+            return true;
+        };
+
+        // A trail starting at a transaction has already reached its receiver
+        frontier = frontier.filter(trail => trail.hops.length === 0 || keep(trail));
+
+        while (frontier.length > 0 && frontier[0].hops.length < maxHops) {
+            const transfers = await findOutgoingTransfers(
+                session,
+                frontier.map((trail, key) => ({ key, userId: trail.userId, after: trail.receivedAt })),
+                window
+            );
+
+            const next = [];
+            transfers.forEach(transfer => {
+                const trail = frontier[transfer.key];
+
+                if (transfer.amount === null) {
+                    unconverted.add(transfer.transactionId);
+                    return;
+                }
+
+                // A trail does not pass through the same user twice
+                const visited = transfer.toUserId === trail.userId ||
+                    trail.hops.some(hop => hop.fromUserId === transfer.toUserId);
+                if (visited) return;
+
+                const extended = {
+                    userId: transfer.toUserId,
+                    receivedAt: transfer.timestamp,
+                    maxAmount: Math.min(trail.maxAmount, transfer.amount),
+                    hops: trail.hops.concat({
+                        transactionId: transfer.transactionId,
+                        fromUserId: transfer.fromUserId,
+                        toUserId: transfer.toUserId,
+                        timestamp: transfer.timestamp,
+                        amount: transfer.amount
+                    })
+                };
+
+                if (keep(extended)) {
+                    next.push(extended);
+                }
+            });
+
+            frontier = next;
+        }
+
+        const recipients = [...trails.entries()]
+            .map(([userId, found]) => {
+                const trail = bestTrail(found);
+                const firstHop = trail.hops[0];
+
+                return {
+                    userId,
+                    hopCount: trail.hops.length,
+                    firstTransferAt: firstHop.timestamp,
+                    receivedAt: trail.receivedAt,
+                    elapsedMs: new Date(trail.receivedAt) - new Date(firstHop.timestamp),
+                    maxAmount: trail.maxAmount,
+                    path: trail.hops
+                };
+            })
+            .sort((a, b) => a.hopCount - b.hopCount || b.maxAmount - a.maxAmount);
+
+        return {
+            origin,
+            maxHops,
+            currency: BASE_CURRENCY,
+            recipientCount: recipients.length,
+            recipients,
+            unconvertedTransactionIds: [...unconverted]
+        };
+    } finally {
+        await session.close();
+    }
+}
+
+/**
+ * Describe a cycle found by findTransferCycles: what each participant passed on and kept
+ * @param {Array} participants - User IDs in the order the money went round, starting with the user it returned to
+ * @param {Array} transfers - Transfers of the cycle as {transactionId, timestamp, amount}
+ * @returns {Object} Cycle report
+ */
+function formatCycle(participants, transfers) {
+    const hops = transfers.map((transfer, index) => ({
+        transactionId: transfer.transactionId,
+        fromUserId: participants[index],
+        toUserId: participants[(index + 1) % participants.length],
+        timestamp: transfer.timestamp,
+        amount: transfer.amount
+    }));
+
+    // What each intermediary received and did not pass on to the next participant
+    const retained = participants.slice(1).map((userId, index) => ({
+        userId,
+        received: hops[index].amount,
+        forwarded: hops[index + 1].amount,
+        retained: hops[index].amount - hops[index + 1].amount
+    }));
+
+    const first = hops[0];
+    const last = hops[hops.length - 1];
+
+    return {
+        startUserId: participants[0],
+        participants,
+        length: hops.length,
+        totalAmount: hops.reduce((total, hop) => total + hop.amount, 0),
+        amountSent: first.amount,
+        amountReturned: last.amount,
+        retained,
+        timeSpan: {
+            from: first.timestamp,
+            to: last.timestamp,
+            durationMs: new Date(last.timestamp) - new Date(first.timestamp)
+        },
+        hops
+    };
+}
+
+/**
+ * Find money that left a user and came back through intermediaries: directed
+ * TRANSFERRED_TO cycles where each transfer happens after the previous one. A cycle
+ * starts with its earliest transfer, so each one is reported once, from the user
+ * the money returned to. Cycles with a transfer in a currency without a rate are left
+ * out, as their amounts cannot be compared.
+ * @param {Object} filters - Cycle filters
+ * @param {string} filters.userId - Only cycles that start and end at this user
+ * @param {number} filters.maxLength - Maximum number of transfers in a cycle (default 4)
+ * @param {number} filters.windowSeconds - Maximum time between the first and the last transfer
+ * @param {number} filters.minAmount - Minimum amount of every transfer in the cycle
+ * @param {number} filters.limit - Maximum number of cycles (default 100)
+ * @returns {Array} Cycles, largest amount sent first
+ */
+async function findTransferCycles(filters = {}) {
+    const maxLength = filters.maxLength || DEFAULT_MAX_CYCLE_LENGTH;
+    const session = getSession();
+
+    try {
+        const result = await session.run(
+            `
+            MATCH path = (start:User)-[:TRANSFERRED_TO*2..${maxLength}]->(start)
+            WHERE ($userId IS NULL OR start.id = $userId)
+            WITH path, start, relationships(path) AS transfers, nodes(path)[1..-1] AS intermediaries
+            WHERE all(i IN range(0, size(transfers) - 2) WHERE transfers[i].timestamp < transfers[i + 1].timestamp)
+              AND all(n IN intermediaries WHERE n <> start AND single(m IN intermediaries WHERE m = n))
+              AND ($window IS NULL OR
+                   duration.inSeconds(datetime(transfers[0].timestamp), datetime(transfers[-1].timestamp)).seconds <= $window)
+            WITH path, [r IN transfers | head([(t:Transaction {id: r.transactionId}) | {
+                transactionId: t.id,
+                timestamp: t.timestamp,
+                status: t.status,
+                amount: ${transferAmountExpression('t')}
+            }])] AS transfers
+            WHERE all(transfer IN transfers WHERE transfer IS NOT NULL
+                AND NOT coalesce(transfer.status, '') IN $inactiveStatuses
+                AND transfer.amount IS NOT NULL
+                AND transfer.amount >= $minAmount)
+            RETURN [n IN nodes(path)[0..-1] | n.id] AS participants, transfers
+            ORDER BY transfers[0].amount DESC, transfers[0].timestamp
+            LIMIT $limit
+            `,
+            {
+                userId: filters.userId || null,
+                window: filters.windowSeconds || null,
+                minAmount: filters.minAmount || 0,
+                inactiveStatuses: INACTIVE_TRANSFER_STATUSES,
+                limit: neo4j.int(filters.limit || DEFAULT_CYCLE_LIMIT)
+            }
+        );
+
+        return result.records.map(record => formatCycle(record.get('participants'), record.get('transfers')));
+    } finally {
+        await session.close();
+    }
+}
+
+module.exports = {
+    INACTIVE_TRANSFER_STATUSES,
+    transferAmountExpression,
+    traceMoneyTrail,
+    findTransferCycles
+};
@@ -0,0 +1,295 @@
+/**
+ * Utility functions for normalizing identity attributes before they are compared.
+ * Normalized values are stored next to the originals, which are kept for display.
+ */
+const net = require('net');
+
+// Country calling code assumed for national numbers written without one
+const DEFAULT_PHONE_COUNTRY_CODE = process.env.DEFAULT_PHONE_COUNTRY_CODE || '1';
+
+// Providers that ignore dots in the local part and/or support sub-addressing ("+tag")
+const EMAIL_PROVIDERS = {
+    'gmail.com': { ignoreDots: true, tagSeparator: '+' },
+    'googlemail.com': { ignoreDots: true, tagSeparator: '+', canonicalDomain: 'gmail.com' },
+    'outlook.com': { tagSeparator: '+' },
+    'hotmail.com': { tagSeparator: '+' },
+    'live.com': { tagSeparator: '+' },
+    'icloud.com': { tagSeparator: '+' },
+    'me.com': { tagSeparator: '+', canonicalDomain: 'icloud.com' },
+    'fastmail.com': { tagSeparator: '+' },
+    'protonmail.com': { tagSeparator: '+' },
+    'proton.me': { tagSeparator: '+' },
+    'yahoo.com': { tagSeparator: '-' }
+};
+
+// Standard names of address fields, looked up by the lowercased field name without punctuation
+const ADDRESS_KEYS = {
+    street: 'street',
+    street1: 'street',
+    streetaddress: 'street',
+    address1: 'street',
+    line1: 'street',
+    street2: 'street2',
+    address2: 'street2',
+    line2: 'street2',
+    city: 'city',
+    town: 'city',
+    state: 'state',
+    province: 'state',
+    region: 'state',
+    postalcode: 'postalCode',
+    zip: 'postalCode',
+    zipcode: 'postalCode',
+    postcode: 'postalCode',
+    country: 'country'
+};
+
+// Common street words and their standard abbreviations
+const ADDRESS_ABBREVIATIONS = {
+    street: 'st',
+    avenue: 'ave',
+    road: 'rd',
+    boulevard: 'blvd',
+    drive: 'dr',
+    lane: 'ln',
+    court: 'ct',
+    place: 'pl',
+    square: 'sq',
+    highway: 'hwy',
+    parkway: 'pkwy',
+    terrace: 'ter',
+    apartment: 'apt',
+    suite: 'ste',
+    north: 'n',
+    south: 's',
+    east: 'e',
+    west: 'w'
+};
+
+/**
+ * Normalize a phone number to E.164 (+<country code><number>)
+ * @param {string} phone - Phone number as entered
+ * @returns {string|null} E.164 number, or null if it has no usable digits
+ */
+function normalizePhone(phone) {
+    if (phone === undefined || phone === null) return null;
+
+    let value = String(phone).trim();
+    // "00" is the international call prefix used in most of the world
+    if (value.startsWith('00')) {
+        value = '+' + value.slice(2);
+    }
+
+    const international = value.startsWith('+');
+    if (international) {
+        // "(0)" as in "+44 (0)20 ..." is the trunk prefix, only dialled from inside the country
+        value = value.replace(/\(\s*0\s*\)/g, '');
+    }
+    let digits = value.replace(/\D/g, '');
+    if (digits.length === 0) return null;
+
+    if (!international) {
+        // Drop a national trunk prefix ("0" in most countries) before adding the country code
+        digits = digits.replace(/^0+/, '');
+        if (!digits.startsWith(DEFAULT_PHONE_COUNTRY_CODE) || digits.length <= 10) {
+            digits = DEFAULT_PHONE_COUNTRY_CODE + digits;
+        }
+    }
+
+    // E.164 numbers have at most 15 digits
+    return '+' + digits.slice(0, 15);
+}
+
+/**
+ * Normalize an email address: lowercase it and remove the parts that the
+ * provider ignores when delivering (dots and "+tag" sub-addresses)
+ * @param {string} email - Email address as entered
+ * @returns {string|null} Normalized address
+ */
+function normalizeEmail(email) {
+    if (email === undefined || email === null) return null;
+
+    const value = String(email).trim().toLowerCase();
+    const at = value.lastIndexOf('@');
+    if (at <= 0) return value || null;
+
+    let local = value.slice(0, at);
+    let domain = value.slice(at + 1);
+    const provider = EMAIL_PROVIDERS[domain];
+
+    if (provider) {
+        if (provider.tagSeparator) {
+            local = local.split(provider.tagSeparator)[0];
+        }
+        if (provider.ignoreDots) {
+            local = local.replace(/\./g, '');
+        }
+        domain = provider.canonicalDomain || domain;
+    }
+
+    return `${local}@${domain}`;
+}
+
+/**
+ * Normalize a single address value: lowercase, collapse whitespace and punctuation,
+ * and use standard abbreviations for street words
+ * @param {*} value - Address field value
+ * @returns {*} Normalized value (non-strings are returned unchanged)
+ */
+function normalizeAddressValue(value) {
+    if (typeof value !== 'string') return value;
+
+    return value
+        .toLowerCase()
+        .replace(/[.,#]/g, ' ')
+        .split(/\s+/)
+        .filter(Boolean)
+        .map(word => ADDRESS_ABBREVIATIONS[word] || word)
+        .join(' ');
+}
+
+/**
+ * Serialize an object with its keys sorted so equal objects give equal strings
+ * @param {Object} object - Object to serialize
+ * @returns {string} JSON string
+ */
+function canonicalJSON(object) {
+    const sorted = {};
+    Object.keys(object).sort().forEach(key => {
+        sorted[key] = object[key];
+    });
+    return JSON.stringify(sorted);
+}
+
+/**
+ * Normalize an address to a canonical string: field names mapped to standard keys,
+ * values normalized and keys sorted
+ * @param {Object|string} address - Address object (or its JSON encoding)
+ * @returns {string|null} Canonical address, or null if it has no fields
+ */
+function normalizeAddress(address) {
+    if (address === undefined || address === null) return null;
+
+    let value = address;
+    if (typeof value === 'string') {
+        try {
+            value = JSON.parse(value);
+        } catch (error) {
+            return normalizeAddressValue(value) || null;
+        }
+    }
+    if (typeof value !== 'object') return null;
+
+    const normalized = {};
+    Object.keys(value).forEach(key => {
+        const compactKey = key.toLowerCase().replace(/[^a-z0-9]/g, '');
+        const canonicalKey = ADDRESS_KEYS[compactKey] || compactKey;
+        const fieldValue = normalizeAddressValue(value[key]);
+
+        if (fieldValue !== undefined && fieldValue !== null && fieldValue !== '') {
+            normalized[canonicalKey] = fieldValue;
+        }
+    });
+
+    return Object.keys(normalized).length > 0 ? canonicalJSON(normalized) : null;
+}
+
+/**
+ * Expand an IPv6 address into its eight 16-bit groups
+ * @param {string} ip - Valid IPv6 address
+ * @returns {Array} Groups as numbers
+ */
+function expandIPv6(ip) {
+    let value = ip;
+
+    // An embedded IPv4 address covers the last two groups
+    const ipv4Match = value.match(/(\d+\.\d+\.\d+\.\d+)$/);
+    if (ipv4Match) {
+        const octets = ipv4Match[1].split('.').map(Number);
+        value = value.slice(0, -ipv4Match[1].length) +
+            ((octets[0] << 8) | octets[1]).toString(16) + ':' +
+            ((octets[2] << 8) | octets[3]).toString(16);
+    }
+
+    const [head, tail] = value.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail !== undefined && tail !== '' ? tail.split(':') : [];
+    const missing = 8 - headGroups.length - tailGroups.length;
+
+    return [...headGroups, ...Array(tail !== undefined ? missing : 0).fill('0'), ...tailGroups]
+        .map(group => parseInt(group, 16));
+}
+
+/**
+ * Format IPv6 groups in the RFC 5952 canonical form: lowercase, no leading zeros,
+ * and the longest run of two or more zero groups replaced by "::"
+ * @param {Array} groups - Eight 16-bit groups
+ * @returns {string} Canonical IPv6 address
+ */
+function compressIPv6(groups) {
+    let bestStart = -1;
+    let bestLength = 0;
+
+    for (let i = 0; i < groups.length; i++) {
+        if (groups[i] !== 0) continue;
+        let length = 0;
+        while (i + length < groups.length && groups[i + length] === 0) length++;
+        if (length > bestLength && length >= 2) {
+            bestStart = i;
+            bestLength = length;
+        }
+        i += length;
+    }
+
+    const hex = groups.map(group => group.toString(16));
+    if (bestStart === -1) return hex.join(':');
+
+    const head = hex.slice(0, bestStart).join(':');
+    const tail = hex.slice(bestStart + bestLength).join(':');
+    return `${head}::${tail}`;
+}
+
+/**
+ * Normalize an IP address to its canonical form. IPv4-mapped IPv6 addresses
+ * (::ffff:1.2.3.4) are reduced to the IPv4 address.
+ * @param {string} ip - IP address as entered
+ * @returns {string|null} Canonical address (the trimmed input if it is not a valid IP)
+ */
+function normalizeIp(ip) {
+    if (ip === undefined || ip === null) return null;
+
+    // Leading zeros in IPv4 octets ("010.001.002.003") are not accepted by net.isIP
+    let value = String(ip).trim().toLowerCase().replace(/^\[|\]$/g, '');
+    if (/^\d{1,3}(\.\d{1,3}){3}$/.test(value)) {
+        value = value.split('.').map(octet => String(parseInt(octet, 10))).join('.');
+    }
+
+    const version = net.isIP(value);
+    if (version === 4) return value;
+    if (version !== 6) return value || null;
+
+    const groups = expandIPv6(value.split('%')[0]);
+    const isMappedIPv4 = groups.slice(0, 5).every(group => group === 0) && groups[5] === 0xffff;
+    if (isMappedIPv4) {
+        return [groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff].join('.');
+    }
+
+    return compressIPv6(groups);
+}
+
+/**
+ * Normalize a transaction location the same way as an address
+ * @param {Object|string} location - Location object (or its JSON encoding)
+ * @returns {string|null} Canonical location
+ */
+function normalizeLocation(location) {
+    return normalizeAddress(location);
+}
+
+module.exports = {
+    normalizePhone,
+    normalizeEmail,
+    normalizeAddress,
+    normalizeIp,
+    normalizeLocation
+};
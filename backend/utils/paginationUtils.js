@@ -0,0 +1,142 @@
+/**
+ * Utility functions for cursor-based pagination
+ */
+const neo4j = require('neo4j-driver');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 1000;
+const SORT_ORDERS = ['asc', 'desc'];
+
+/**
+ * Encode the position of the last returned record as an opaque cursor
+ * @param {Object} position - Sort field, order, sort value and id of the last record
+ * @returns {string} Base64url encoded cursor
+ */
+function encodeCursor(position) {
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {Object} Position of the last record of the previous page
+ */
+function decodeCursor(cursor) {
+    try {
+        const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!position || typeof position !== 'object' || position.id === undefined) {
+            throw new Error('Missing cursor position');
+        }
+        return position;
+    } catch (error) {
+        const invalid = new Error('Invalid cursor');
+        invalid.statusCode = 400;
+        throw invalid;
+    }
+}
+
+/**
+ * Join filter conditions into a WHERE clause
+ * @param {Array} conditions - Cypher boolean expressions
+ * @returns {string} WHERE clause (empty when there are no conditions)
+ */
+function buildWhereClause(conditions) {
+    return conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') + ' ' : '';
+}
+
+/**
+ * Build the ORDER BY, cursor condition and LIMIT for a keyset-paginated query.
+ * Records are ordered by the sort field and then by id, so the cursor always
+ * points at a unique position even when sort values repeat.
+ * @param {string} variable - Cypher variable of the node being listed
+ * @param {Object} sortFields - Map of sort field name to its default for missing values
+ * @param {Object} options - Pagination options (limit, after, sortBy, sortOrder)
+ * @returns {Object} Cypher fragments, parameters and resolved options
+ */
+function buildPageQuery(variable, sortFields, options) {
+    const sortBy = options.sortBy;
+    const sortOrder = options.sortOrder || 'desc';
+
+    if (!Object.prototype.hasOwnProperty.call(sortFields, sortBy)) {
+        const invalid = new Error(`Invalid sort field: ${sortBy}`);
+        invalid.statusCode = 400;
+        throw invalid;
+    }
+
+    const limit = Math.min(options.limit || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+    // Missing values are replaced so that the keyset comparison never meets a null
+    const sortExpression = `coalesce(${variable}.${sortBy}, ${sortFields[sortBy]})`;
+    const direction = sortOrder.toUpperCase();
+    const comparison = sortOrder === 'desc' ? '<' : '>';
+
+    const params = { pageLimit: neo4j.int(limit + 1) };
+    let cursorCondition = null;
+
+    if (options.after) {
+        const position = decodeCursor(options.after);
+
+        if (position.sortBy !== sortBy || position.sortOrder !== sortOrder) {
+            const mismatch = new Error('Cursor does not match the requested sort');
+            mismatch.statusCode = 400;
+            throw mismatch;
+        }
+
+        cursorCondition = `(${sortExpression} ${comparison} $cursorValue OR ` +
+            `(${sortExpression} = $cursorValue AND ${variable}.id ${comparison} $cursorId))`;
+        params.cursorValue = position.value;
+        params.cursorId = position.id;
+    }
+
+    return {
+        cursorCondition,
+        orderBy: `ORDER BY ${sortExpression} ${direction}, ${variable}.id ${direction}`,
+        limitClause: 'LIMIT $pageLimit',
+        sortExpression,
+        params,
+        limit,
+        sortBy,
+        sortOrder
+    };
+}
+
+/**
+ * Turn the records of a page query (fetched with one extra row) into a page
+ * @param {Array} rows - Records as {item, sortValue}
+ * @param {Object} page - Result of buildPageQuery
+ * @param {number} totalCount - Number of records matching the filters
+ * @returns {Object} Page items and pagination details
+ */
+function buildPage(rows, page, totalCount) {
+    const hasMore = rows.length > page.limit;
+    const pageRows = hasMore ? rows.slice(0, page.limit) : rows;
+    const last = pageRows[pageRows.length - 1];
+
+    return {
+        items: pageRows.map(row => row.item),
+        pagination: {
+            limit: page.limit,
+            sortBy: page.sortBy,
+            sortOrder: page.sortOrder,
+            totalCount,
+            hasMore,
+            nextCursor: hasMore && last
+                ? encodeCursor({
+                    sortBy: page.sortBy,
+                    sortOrder: page.sortOrder,
+                    value: last.sortValue,
+                    id: last.item.id
+                })
+                : null
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    SORT_ORDERS,
+    buildWhereClause,
+    buildPageQuery,
+    buildPage
+};
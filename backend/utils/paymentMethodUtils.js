@@ -0,0 +1,80 @@
+/**
+ * Utility functions for identifying payment instruments
+ */
+const crypto = require('crypto');
+
+// Attributes that describe a payment instrument and are copied onto PaymentMethod nodes
+const PAYMENT_METHOD_ATTRIBUTES = ['type', 'provider', 'bank', 'last4'];
+
+/**
+ * Normalize an attribute value so that "Visa" and " visa " describe the same instrument
+ * @param {*} value - Attribute value
+ * @returns {string} Normalized value ('' when missing)
+ */
+function normalizeAttribute(value) {
+    return value === undefined || value === null ? '' : String(value).trim().toLowerCase();
+}
+
+/**
+ * Derive a fingerprint from the instrument attributes
+ * @param {Object} method - Payment method
+ * @returns {string} Fingerprint
+ */
+function deriveFingerprint(method) {
+    const key = PAYMENT_METHOD_ATTRIBUTES.map(attribute => normalizeAttribute(method[attribute])).join('|');
+    return crypto.createHash('sha256').update(key).digest('hex').slice(0, 32);
+}
+
+/**
+ * Compute a stable fingerprint for a payment method. A fingerprint supplied by the
+ * caller (e.g. a processor token) is kept; otherwise one is derived from the
+ * instrument attributes.
+ * @param {Object} method - Payment method
+ * @returns {string} Fingerprint
+ */
+function fingerprintPaymentMethod(method) {
+    if (method.fingerprint) {
+        return String(method.fingerprint);
+    }
+
+    return deriveFingerprint(method);
+}
+
+/**
+ * Check whether a payment method is only identified by a derived fingerprint. Different
+ * cards of the same type, provider and bank share their last 4 digits often enough that
+ * such a fingerprint does not show two users hold the same instrument. A stored fingerprint
+ * equal to the derived one was derived by an earlier write.
+ * @param {Object} method - Payment method
+ * @returns {boolean} True when the fingerprint is derived
+ */
+function isWeakFingerprint(method) {
+    return !method.fingerprint || String(method.fingerprint) === deriveFingerprint(method);
+}
+
+/**
+ * Build the properties of a PaymentMethod node
+ * @param {Object} method - Payment method
+ * @returns {Object} Node properties, including the fingerprint and weakFingerprint when it is derived
+ */
+function toPaymentMethodNode(method) {
+    const properties = { fingerprint: fingerprintPaymentMethod(method) };
+    if (isWeakFingerprint(method)) {
+        properties.weakFingerprint = true;
+    }
+
+    PAYMENT_METHOD_ATTRIBUTES.forEach(attribute => {
+        if (method[attribute] !== undefined && method[attribute] !== null) {
+            properties[attribute] = String(method[attribute]);
+        }
+    });
+
+    return properties;
+}
+
+module.exports = {
+    PAYMENT_METHOD_ATTRIBUTES,
+    fingerprintPaymentMethod,
+    isWeakFingerprint,
+    toPaymentMethodNode
+};
@@ -0,0 +1,181 @@
+/**
+ * Maintenance job that re-derives every relationship computed from node attributes
+ */
+const neo4j = require('neo4j-driver');
+const { getSession } = require('../db/neo4jConnection');
+const User = require('../models/userModel');
+const LinkRule = require('../models/linkRuleModel');
+const TransactionAttribute = require('../models/transactionAttributeModel');
+const { ATTRIBUTE_NODES } = require('./transactionAttributeUtils');
+const { FUZZY_MATCHING_ENABLED, FUZZY_ATTRIBUTES } = require('./fuzzyMatchUtils');
+
+const DEFAULT_BATCH_SIZE = 500;
+
+/**
+ * Relationship types derived from attributes: those of every configured link rule
+ * (including disabled rules, so their edges are dropped), fuzzy matches and the
+ * device, IP address and location links
+ * @returns {Array} Relationship types
+ */
+function getDerivedRelationshipTypes() {
+    const ruleTypes = LinkRule.getRules().rules.map(rule => rule.relationship);
+
+    return [...new Set([
+        ...ruleTypes,
+        ...FUZZY_ATTRIBUTES.map(attribute => attribute.relationship),
+        ...ATTRIBUTE_NODES.map(attribute => attribute.relationship)
+    ])];
+}
+
+/**
+ * Count relationships by type
+ * @param {Object} session - Neo4j session
+ * @param {Array} types - Relationship types
+ * @returns {Object} Count per type (0 for types with no relationships)
+ */
+async function countRelationshipsByType(session, types) {
+    const result = await session.run(
+        `
+        MATCH ()-[r]->()
+        WHERE type(r) IN $types
+        RETURN type(r) AS type, count(r) AS count
+        `,
+        { types }
+    );
+
+    const counts = {};
+    types.forEach(type => {
+        counts[type] = 0;
+    });
+    result.records.forEach(record => {
+        counts[record.get('type')] = record.get('count').toNumber();
+    });
+    return counts;
+}
+
+/**
+ * Walk the nodes of a label in id order, one batch per write transaction
+ * @param {Object} session - Neo4j session
+ * @param {string} label - Node label
+ * @param {number} batchSize - Nodes per batch
+ * @param {Function} processBatch - Called with (tx, ids) for each batch
+ * @param {Function} onBatch - Called with the number of nodes processed so far
+ */
+async function forEachBatch(session, label, batchSize, processBatch, onBatch) {
+    let processed = 0;
+    let lastId = '';
+
+    for (;;) {
+        const result = await session.executeRead(tx => tx.run(
+            `
+            MATCH (n:${label})
+            WHERE n.id > $lastId
+            RETURN n.id AS id
+            ORDER BY n.id
+            LIMIT $batchSize
+            `,
+            { lastId, batchSize: neo4j.int(batchSize) }
+        ));
+
+        if (result.records.length === 0) {
+            break;
+        }
+
+        const ids = result.records.map(record => record.get('id'));
+        await session.executeWrite(tx => processBatch(tx, ids));
+
+        processed += ids.length;
+        lastId = ids[ids.length - 1];
+        onBatch(processed);
+    }
+}
+
+/**
+ * Drop every derived relationship and recompute them across all users and
+ * transactions from the current data, link rules and matching settings
+ * @param {Object} options - Job options
+ * @param {number} options.batchSize - Users or transactions processed per transaction
+ * @param {Function} options.onProgress - Called with {phase, processed, total} as the job advances
+ * @returns {Object} Report with relationship counts by type before and after
+ */
+async function rebuildRelationships(options = {}) {
+    const batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+    const onProgress = options.onProgress || (() => {});
+    const types = getDerivedRelationshipTypes();
+    const startedAt = new Date().toISOString();
+    const session = getSession();
+
+    try {
+        const before = await countRelationshipsByType(session, types);
+
+        const totals = await session.run(`
+            CALL { MATCH (u:User) RETURN count(u) AS users }
+            CALL { MATCH (t:Transaction) RETURN count(t) AS transactions }
+            RETURN users, transactions
+        `);
+        const totalUsers = totals.records[0].get('users').toNumber();
+        const totalTransactions = totals.records[0].get('transactions').toNumber();
+
+        const totalDropped = Object.values(before).reduce((sum, count) => sum + count, 0);
+        onProgress({ phase: 'dropping', processed: 0, total: totalDropped });
+        for (const type of types) {
+            await session.run(`
+                MATCH ()-[r:${type}]->()
+                CALL { WITH r DELETE r } IN TRANSACTIONS OF ${batchSize} ROWS
+            `);
+        }
+        onProgress({ phase: 'dropping', processed: totalDropped, total: totalDropped });
+
+        onProgress({ phase: 'users', processed: 0, total: totalUsers });
+        await forEachBatch(session, 'User', batchSize, async (tx, ids) => {
+            await LinkRule.applyRules(tx, 'user', ids);
+
+            if (FUZZY_MATCHING_ENABLED) {
+                const result = await tx.run('UNWIND $ids AS id MATCH (u:User {id: id}) RETURN u', { ids });
+                for (const record of result.records) {
+                    const properties = record.get('u').properties;
+                    await User.createSimilarityRelationships(tx, properties.id, properties);
+                }
+            }
+        }, processed => onProgress({ phase: 'users', processed, total: totalUsers }));
+
+        onProgress({ phase: 'transactions', processed: 0, total: totalTransactions });
+        await forEachBatch(session, 'Transaction', batchSize, async (tx, ids) => {
+            await TransactionAttribute.syncTransactions(tx, ids);
+            await LinkRule.applyRules(tx, 'transaction', ids);
+        }, processed => onProgress({ phase: 'transactions', processed, total: totalTransactions }));
+
+        // Device, IP address and location nodes no transaction uses any more
+        const orphaned = await session.run(
+            `
+            MATCH (n)
+            WHERE any(label IN labels(n) WHERE label IN $labels) AND NOT (n)--()
+            CALL { WITH n DELETE n } IN TRANSACTIONS OF ${batchSize} ROWS
+            RETURN count(*) AS deleted
+            `,
+            { labels: ATTRIBUTE_NODES.map(attribute => attribute.label) }
+        );
+
+        const after = await countRelationshipsByType(session, types);
+
+        return {
+            startedAt,
+            finishedAt: new Date().toISOString(),
+            usersProcessed: totalUsers,
+            transactionsProcessed: totalTransactions,
+            deletedOrphanedNodes: orphaned.records[0].get('deleted').toNumber(),
+            relationships: Object.fromEntries(types.map(type => [type, {
+                before: before[type],
+                after: after[type]
+            }]))
+        };
+    } finally {
+        await session.close();
+    }
+}
+
+module.exports = {
+    forEachBatch,
+    getDerivedRelationshipTypes,
+    rebuildRelationships
+};
@@ -0,0 +1,324 @@
+/**
+ * Utility functions for restoring the graph from a JSON export
+ */
+const neo4j = require('neo4j-driver');
+const { getSession } = require('../db/neo4jConnection');
+const { NODE_KEYS, SHARED_NODE_LABELS } = require('./exportUtils');
+
+const RESTORE_MODES = ['replace', 'merge'];
+const DEFAULT_BATCH_SIZE = 1000;
+
+// Labels and relationship types are interpolated into Cypher, so only plain identifiers are accepted
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Convert values that were serialized from Neo4j types back into driver values.
+ * Neo4j integers are written to JSON as {low, high} objects.
+ * @param {*} value - Exported property value
+ * @returns {*} Value suitable for a Cypher parameter
+ */
+function reviveValue(value) {
+    if (Array.isArray(value)) {
+        return value.map(reviveValue);
+    }
+
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value);
+        if (keys.length === 2 && Number.isInteger(value.low) && Number.isInteger(value.high)) {
+            return neo4j.int(value);
+        }
+    }
+
+    return value;
+}
+
+/**
+ * Revive every value of a property map
+ * @param {Object} properties - Exported properties
+ * @returns {Object} Properties suitable for a Cypher parameter
+ */
+function reviveProperties(properties = {}) {
+    const revived = {};
+    Object.keys(properties).forEach(key => {
+        revived[key] = reviveValue(properties[key]);
+    });
+    return revived;
+}
+
+/**
+ * Accept either the saved export file or the GET /export/graph response body
+ * @param {Object} graph - Parsed JSON export
+ * @returns {Object} {users, transactions, relationships, metadata}
+ */
+function unwrapExport(graph) {
+    if (graph && graph.format === 'json' && graph.data && typeof graph.data === 'object') {
+        return graph.data;
+    }
+    return graph;
+}
+
+/**
+ * Collect the keys of the exported nodes by label, reporting keys that appear twice and
+ * would break the uniqueness constraint of their label
+ * @param {Object} graph - Unwrapped export with valid sections
+ * @param {Array} errors - Validation errors, added to
+ * @returns {Map} Set of node keys per label
+ */
+function collectNodeKeys(graph, errors) {
+    const sections = { users: 'User', transactions: 'Transaction', ...SHARED_NODE_LABELS };
+    const keys = new Map();
+
+    Object.entries(sections).forEach(([section, label]) => {
+        const nodeKey = NODE_KEYS[label];
+        const seen = new Set();
+
+        (graph[section] || []).forEach((node, index) => {
+            if (seen.has(node[nodeKey])) {
+                errors.push(`${section} entry at position ${index} repeats ${nodeKey} ${node[nodeKey]}`);
+            }
+            seen.add(node[nodeKey]);
+        });
+
+        keys.set(label, seen);
+    });
+
+    return keys;
+}
+
+/**
+ * Check that an export has the expected structure. Everything that would make a restore fail
+ * part-way is checked here, before replace mode clears the database.
+ * @param {Object} graph - Unwrapped export
+ * @param {string} mode - Restore mode; in replace mode every relationship must join nodes of the export
+ * @returns {Array} Validation errors
+ */
+function validateExport(graph, mode) {
+    const errors = [];
+
+    if (!graph || typeof graph !== 'object') {
+        return ['Export must be a JSON object'];
+    }
+
+    ['users', 'transactions', 'relationships'].forEach(key => {
+        if (!Array.isArray(graph[key])) {
+            errors.push(`${key} must be an array`);
+        }
+    });
+
+    // Exports made before a kind of shared node existed have no section for it
+    Object.keys(SHARED_NODE_LABELS).forEach(key => {
+        if (graph[key] !== undefined && !Array.isArray(graph[key])) {
+            errors.push(`${key} must be an array`);
+        }
+    });
+
+    if (errors.length > 0) {
+        return errors;
+    }
+
+    [...graph.users, ...graph.transactions].forEach((node, index) => {
+        if (!node || !node.id) {
+            errors.push(`Node at position ${index} is missing an id`);
+        }
+    });
+
+    Object.keys(SHARED_NODE_LABELS).forEach(key => {
+        const nodeKey = NODE_KEYS[SHARED_NODE_LABELS[key]];
+        (graph[key] || []).forEach((node, index) => {
+            if (!node || node[nodeKey] === undefined || node[nodeKey] === null) {
+                errors.push(`${key} entry at position ${index} is missing ${nodeKey}`);
+            }
+        });
+    });
+
+    if (errors.length > 0) {
+        return errors;
+    }
+
+    const nodeKeys = collectNodeKeys(graph, errors);
+
+    graph.relationships.forEach((relationship, index) => {
+        if (!relationship || !relationship.sourceId || !relationship.targetId) {
+            errors.push(`Relationship at position ${index} is missing sourceId or targetId`);
+        } else if (![relationship.type, relationship.sourceType, relationship.targetType]
+            .every(name => IDENTIFIER_PATTERN.test(name || ''))) {
+            errors.push(`Relationship at position ${index} has an invalid type or node label`);
+        } else if (mode === 'replace') {
+            // The database is empty once cleared, so both ends must come from the export
+            const ends = [
+                [relationship.sourceType, relationship.sourceId],
+                [relationship.targetType, relationship.targetId]
+            ];
+            ends.forEach(([label, key]) => {
+                if (!(nodeKeys.get(label) || new Set()).has(key)) {
+                    errors.push(`Relationship at position ${index} refers to ${label} ${key}, which is not in the export`);
+                }
+            });
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Write nodes with exactly the exported properties
+ * @param {Object} session - Neo4j session
+ * @param {string} label - Node label
+ * @param {Array} nodes - Exported node properties
+ * @param {number} batchSize - Nodes written per transaction
+ * @returns {number} Number of nodes written
+ */
+async function restoreNodes(session, label, nodes, batchSize) {
+    let restored = 0;
+
+    for (let start = 0; start < nodes.length; start += batchSize) {
+        const batch = nodes.slice(start, start + batchSize).map(reviveProperties);
+        const key = NODE_KEYS[label];
+
+        await session.executeWrite(tx => tx.run(
+            `
+            UNWIND $nodes AS properties
+            MERGE (n:${label} {${key}: properties.${key}})
+            SET n = properties
+            `,
+            { nodes: batch }
+        ));
+
+        restored += batch.length;
+    }
+
+    return restored;
+}
+
+/**
+ * Write relationships with exactly the exported properties
+ * @param {Object} session - Neo4j session
+ * @param {Array} relationships - Exported relationships
+ * @param {string} mode - 'replace' creates every relationship, 'merge' skips identical existing ones
+ * @param {number} batchSize - Relationships written per transaction
+ * @returns {Object} Counts of restored and skipped relationships
+ */
+async function restoreRelationships(session, relationships, mode, batchSize) {
+    let restored = 0;
+    let skipped = 0;
+
+    // Relationship types and labels cannot be parameters, so write each combination separately
+    const groups = new Map();
+    relationships.forEach(relationship => {
+        const key = `${relationship.sourceType}|${relationship.type}|${relationship.targetType}`;
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push({
+            sourceId: relationship.sourceId,
+            targetId: relationship.targetId,
+            properties: reviveProperties(relationship.properties)
+        });
+    });
+
+    for (const [key, rows] of groups) {
+        const [sourceType, type, targetType] = key.split('|');
+
+        const createClause = mode === 'merge'
+            ? `
+            OPTIONAL MATCH (a)-[existing:${type}]->(b)
+            WHERE properties(existing) = row.properties
+            WITH a, b, row, count(existing) AS existingCount
+            WHERE existingCount = 0
+            CREATE (a)-[r:${type}]->(b)
+            SET r = row.properties
+            `
+            : `
+            CREATE (a)-[r:${type}]->(b)
+            SET r = row.properties
+            `;
+
+        for (let start = 0; start < rows.length; start += batchSize) {
+            const batch = rows.slice(start, start + batchSize);
+
+            const result = await session.executeWrite(tx => tx.run(
+                `
+                UNWIND $rows AS row
+                MATCH (a:${sourceType} {${NODE_KEYS[sourceType] || 'id'}: row.sourceId})
+                MATCH (b:${targetType} {${NODE_KEYS[targetType] || 'id'}: row.targetId})
+                ${createClause}
+                RETURN count(r) AS created
+                `,
+                { rows: batch }
+            ));
+
+            const created = result.records[0].get('created').toNumber();
+            restored += created;
+            skipped += batch.length - created;
+        }
+    }
+
+    return { restored, skipped };
+}
+
+/**
+ * Restore a full graph export produced by exportFullGraph('json'). The export is checked
+ * before anything is written; the writes themselves are separate transactions, so a database
+ * error part-way leaves the nodes and relationships restored until then.
+ * @param {Object} graph - Parsed JSON export
+ * @param {Object} options - Restore options
+ * @param {string} options.mode - 'replace' clears the database first, 'merge' keeps existing data
+ * @param {number} options.batchSize - Records written per transaction
+ * @returns {Object} Restore report
+ */
+async function restoreFullGraph(graph, options = {}) {
+    const mode = options.mode || 'merge';
+    const batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+
+    if (!RESTORE_MODES.includes(mode)) {
+        throw new Error(`Invalid restore mode: ${mode}. Valid options are: ${RESTORE_MODES.join(', ')}`);
+    }
+
+    const data = unwrapExport(graph);
+    const errors = validateExport(data, mode);
+    if (errors.length > 0) {
+        const error = new Error('Invalid export file');
+        error.validationErrors = errors;
+        throw error;
+    }
+
+    const session = getSession();
+
+    try {
+        if (mode === 'replace') {
+            await session.run(`
+                MATCH (n)
+                CALL { WITH n DETACH DELETE n } IN TRANSACTIONS OF ${batchSize} ROWS
+            `);
+        }
+
+        const users = await restoreNodes(session, 'User', data.users, batchSize);
+        const transactions = await restoreNodes(session, 'Transaction', data.transactions, batchSize);
+        const sharedNodes = {};
+        for (const [key, label] of Object.entries(SHARED_NODE_LABELS)) {
+            sharedNodes[key] = await restoreNodes(session, label, data[key] || [], batchSize);
+        }
+
+        const relationships = await restoreRelationships(session, data.relationships, mode, batchSize);
+
+        return {
+            mode,
+            restored: {
+                users,
+                transactions,
+                ...sharedNodes,
+                relationships: relationships.restored
+            },
+            skippedRelationships: relationships.skipped,
+            sourceMetadata: data.metadata || null,
+            restoreDate: new Date().toISOString()
+        };
+    } finally {
+        await session.close();
+    }
+}
+
+module.exports = {
+    RESTORE_MODES,
+    restoreFullGraph
+};
@@ -0,0 +1,102 @@
+/**
+ * Utility functions for full-text search
+ */
+const { levenshteinDistance } = require('./similarityUtils');
+
+// Characters other than letters, digits and dots separate search terms
+const TERM_SEPARATOR = /[^\p{L}\p{N}.]+/u;
+
+/**
+ * Split free text into lowercase search terms
+ * @param {string} text - Text typed by the user
+ * @returns {Array} Search terms
+ */
+function tokenize(text) {
+    return String(text)
+        .toLowerCase()
+        .split(TERM_SEPARATOR)
+        .map(term => term.replace(/^\.+|\.+$/g, ''))
+        .filter(Boolean);
+}
+
+/**
+ * Number of typos tolerated for a term; short terms must match exactly or by prefix
+ * @param {string} term - Search term
+ * @returns {number} Maximum edit distance
+ */
+function maxEditsFor(term) {
+    if (term.length <= 2) return 0;
+    if (term.length <= 5) return 1;
+    return 2;
+}
+
+/**
+ * Build a Lucene query where every term must match exactly, by prefix or within a few typos
+ * @param {Array} terms - Search terms from tokenize
+ * @param {Object} options - Matching options
+ * @param {boolean} options.fuzzy - Allow typos
+ * @param {boolean} options.prefix - Allow prefix matches
+ * @param {boolean} options.anyTerm - Match documents containing any of the terms
+ * @returns {string} Lucene query string
+ */
+function buildLuceneQuery(terms, options = {}) {
+    const required = options.anyTerm ? '' : '+';
+
+    return terms.map(term => {
+        // Exact matches rank above prefix and fuzzy matches
+        const clauses = [`${term}^3`];
+        if (options.prefix) clauses.push(`${term}*^2`);
+        if (options.fuzzy && maxEditsFor(term) > 0) clauses.push(`${term}~${maxEditsFor(term)}`);
+        return `${required}(${clauses.join(' ')})`;
+    }).join(' ');
+}
+
+/**
+ * Check whether a word in a field matches a search term
+ * @param {string} word - Lowercase word from the field value
+ * @param {string} term - Search term
+ * @param {Object} options - Matching options (fuzzy, prefix)
+ * @returns {boolean} Whether the word matches
+ */
+function wordMatches(word, term, options) {
+    if (word === term) return true;
+    if (options.prefix && word.startsWith(term)) return true;
+    return Boolean(options.fuzzy) && maxEditsFor(term) > 0 &&
+        levenshteinDistance(word, term) <= maxEditsFor(term);
+}
+
+/**
+ * Split a field value into segments, flagging the words that match a search term
+ * @param {string} value - Field value
+ * @param {Array} terms - Search terms
+ * @param {Object} options - Matching options (fuzzy, prefix)
+ * @returns {Array|null} Segments as {text, match}, or null when nothing matched
+ */
+function highlight(value, terms, options) {
+    const segments = [];
+    let matched = false;
+
+    // Keep the separators so the segments join back into the original value
+    String(value).split(/([^\p{L}\p{N}.]+)/u).forEach(part => {
+        if (part === '') return;
+
+        const word = part.toLowerCase().replace(/^\.+|\.+$/g, '');
+        const match = word !== '' && terms.some(term => wordMatches(word, term, options));
+        matched = matched || match;
+
+        const previous = segments[segments.length - 1];
+        if (previous && previous.match === match) {
+            previous.text += part;
+        } else {
+            segments.push({ text: part, match });
+        }
+    });
+
+    return matched ? segments : null;
+}
+
+module.exports = {
+    tokenize,
+    buildLuceneQuery,
+    highlight
+};
@@ -0,0 +1,110 @@
+/**
+ * Utility functions for comparing strings
+ */
+
+/**
+ * Compute the Levenshtein edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Minimum number of single-character edits
+ */
+function levenshteinDistance(a, b) {
+    if (a === b) return 0;
+    if (a.length === 0) return b.length;
+    if (b.length === 0) return a.length;
+
+    // Only the previous row of the distance matrix is needed
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + cost
+            );
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+/**
+ * Compute the Jaro-Winkler similarity between two strings. Strings sharing a
+ * prefix score higher, which suits names ("Jon Smith" / "John Smith").
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Similarity between 0 and 1
+ */
+function jaroWinklerSimilarity(a, b) {
+    if (a === b) return 1;
+    if (a.length === 0 || b.length === 0) return 0;
+
+    // Characters match if they are equal and no further apart than this
+    const window = Math.max(Math.floor(Math.max(a.length, b.length) / 2) - 1, 0);
+    const aMatched = new Array(a.length).fill(false);
+    const bMatched = new Array(b.length).fill(false);
+    let matches = 0;
+
+    for (let i = 0; i < a.length; i++) {
+        const start = Math.max(0, i - window);
+        const end = Math.min(i + window + 1, b.length);
+        for (let j = start; j < end; j++) {
+            if (!bMatched[j] && a[i] === b[j]) {
+                aMatched[i] = true;
+                bMatched[j] = true;
+                matches++;
+                break;
+            }
+        }
+    }
+
+    if (matches === 0) return 0;
+
+    // Matching characters that appear in a different order count as half a transposition each
+    let transpositions = 0;
+    let k = 0;
+    for (let i = 0; i < a.length; i++) {
+        if (!aMatched[i]) continue;
+        while (!bMatched[k]) k++;
+        if (a[i] !== b[k]) transpositions++;
+        k++;
+    }
+
+    const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+    let prefix = 0;
+    while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) prefix++;
+
+    return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+/**
+ * Compute the Sørensen-Dice similarity of the words in two strings. Word order
+ * does not matter and extra words lower the score gradually, which suits addresses
+ * ("123 main st" / "123 main st apt 2").
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Similarity between 0 and 1
+ */
+function tokenSetSimilarity(a, b) {
+    const aTokens = new Set(a.split(/\s+/).filter(Boolean));
+    const bTokens = new Set(b.split(/\s+/).filter(Boolean));
+    if (aTokens.size === 0 || bTokens.size === 0) return 0;
+
+    let shared = 0;
+    aTokens.forEach(token => {
+        if (bTokens.has(token)) shared++;
+    });
+
+    return (2 * shared) / (aTokens.size + bTokens.size);
+}
+
+module.exports = {
+    levenshteinDistance,
+    jaroWinklerSimilarity,
+    tokenSetSimilarity
+};
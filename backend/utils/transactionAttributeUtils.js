@@ -0,0 +1,73 @@
+/**
+ * Utility functions for the shared nodes that transaction attributes are stored as
+ */
+const { normalizeIp, normalizeLocation } = require('./normalizationUtils');
+
+// Transaction attributes stored as shared nodes. Transactions link to the node of
+// each attribute value, and senders link to every node their transactions used,
+// so "all transactions/users seen on device X" is a single hop from the Device node.
+// `field` is the transaction property nodes are keyed on (the normalized copy where one
+// exists), `displayField` the property holding the value as entered and `normalize`
+// turns a value from a request into a node key.
+const ATTRIBUTE_NODES = [
+    {
+        type: 'device',
+        field: 'deviceId',
+        displayField: 'deviceId',
+        label: 'Device',
+        key: 'deviceId',
+        relationship: 'USED_DEVICE',
+        normalize: value => value
+    },
+    {
+        type: 'ipAddress',
+        field: 'normalizedIpAddress',
+        displayField: 'ipAddress',
+        label: 'IpAddress',
+        key: 'address',
+        relationship: 'USED_IP',
+        normalize: normalizeIp
+    },
+    {
+        type: 'location',
+        field: 'normalizedLocation',
+        displayField: 'location',
+        label: 'Location',
+        key: 'key',
+        relationship: 'AT_LOCATION',
+        normalize: normalizeLocation
+    }
+];
+
+/**
+ * Build the properties of an attribute node from a stored transaction value
+ * @param {Object} attribute - Entry of ATTRIBUTE_NODES
+ * @param {string} value - Normalized value stored on the transaction
+ * @param {string} displayValue - Value as entered
+ * @returns {Object} Node properties
+ */
+function toAttributeNode(attribute, value, displayValue = value) {
+    const properties = { [attribute.key]: value };
+
+    // Locations are stored as JSON on transactions; copy their scalar fields onto the node
+    if (attribute.type === 'location') {
+        try {
+            const location = JSON.parse(displayValue);
+            Object.keys(location || {}).forEach(field => {
+                const fieldValue = location[field];
+                if (['string', 'number', 'boolean'].includes(typeof fieldValue) && field !== attribute.key) {
+                    properties[field] = fieldValue;
+                }
+            });
+        } catch (error) {
+            // Keep only the key for values that are not valid JSON
+        }
+    }
+
+    return properties;
+}
+
+module.exports = {
+    ATTRIBUTE_NODES,
+    toAttributeNode
+};
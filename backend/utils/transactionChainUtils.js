@@ -0,0 +1,62 @@
+/**
+ * Utility functions for refunds, reversals and chargebacks. An adjustment is a transaction
+ * with a parentTransactionId; it is linked to the transaction it adjusts by a relationship
+ * named after its parentRelationship, pointing from the adjustment to the original.
+ */
+
+const ADJUSTMENT_RELATIONSHIPS = ['REFUND_OF', 'REVERSAL_OF', 'CHARGEBACK_OF'];
+
+// Adjustments in these statuses never moved money and do not count against the original
+const INACTIVE_ADJUSTMENT_STATUSES = ['failed', 'reversed'];
+
+// Amounts are compared with this tolerance so that sums of decimal amounts do not fail on rounding
+const AMOUNT_TOLERANCE = 1e-9;
+
+/**
+ * Check whether an adjustment counts against the amount of its original transaction
+ * @param {Object} properties - Adjustment node properties
+ * @returns {boolean} Whether the adjustment is active
+ */
+function isActiveAdjustment(properties) {
+    return !INACTIVE_ADJUSTMENT_STATUSES.includes(properties.status);
+}
+
+/**
+ * Build a Cypher expression for the total amount of the active adjustments of a transaction
+ * @param {string} alias - Variable bound to the Transaction node
+ * @returns {string} Cypher expression (0.0 when the transaction has no adjustments)
+ */
+function adjustedAmountExpression(alias) {
+    // The variable names are unusual so they do not capture variables of the surrounding query
+    return `reduce(adjustedTotal = 0.0, adjustedAmount IN [(adjusting:Transaction)-[:${ADJUSTMENT_RELATIONSHIPS.join('|')}]->(${alias}) ` +
+        `WHERE NOT adjusting.status IN ${JSON.stringify(INACTIVE_ADJUSTMENT_STATUSES)} | adjusting.amount] | adjustedTotal + adjustedAmount)`;
+}
+
+/**
+ * Build a Cypher expression for the net amount of a transaction: its amount less the
+ * amounts of its active refunds, reversals and chargebacks
+ * @param {string} alias - Variable bound to the Transaction node
+ * @returns {string} Cypher expression
+ */
+function netAmountExpression(alias) {
+    return `${alias}.amount - ${adjustedAmountExpression(alias)}`;
+}
+
+/**
+ * Check whether a total exceeds an amount, allowing for rounding
+ * @param {number} total - Total of the adjustments
+ * @param {number} amount - Amount of the original transaction
+ * @returns {boolean} Whether the total is more than the amount
+ */
+function exceedsAmount(total, amount) {
+    return total - amount > AMOUNT_TOLERANCE;
+}
+
+module.exports = {
+    ADJUSTMENT_RELATIONSHIPS,
+    INACTIVE_ADJUSTMENT_STATUSES,
+    isActiveAdjustment,
+    adjustedAmountExpression,
+    netAmountExpression,
+    exceedsAmount
+};
@@ -0,0 +1,155 @@
+/**
+ * Utility functions for the transaction status lifecycle.
+ * The history of a transaction's statuses is stored as two parallel lists on the
+ * node, statusHistory (statuses) and statusTimestamps (ISO 8601 times at which each
+ * status took effect), so the status at any time can be computed in Cypher.
+ */
+
+const TRANSACTION_STATUSES = ['pending', 'authorized', 'completed', 'failed', 'reversed', 'refunded', 'disputed'];
+
+// Status given to transactions created without one
+const DEFAULT_STATUS = 'completed';
+
+// Statuses each status may move to; failed, reversed and refunded are final
+const STATUS_TRANSITIONS = {
+    pending: ['authorized', 'completed', 'failed'],
+    authorized: ['completed', 'failed', 'reversed'],
+    completed: ['refunded', 'disputed', 'reversed'],
+    disputed: ['completed', 'refunded', 'reversed'],
+    failed: [],
+    reversed: [],
+    refunded: []
+};
+
+/**
+ * Check whether a transaction may move from one status to another. Transactions
+ * stored with a status outside the lifecycle (written before it existed) may move
+ * to any status.
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} Whether the transition is allowed
+ */
+function canTransition(from, to) {
+    if (!STATUS_TRANSITIONS[from]) {
+        return TRANSACTION_STATUSES.includes(to);
+    }
+    return STATUS_TRANSITIONS[from].includes(to);
+}
+
+/**
+ * Build the error thrown for a transition the lifecycle does not allow
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {Error} Error with statusCode 409 and details listing the allowed statuses
+ */
+function transitionError(from, to) {
+    const allowed = STATUS_TRANSITIONS[from] || TRANSACTION_STATUSES;
+    const error = new Error(
+        `Cannot change status from ${from} to ${to}` +
+        (allowed.length > 0 ? ` (allowed: ${allowed.join(', ')})` : ` (${from} is final)`)
+    );
+    error.statusCode = 409;
+    error.details = { from, to, allowed };
+    return error;
+}
+
+/**
+ * Combine the stored history lists into entries
+ * @param {Object} properties - Transaction node properties
+ * @returns {Array} History as [{status, timestamp}], oldest first
+ */
+function getStatusHistory(properties) {
+    const statuses = properties.statusHistory || [];
+    const timestamps = properties.statusTimestamps || [];
+    return statuses.map((status, index) => ({ status, timestamp: timestamps[index] }));
+}
+
+/**
+ * Append a status change to the history of a stored transaction
+ * @param {Object} stored - Stored transaction node properties
+ * @param {string} status - New status (the history is returned unchanged when it is the current status)
+ * @param {string} changedAt - Time of the change (ISO 8601)
+ * @returns {Object} {statusHistory, statusTimestamps} to store on the node
+ * @throws {Error} statusCode 409 when the lifecycle does not allow the change, 400 when
+ *                 changedAt is before the last recorded change
+ */
+function appendStatus(stored, status, changedAt) {
+    // Transactions written before the history existed start it with their current status
+    const history = stored.statusHistory
+        ? getStatusHistory(stored)
+        : [{ status: stored.status, timestamp: stored.timestamp }];
+    const last = history[history.length - 1];
+
+    if (last.status !== status) {
+        if (!canTransition(last.status, status)) {
+            throw transitionError(last.status, status);
+        }
+
+        const timestamp = new Date(changedAt).toISOString();
+        if (timestamp < last.timestamp) {
+            const invalid = new Error(`Status change time must not be before the last change (${last.timestamp})`);
+            invalid.statusCode = 400;
+            throw invalid;
+        }
+
+        history.push({ status, timestamp });
+    }
+
+    return {
+        statusHistory: history.map(entry => entry.status),
+        statusTimestamps: history.map(entry => entry.timestamp)
+    };
+}
+
+/**
+ * Build a Cypher expression for the status a transaction had at $statusAsOf.
+ * Transactions without a history (written before it existed) have their current
+ * status from their timestamp on.
+ * @param {string} alias - Variable bound to the Transaction node
+ * @returns {string} Cypher expression (null when the transaction did not exist yet)
+ */
+function statusAsOfExpression(alias) {
+    const recorded = `[i IN range(0, size(coalesce(${alias}.statusTimestamps, [])) - 1) ` +
+        `WHERE ${alias}.statusTimestamps[i] <= $statusAsOf | ${alias}.statusHistory[i]][-1]`;
+    const legacy = `CASE WHEN ${alias}.statusTimestamps IS NULL AND ${alias}.timestamp <= $statusAsOf ` +
+        `THEN ${alias}.status END`;
+
+    return `coalesce(${recorded}, ${legacy})`;
+}
+
+/**
+ * Build a Cypher condition for a status filter, optionally as of a point in time
+ * @param {string} alias - Variable bound to the Transaction node
+ * @param {Object} filters - {status (list of statuses), statusAsOf (ISO 8601 time)}
+ * @returns {Object|null} {condition, params}, or null when there is nothing to filter on
+ */
+function buildStatusCondition(alias, filters = {}) {
+    const statuses = filters.status && filters.status.length > 0 ? filters.status : null;
+
+    if (filters.statusAsOf) {
+        const statusAsOf = new Date(filters.statusAsOf).toISOString();
+        const expression = statusAsOfExpression(alias);
+        return {
+            condition: statuses ? `${expression} IN $statuses` : `${expression} IS NOT NULL`,
+            params: { statusAsOf, statuses }
+        };
+    }
+
+    if (statuses) {
+        return { condition: `${alias}.status IN $statuses`, params: { statuses } };
+    }
+
+    return null;
+}
+
+module.exports = {
+    TRANSACTION_STATUSES,
+    DEFAULT_STATUS,
+    STATUS_TRANSITIONS,
+    canTransition,
+    transitionError,
+    getStatusHistory,
+    appendStatus,
+    statusAsOfExpression,
+    buildStatusCondition
+};
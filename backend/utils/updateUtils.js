@@ -0,0 +1,69 @@
+/**
+ * Utility functions for updating stored records
+ */
+
+/**
+ * Apply a partial update to a record. Fields set to null are removed.
+ * @param {Object} current - Current record
+ * @param {Object} changes - Fields to change
+ * @returns {Object} Updated record
+ */
+function applyChanges(current, changes) {
+    const updated = { ...current };
+
+    Object.keys(changes).forEach(key => {
+        if (changes[key] === null) {
+            delete updated[key];
+        } else {
+            updated[key] = changes[key];
+        }
+    });
+
+    return updated;
+}
+
+/**
+ * Parse properties that are stored on a node as JSON strings
+ * @param {Object} properties - Node properties
+ * @param {Array} jsonFields - Names of the JSON-encoded properties
+ * @returns {Object} Properties with JSON fields parsed
+ */
+function parseJSONProperties(properties, jsonFields) {
+    const parsed = { ...properties };
+
+    jsonFields.forEach(field => {
+        if (typeof parsed[field] === 'string') {
+            try {
+                parsed[field] = JSON.parse(parsed[field]);
+            } catch (error) {
+                // Leave values that are not valid JSON untouched
+            }
+        }
+    });
+
+    return parsed;
+}
+
+/**
+ * Pick the stored properties an update carries over, such as the results of analytics jobs
+ * @param {Object} properties - Stored node properties
+ * @param {Array} names - Names of the properties to keep
+ * @returns {Object} The named properties that are set
+ */
+function pickProperties(properties, names) {
+    const picked = {};
+
+    names.forEach(name => {
+        if (properties[name] !== undefined && properties[name] !== null) {
+            picked[name] = properties[name];
+        }
+    });
+
+    return picked;
+}
+
+module.exports = {
+    applyChanges,
+    parseJSONProperties,
+    pickProperties
+};
@@ -0,0 +1,163 @@
+/**
+ * Request schemas for analytics routes
+ */
+const Joi = require('joi');
+const { CLUSTER_ATTRIBUTES, PATH_DIRECTIONS, PATH_MODES } = require('../utils/graphAnalyticsUtils');
+const { NODE_TYPES } = require('../utils/graphDataUtils');
+const { commaSeparatedList } = require('./commonSchemas');
+const { RELATIONSHIP_TYPE } = require('./linkRuleSchemas');
+const { normalizeNodeType } = require('./graphSchemas');
+const { CENTRALITY_METRICS, CENTRALITY_NODE_LABELS } = require('../utils/centralityUtils');
+
+/**
+ * Schema for a comma-separated list of relationship types, which are interpolated into Cypher
+ * @returns {Object} Joi schema that converts the value into an array of uppercase types
+ */
+function relationshipTypeList() {
+    return commaSeparatedList(null, type => type.toUpperCase())
+        .custom((types, helpers) => {
+            const invalid = types.filter(type => !RELATIONSHIP_TYPE.test(type));
+            return invalid.length > 0 ? helpers.error('relationshipType.invalid', { invalid: invalid.join(', ') }) : types;
+        })
+        .messages({
+            'relationshipType.invalid': '{{#label}} contains invalid relationship types: {{#invalid}}'
+        });
+}
+
+// Relationship weights as TYPE:weight pairs, e.g. TRANSFERRED_TO:1,USED_DEVICE:0.25
+const relationshipWeightsSchema = Joi.string()
+    .custom((value, helpers) => {
+        const weights = {};
+
+        for (const pair of value.split(',')) {
+            const [type, weight] = pair.split(':').map(part => part.trim());
+            const number = Number(weight);
+
+            if (!type || !RELATIONSHIP_TYPE.test(type.toUpperCase()) || weight === undefined || weight === '' ||
+                !Number.isFinite(number) || number <= 0) {
+                return helpers.error('weights.invalid', { pair: pair.trim() });
+            }
+            weights[type.toUpperCase()] = number;
+        }
+
+        return weights;
+    })
+    .messages({
+        'weights.invalid': '{{#label}} must be TYPE:weight pairs with positive weights, e.g. USED_DEVICE:0.25 (invalid: {{#pair}})'
+    });
+
+// Longest paths enumerated in k mode
+const K_PATHS_MAX_DEPTH = 5;
+
+const shortestPathQuerySchema = Joi.object({
+    sourceUserId: Joi.string().trim().min(1).required(),
+    targetUserId: Joi.string().trim().min(1).required(),
+    maxDepth: Joi.number().integer().min(1).max(15).default(5),
+    relationshipTypes: relationshipTypeList(),
+    direction: Joi.string().trim().lowercase().valid(...PATH_DIRECTIONS).default('both'),
+    excludeNodeTypes: commaSeparatedList(NODE_TYPES, normalizeNodeType),
+    mode: Joi.string().trim().lowercase().valid(...PATH_MODES).default('shortest'),
+    // Enumerating paths is exhaustive, so k mode is limited to short paths over the
+    // relationship types asked for, rather than through every shared attribute node
+    k: Joi.number().integer().min(1).max(25).when('mode', {
+        is: 'k',
+        then: Joi.number().default(3),
+        otherwise: Joi.forbidden()
+    }),
+    weights: relationshipWeightsSchema
+}).custom((query, helpers) => {
+    if (query.mode === 'k' && !(query.relationshipTypes && query.relationshipTypes.length > 0)) {
+        return helpers.error('k.relationshipTypes');
+    }
+    if (query.mode === 'k' && query.maxDepth > K_PATHS_MAX_DEPTH) {
+        return helpers.error('k.maxDepth', { limit: K_PATHS_MAX_DEPTH });
+    }
+    return query;
+}).messages({
+    'k.relationshipTypes': 'relationshipTypes is required when mode is k',
+    'k.maxDepth': 'maxDepth must be {{#limit}} or less when mode is k'
+});
+
+const transactionClustersQuerySchema = Joi.object({
+    attribute: Joi.string().valid(...CLUSTER_ATTRIBUTES).required(),
+    minClusterSize: Joi.number().integer().min(1).default(2)
+});
+
+// Trails start at either a user or a transaction
+const moneyTrailQuerySchema = Joi.object({
+    userId: Joi.string().trim().min(1),
+    transactionId: Joi.string().trim().min(1),
+    maxHops: Joi.number().integer().min(1).max(10).default(5),
+    fromTimestamp: Joi.string().isoDate(),
+    toTimestamp: Joi.string().isoDate()
+}).xor('userId', 'transactionId').custom((query, helpers) => {
+    if (query.fromTimestamp && query.toTimestamp && new Date(query.fromTimestamp) > new Date(query.toTimestamp)) {
+        return helpers.error('timestamp.range', { peers: ['fromTimestamp', 'toTimestamp'] });
+    }
+    return query;
+}).messages({
+    'timestamp.range': 'fromTimestamp must be before toTimestamp'
+});
+
+const cyclesQuerySchema = Joi.object({
+    userId: Joi.string().trim().min(1),
+    maxLength: Joi.number().integer().min(2).max(8).default(4),
+    // Maximum time between the first and the last transfer of a cycle
+    window: Joi.alternatives().try(
+        Joi.number().integer().min(1),
+        Joi.string().trim().pattern(/^\d+\s*[smhd]$/).messages({
+            'string.pattern.base': '{{#label}} must be a number of seconds or a duration such as 30s, 15m, 1h or 7d'
+        })
+    ),
+    minAmount: Joi.number().min(0),
+    limit: Joi.number().integer().min(1).max(1000).default(100)
+});
+
+const detectCommunitiesBodySchema = Joi.object({
+    relationshipTypes: Joi.array().items(
+        Joi.string().trim().uppercase().pattern(RELATIONSHIP_TYPE).messages({
+            'string.pattern.base': '{{#label}} must be a relationship type'
+        })
+    ).min(1),
+    // Relationship type to weight, e.g. { "TRANSFERRED_TO": 1, "USED_IP": 0.1 }
+    weights: Joi.object().pattern(
+        Joi.string().pattern(RELATIONSHIP_TYPE),
+        Joi.number().positive()
+    ).messages({
+        'object.unknown': '{{#label}} must map uppercase relationship types to positive weights'
+    }),
+    batchSize: Joi.number().integer().min(1).max(10000)
+}).default({});
+
+const communitiesQuerySchema = Joi.object({
+    minSize: Joi.number().integer().min(2).default(2),
+    limit: Joi.number().integer().min(1).max(1000).default(50),
+    topMembers: Joi.number().integer().min(1).max(50).default(5)
+});
+
+const computeCentralityBodySchema = Joi.object({
+    relationshipTypes: Joi.array().items(
+        Joi.string().trim().uppercase().pattern(RELATIONSHIP_TYPE).messages({
+            'string.pattern.base': '{{#label}} must be a relationship type'
+        })
+    ).min(1),
+    betweennessSources: Joi.number().integer().min(1).max(100000),
+    batchSize: Joi.number().integer().min(1).max(10000)
+}).default({});
+
+const centralityQuerySchema = Joi.object({
+    metric: Joi.string().trim().valid(...CENTRALITY_METRICS).default('pageRank'),
+    nodeType: Joi.string().trim().lowercase().valid(...Object.keys(CENTRALITY_NODE_LABELS)),
+    limit: Joi.number().integer().min(1).max(1000).default(50)
+});
+
+module.exports = {
+    shortestPathQuerySchema,
+    transactionClustersQuerySchema,
+    moneyTrailQuerySchema,
+    cyclesQuerySchema,
+    detectCommunitiesBodySchema,
+    communitiesQuerySchema,
+    computeCentralityBodySchema,
+    centralityQuerySchema
+};
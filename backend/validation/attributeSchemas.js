@@ -0,0 +1,19 @@
+/**
+ * Request schemas for transaction attribute routes
+ */
+const Joi = require('joi');
+const { ATTRIBUTE_NODES } = require('../utils/transactionAttributeUtils');
+
+const attributeParamsSchema = Joi.object({
+    type: Joi.string().valid(...ATTRIBUTE_NODES.map(attribute => attribute.type)).required(),
+    value: Joi.string().trim().min(1).required()
+});
+
+const attributeTransactionsQuerySchema = Joi.object({
+    limit: Joi.number().integer().min(1).max(1000).default(100)
+});
+
+module.exports = {
+    attributeParamsSchema,
+    attributeTransactionsQuerySchema
+};
@@ -0,0 +1,65 @@
+/**
+ * Schemas shared by several routes
+ */
+const Joi = require('joi');
+const { MAX_PAGE_SIZE, SORT_ORDERS } = require('../utils/paginationUtils');
+
+const idParamsSchema = Joi.object({
+    id: Joi.string().trim().min(1).required()
+});
+
+const batchSizeQuerySchema = Joi.object({
+    batchSize: Joi.number().integer().min(1).max(10000)
+});
+
+/**
+ * Schema for cursor pagination query parameters
+ * @param {Array} sortFields - Fields the list can be sorted by
+ * @returns {Object} Joi keys for limit, after, sortBy and sortOrder
+ */
+function paginationQueryKeys(sortFields) {
+    return {
+        limit: Joi.number().integer().min(1).max(MAX_PAGE_SIZE),
+        after: Joi.string().trim().min(1),
+        sortBy: Joi.string().valid(...sortFields),
+        sortOrder: Joi.string().trim().lowercase().valid(...SORT_ORDERS)
+    };
+}
+
+/**
+ * Schema for a comma-separated list in a query parameter
+ * @param {Array} validValues - Allowed values (any value when omitted)
+ * @param {Function} normalize - Applied to each item before it is checked
+ * @returns {Object} Joi schema that converts the value into an array
+ */
+function commaSeparatedList(validValues = null, normalize = item => item) {
+    return Joi.string()
+        .custom((value, helpers) => {
+            const values = value.split(',').map(item => normalize(item.trim())).filter(Boolean);
+
+            if (values.length === 0) {
+                return helpers.error('list.empty');
+            }
+
+            const invalid = validValues ? values.filter(item => !validValues.includes(item)) : [];
+            if (invalid.length > 0) {
+                return helpers.error('list.invalid', {
+                    invalid: invalid.join(', '),
+                    valid: validValues.join(', ')
+                });
+            }
+
+            return values;
+        })
+        .messages({
+            'list.empty': '{{#label}} must contain at least one value',
+            'list.invalid': '{{#label}} contains invalid values: {{#invalid}}. Valid values are: {{#valid}}'
+        });
+}
+
+module.exports = {
+    idParamsSchema,
+    batchSizeQuerySchema,
+    paginationQueryKeys,
+    commaSeparatedList
+};
@@ -0,0 +1,74 @@
+/**
+ * Request schemas for export and import routes
+ */
+const Joi = require('joi');
+const { RESTORE_MODES } = require('../utils/restoreUtils');
+const { TRANSACTION_STATUSES } = require('../utils/transactionStatusUtils');
+const { commaSeparatedList } = require('./commonSchemas');
+
+const exportGraphQuerySchema = Joi.object({
+    format: Joi.string().trim().lowercase().valid('json', 'csv').default('json'),
+    download: Joi.boolean().default(false),
+    // Export only transactions with these statuses, optionally as of a point in time
+    status: commaSeparatedList(TRANSACTION_STATUSES, status => status.toLowerCase()),
+    statusAsOf: Joi.string().isoDate(),
+    // base writes transaction amounts converted into the base currency
+    amounts: Joi.string().trim().lowercase().valid('original', 'base').default('original')
+});
+
+const columnMappingSchema = Joi.object().pattern(Joi.string(), Joi.string());
+
+const importOptionsSchema = {
+    dryRun: Joi.boolean().default(false),
+    batchSize: Joi.number().integer().min(1).max(10000)
+};
+
+const importCSVBodySchema = Joi.object({
+    users: Joi.string(),
+    transactions: Joi.string(),
+    relationships: Joi.string(),
+    fxRates: Joi.string(),
+    mapping: Joi.object({
+        users: columnMappingSchema,
+        transactions: columnMappingSchema,
+        relationships: columnMappingSchema,
+        fxRates: columnMappingSchema
+    }).default({}),
+    ...importOptionsSchema
+}).or('users', 'transactions', 'relationships', 'fxRates').messages({
+    'object.missing': 'At least one CSV file is required (users, transactions, relationships or fxRates)'
+});
+
+const importCSVParamsSchema = Joi.object({
+    entityType: Joi.string().valid('users', 'transactions', 'relationships', 'fxRates').required()
+});
+
+const importCSVQuerySchema = Joi.object({
+    // Mapping arrives JSON-encoded in the query string
+    mapping: Joi.string()
+        .custom((value, helpers) => {
+            try {
+                const parsed = JSON.parse(value);
+                const { error } = columnMappingSchema.validate(parsed);
+                return error ? helpers.error('mapping.invalid') : parsed;
+            } catch (error) {
+                return helpers.error('mapping.invalid');
+            }
+        })
+        .default({})
+        .messages({ 'mapping.invalid': '{{#label}} must be a JSON object of column name to field name' }),
+    ...importOptionsSchema
+});
+
+const restoreGraphQuerySchema = Joi.object({
+    mode: Joi.string().trim().lowercase().valid(...RESTORE_MODES).default('merge'),
+    batchSize: Joi.number().integer().min(1).max(10000)
+});
+
+module.exports = {
+    exportGraphQuerySchema,
+    importCSVBodySchema,
+    importCSVParamsSchema,
+    importCSVQuerySchema,
+    restoreGraphQuerySchema
+};
@@ -0,0 +1,37 @@
+/**
+ * Schemas for FX rate records and FX rate routes
+ */
+const Joi = require('joi');
+const { paginationQueryKeys, commaSeparatedList } = require('./commonSchemas');
+const { currencySchema } = require('./transactionSchemas');
+const { BASE_CURRENCY } = require('../utils/fxRateUtils');
+
+const FX_RATE_SORT_FIELDS = ['date', 'currency'];
+
+// Number of base currency units one unit of currency was worth on the date
+const fxRateSchema = Joi.object({
+    date: Joi.string().trim().isoDate().required(),
+    currency: currencySchema.required(),
+    rate: Joi.number().positive().required(),
+    base: currencySchema.default(BASE_CURRENCY)
+}).custom((rate, helpers) => {
+    if (rate.currency === rate.base) {
+        return helpers.error('rate.sameCurrency');
+    }
+    return rate;
+}).messages({
+    'rate.sameCurrency': 'currency must differ from the base currency'
+});
+
+const fxRateListQuerySchema = Joi.object({
+    currency: commaSeparatedList(null, currency => currency.toUpperCase()),
+    base: currencySchema.default(BASE_CURRENCY),
+    fromDate: Joi.string().isoDate(),
+    toDate: Joi.string().isoDate(),
+    ...paginationQueryKeys(FX_RATE_SORT_FIELDS)
+});
+
+module.exports = {
+    fxRateSchema,
+    fxRateListQuerySchema
+};
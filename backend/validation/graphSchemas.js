@@ -0,0 +1,30 @@
+/**
+ * Request schemas for graph routes
+ */
+const Joi = require('joi');
+const { NODE_TYPES } = require('../utils/graphDataUtils');
+const { commaSeparatedList } = require('./commonSchemas');
+const { TRANSACTION_STATUSES } = require('../utils/transactionStatusUtils');
+
+/**
+ * Match a node type case-insensitively
+ * @param {string} type - Requested node type
+ * @returns {string} Node type as listed in NODE_TYPES (unchanged when unknown)
+ */
+function normalizeNodeType(type) {
+    return NODE_TYPES.find(nodeType => nodeType.toLowerCase() === type.toLowerCase()) || type;
+}
+
+const graphQuerySchema = Joi.object({
+    nodeTypes: commaSeparatedList(NODE_TYPES, normalizeNodeType).default(NODE_TYPES),
+    relationshipTypes: commaSeparatedList(null, type => type.toUpperCase()).default([]),
+    userLimit: Joi.number().integer().min(1),
+    transactionLimit: Joi.number().integer().min(1),
+    status: commaSeparatedList(TRANSACTION_STATUSES, status => status.toLowerCase()),
+    statusAsOf: Joi.string().isoDate()
+});
+
+module.exports = {
+    normalizeNodeType,
+    graphQuerySchema
+};
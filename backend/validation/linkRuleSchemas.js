@@ -0,0 +1,78 @@
+/**
+ * Schemas for link rule files and link rule routes
+ */
+const Joi = require('joi');
+
+// Property and relationship names are interpolated into Cypher, so only plain identifiers are allowed
+const PROPERTY_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const RELATIONSHIP_TYPE = /^[A-Z][A-Z0-9_]*$/;
+
+// Relationships maintained by the models; a rule producing them would delete their edges
+const RESERVED_RELATIONSHIPS = [
+    'SENT_MONEY',
+    'RECEIVED_BY',
+    'TRANSFERRED_TO',
+    'USES_PAYMENT_METHOD',
+    'USED_DEVICE',
+    'USED_IP',
+    'AT_LOCATION',
+    'SIMILAR_NAME',
+    'SIMILAR_ADDRESS',
+    'REFUND_OF',
+    'REVERSAL_OF',
+    'CHARGEBACK_OF'
+];
+
+const propertyName = () => Joi.string().pattern(PROPERTY_NAME).messages({
+    'string.pattern.base': '{{#label}} must be a property name (letters, digits and underscores)'
+});
+
+const linkRuleSchema = Joi.object({
+    name: Joi.string().pattern(/^[a-z0-9]+(-[a-z0-9]+)*$/).required().messages({
+        'string.pattern.base': '{{#label}} must contain only lowercase letters, digits and dashes'
+    }),
+    description: Joi.string().allow(''),
+    entity: Joi.string().valid('user', 'transaction').required(),
+    attribute: propertyName().required(),
+    operator: Joi.string().valid('equals', 'equalsIgnoreCase', 'within').default('equals'),
+    tolerance: Joi.number().min(0).when('operator', {
+        is: 'within',
+        then: Joi.required(),
+        otherwise: Joi.forbidden()
+    }),
+    window: Joi.alternatives().try(
+        Joi.number().integer().min(1),
+        Joi.string().pattern(/^\d+\s*[smhd]$/).messages({
+            'string.pattern.base': '{{#label}} must be a number of seconds or a duration such as 30s, 15m, 1h or 7d'
+        })
+    ),
+    timeField: propertyName(),
+    relationship: Joi.string().pattern(RELATIONSHIP_TYPE).invalid(...RESERVED_RELATIONSHIPS).required().messages({
+        'string.pattern.base': '{{#label}} must be an uppercase relationship type',
+        'any.invalid': '{{#label}} is maintained by the application and cannot be produced by a rule'
+    }),
+    property: propertyName(),
+    enabled: Joi.boolean().default(true)
+});
+
+const linkRulesFileSchema = Joi.object({
+    rules: Joi.array().items(linkRuleSchema).unique('name').required().messages({
+        'array.unique': 'rule names must be unique ({{#value.name}} is used twice)'
+    })
+});
+
+const linkRuleParamsSchema = Joi.object({
+    name: Joi.string().trim().min(1).required()
+});
+
+const linkRuleQuerySchema = Joi.object({
+    entity: Joi.string().trim().lowercase().valid('user', 'transaction'),
+    enabled: Joi.boolean()
+});
+
+module.exports = {
+    RELATIONSHIP_TYPE,
+    linkRulesFileSchema,
+    linkRuleParamsSchema,
+    linkRuleQuerySchema
+};
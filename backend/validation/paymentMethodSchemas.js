@@ -0,0 +1,23 @@
+/**
+ * Request schemas for payment method routes
+ */
+const Joi = require('joi');
+
+const paymentMethodQuerySchema = Joi.object({
+    type: Joi.string().trim().min(1),
+    provider: Joi.string().trim().min(1),
+    bank: Joi.string().trim().min(1),
+    last4: Joi.string().pattern(/^\d{4}$/).messages({
+        'string.pattern.base': '{{#label}} must be exactly 4 digits'
+    }),
+    limit: Joi.number().integer().min(1).max(1000).default(100)
+});
+
+const fingerprintParamsSchema = Joi.object({
+    fingerprint: Joi.string().trim().min(1).required()
+});
+
+module.exports = {
+    paymentMethodQuerySchema,
+    fingerprintParamsSchema
+};
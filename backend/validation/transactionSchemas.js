@@ -0,0 +1,136 @@
+/**
+ * Request schemas for transaction routes
+ */
+const Joi = require('joi');
+const { paginationQueryKeys, commaSeparatedList } = require('./commonSchemas');
+const { TRANSACTION_STATUSES } = require('../utils/transactionStatusUtils');
+const { ADJUSTMENT_RELATIONSHIPS } = require('../utils/transactionChainUtils');
+
+const TRANSACTION_SORT_FIELDS = ['timestamp', 'createdAt', 'amount', 'amountBase', 'status', 'currency'];
+
+const currencySchema = Joi.string().trim().uppercase().pattern(/^[A-Z]{3}$/).messages({
+    'string.pattern.base': '{{#label}} must be a 3-letter ISO 4217 currency code'
+});
+
+const statusSchema = Joi.string().trim().lowercase().valid(...TRANSACTION_STATUSES);
+
+const parentRelationshipSchema = Joi.string().trim().uppercase().valid(...ADJUSTMENT_RELATIONSHIPS);
+
+const transactionSchema = Joi.object({
+    id: Joi.string().trim().min(1),
+    amount: Joi.number().positive().required(),
+    currency: currencySchema,
+    timestamp: Joi.string().isoDate(),
+    status: statusSchema,
+    fromUserId: Joi.string().trim().min(1),
+    toUserId: Joi.string().trim().min(1),
+    ipAddress: Joi.string().trim().ip({ cidr: 'forbidden' }).messages({
+        'string.ip': '{{#label}} must be a valid IPv4 or IPv6 address'
+    }),
+    deviceId: Joi.string().trim().min(1),
+    location: Joi.object().unknown(true).min(1),
+    description: Joi.string().trim().max(1000),
+    // Refunds, reversals and chargebacks name the transaction they adjust
+    parentTransactionId: Joi.string().trim().min(1).invalid(Joi.ref('id')).messages({
+        'any.invalid': 'A transaction cannot refund, reverse or charge back itself'
+    }),
+    parentRelationship: parentRelationshipSchema.when('parentTransactionId', {
+        is: Joi.exist(),
+        then: Joi.required(),
+        otherwise: Joi.forbidden()
+    }),
+    createdAt: Joi.string().isoDate()
+}).or('fromUserId', 'toUserId').messages({
+    'object.missing': 'At least one user (sender or receiver) is required'
+});
+
+// PUT replaces the stored transaction; the id comes from the path and createdAt is kept
+const transactionReplaceSchema = transactionSchema.fork(['id', 'createdAt'], field => field.strip());
+
+// PATCH changes only the given fields; null removes an optional field
+const transactionPatchSchema = Joi.object({
+    amount: Joi.number().positive(),
+    currency: currencySchema,
+    timestamp: Joi.string().isoDate(),
+    status: statusSchema,
+    fromUserId: Joi.string().trim().min(1).allow(null),
+    toUserId: Joi.string().trim().min(1).allow(null),
+    ipAddress: Joi.string().trim().ip({ cidr: 'forbidden' }).allow(null).messages({
+        'string.ip': '{{#label}} must be a valid IPv4 or IPv6 address'
+    }),
+    deviceId: Joi.string().trim().min(1).allow(null),
+    location: Joi.object().unknown(true).min(1).allow(null),
+    description: Joi.string().trim().max(1000).allow(null),
+    parentTransactionId: Joi.string().trim().min(1).allow(null),
+    parentRelationship: parentRelationshipSchema
+}).min(1).messages({
+    'object.min': 'At least one field must be provided'
+});
+
+// Status changes go through the lifecycle; timestamp records when the change happened
+const transactionStatusBodySchema = Joi.object({
+    status: statusSchema.required(),
+    timestamp: Joi.string().isoDate()
+});
+
+const bulkTransactionsListSchema = Joi.array().min(1).messages({
+    'array.min': 'Request body must be a non-empty array of transactions'
+});
+
+const bulkTransactionsBodySchema = Joi.alternatives().try(
+    bulkTransactionsListSchema,
+    Joi.object({ transactions: bulkTransactionsListSchema.required() })
+).messages({
+    'alternatives.match': 'Request body must be a non-empty array of transactions'
+});
+
+const transactionListQuerySchema = Joi.object({
+    // Comma-separated to match any of several values, e.g. status=pending,failed
+    status: commaSeparatedList(TRANSACTION_STATUSES, status => status.toLowerCase()),
+    // Match status against the status each transaction had at this time
+    statusAsOf: Joi.string().isoDate(),
+    currency: commaSeparatedList(null, currency => currency.toUpperCase()),
+    minAmount: Joi.number().min(0),
+    maxAmount: Joi.number().min(0).when('minAmount', {
+        is: Joi.exist(),
+        then: Joi.number().min(Joi.ref('minAmount')).messages({
+            'number.min': '{{#label}} must be greater than or equal to minAmount'
+        })
+    }),
+    // Amount range in the base currency, comparable across currencies
+    minAmountBase: Joi.number().min(0),
+    maxAmountBase: Joi.number().min(0).when('minAmountBase', {
+        is: Joi.exist(),
+        then: Joi.number().min(Joi.ref('minAmountBase')).messages({
+            'number.min': '{{#label}} must be greater than or equal to minAmountBase'
+        })
+    }),
+    fromTimestamp: Joi.string().isoDate(),
+    toTimestamp: Joi.string().isoDate(),
+    fromUserId: Joi.string().trim().min(1),
+    toUserId: Joi.string().trim().min(1),
+    userId: Joi.string().trim().min(1),
+    ipAddress: Joi.string().trim().ip({ cidr: 'forbidden' }).messages({
+        'string.ip': '{{#label}} must be a valid IPv4 or IPv6 address'
+    }),
+    deviceId: Joi.string().trim().min(1),
+    description: Joi.string().trim().min(1).max(200),
+    ...paginationQueryKeys(TRANSACTION_SORT_FIELDS)
+}).custom((query, helpers) => {
+    if (query.fromTimestamp && query.toTimestamp && new Date(query.fromTimestamp) > new Date(query.toTimestamp)) {
+        return helpers.error('timestamp.range', { peers: ['fromTimestamp', 'toTimestamp'] });
+    }
+    return query;
+}).messages({
+    'timestamp.range': 'fromTimestamp must be before toTimestamp'
+});
+
+module.exports = {
+    currencySchema,
+    transactionSchema,
+    transactionReplaceSchema,
+    transactionPatchSchema,
+    transactionStatusBodySchema,
+    bulkTransactionsBodySchema,
+    transactionListQuerySchema
+};
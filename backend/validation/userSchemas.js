@@ -0,0 +1,85 @@
+/**
+ * Request schemas for user routes
+ */
+const Joi = require('joi');
+const { paginationQueryKeys } = require('./commonSchemas');
+
+const USER_SORT_FIELDS = ['createdAt', 'updatedAt', 'name', 'email'];
+
+const addressSchema = Joi.object({
+    street: Joi.string().trim().max(200),
+    city: Joi.string().trim().max(100),
+    state: Joi.string().trim().max(100),
+    postalCode: Joi.string().trim().max(20),
+    country: Joi.string().trim().max(100)
+}).unknown(true).min(1);
+
+const paymentMethodSchema = Joi.object({
+    type: Joi.string().trim().required(),
+    last4: Joi.string().pattern(/^\d{4}$/).messages({
+        'string.pattern.base': '{{#label}} must be exactly 4 digits'
+    }),
+    provider: Joi.string().trim(),
+    bank: Joi.string().trim()
+}).unknown(true);
+
+const phoneSchema = Joi.string().trim().pattern(/^\+?[\d\s\-().]{5,20}$/).messages({
+    'string.pattern.base': '{{#label}} must be a valid phone number'
+});
+
+const userSchema = Joi.object({
+    id: Joi.string().trim().min(1),
+    name: Joi.string().trim().min(1).max(200).required(),
+    email: Joi.string().trim().email(),
+    phone: phoneSchema,
+    address: addressSchema,
+    paymentMethods: Joi.array().items(paymentMethodSchema),
+    createdAt: Joi.string().isoDate()
+});
+
+// PUT replaces the stored user; the id comes from the path and createdAt is kept
+const userReplaceSchema = userSchema.fork(['id', 'createdAt'], field => field.strip());
+
+// PATCH changes only the given fields; null removes an optional field
+const userPatchSchema = Joi.object({
+    name: Joi.string().trim().min(1).max(200),
+    email: Joi.string().trim().email().allow(null),
+    phone: phoneSchema.allow(null),
+    address: addressSchema.allow(null),
+    paymentMethods: Joi.array().items(paymentMethodSchema).allow(null)
+}).min(1).messages({
+    'object.min': 'At least one field must be provided'
+});
+
+const bulkUsersListSchema = Joi.array().min(1).messages({
+    'array.min': 'Request body must be a non-empty array of users'
+});
+
+const bulkUsersBodySchema = Joi.alternatives().try(
+    bulkUsersListSchema,
+    Joi.object({ users: bulkUsersListSchema.required() })
+).messages({
+    'alternatives.match': 'Request body must be a non-empty array of users'
+});
+
+const userListQuerySchema = Joi.object({
+    email: Joi.string().trim(),
+    phone: Joi.string().trim(),
+    ...paginationQueryKeys(USER_SORT_FIELDS)
+});
+
+const userSearchQuerySchema = Joi.object({
+    q: Joi.string().trim().min(1).max(200).required(),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    fuzzy: Joi.boolean().default(true),
+    prefix: Joi.boolean().default(true)
+});
+
+module.exports = {
+    userSchema,
+    userReplaceSchema,
+    userPatchSchema,
+    bulkUsersBodySchema,
+    userListQuerySchema,
+    userSearchQuerySchema
+};
@@ -0,0 +1,81 @@
+/**
+ * Request validation middleware built on Joi schemas
+ */
+
+const VALIDATION_OPTIONS = {
+    abortEarly: false,
+    stripUnknown: true,
+    errors: { wrap: { label: false } }
+};
+
+const REQUEST_LOCATIONS = ['params', 'query', 'body'];
+
+/**
+ * Convert a Joi validation error into a list of failing fields
+ * @param {Object} error - Joi validation error
+ * @param {string} location - Part of the request, or other value, that was validated
+ * @returns {Array} Failing fields with the reason
+ */
+function formatValidationErrors(error, location) {
+    return error.details.map(detail => ({
+        location,
+        // Object-level rules (e.g. "one of these fields is required") have no path but name their peers
+        field: detail.path.join('.') || (detail.context.peers || []).join(', ') || location,
+        message: detail.message
+    }));
+}
+
+/**
+ * Validate a single value against a schema
+ * @param {Object} schema - Joi schema
+ * @param {*} value - Value to validate
+ * @param {string} location - What the value is, reported with each failing field (e.g. 'record')
+ * @returns {Object} Converted value and a list of failing fields (empty when valid)
+ */
+function validateValue(schema, value, location) {
+    const { value: converted, error } = schema.validate(value, VALIDATION_OPTIONS);
+
+    return {
+        value: converted,
+        errors: error ? formatValidationErrors(error, location) : []
+    };
+}
+
+/**
+ * Create middleware that validates request params, query and body.
+ * Valid requests continue with the converted values (e.g. numeric strings become numbers);
+ * invalid requests get a 400 response listing every failing field.
+ * @param {Object} schemas - Joi schemas keyed by request location ('params', 'query', 'body')
+ * @returns {Function} Express middleware
+ */
+function validate(schemas) {
+    return (req, res, next) => {
+        const details = [];
+
+        REQUEST_LOCATIONS.forEach(location => {
+            if (!schemas[location]) return;
+
+            const { value, error } = schemas[location].validate(req[location], VALIDATION_OPTIONS);
+
+            if (error) {
+                details.push(...formatValidationErrors(error, location));
+            } else {
+                req[location] = value;
+            }
+        });
+
+        if (details.length > 0) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details
+            });
+        }
+
+        next();
+    };
+}
+
+module.exports = {
+    validate,
+    validateValue
+};
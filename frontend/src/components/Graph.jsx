@@ -3,7 +3,7 @@ import CytoscapeComponent from 'react-cytoscapejs';
 import cytoscape from 'cytoscape';
 import fcose from 'cytoscape-fcose';
 import { getCompleteGraph } from '../services/api';
-import { formatGraphData, getGraphStylesheet } from '../utils/graphUtils';
+import { getGraphStylesheet, getNodeSize, formatMetricValue, CENTRALITY_METRICS } from '../utils/graphUtils';
 import ErrorBoundary from './ErrorBoundary';
 import './Graph.css';
 
@@ -16,6 +16,7 @@ const Graph = () => {
     const [error, setError] = useState(null);
     const [dataStats, setDataStats] = useState({ nodes: 0, edges: 0 });
     const [selectedNode, setSelectedNode] = useState(null);
+    const [sizeMetric, setSizeMetric] = useState('');
     const cyRef = useRef(null);
     const containerRef = useRef(null);
 
@@ -33,13 +34,12 @@ const Graph = () => {
                 }
 
                 console.log('Raw API data received:', {
-                    usersCount: data.users?.length || 0,
-                    transactionsCount: data.transactions?.length || 0,
-                    userRelationshipsCount: data.userRelationships?.length || 0
+                    nodesCount: data.nodes?.length || 0,
+                    edgesCount: data.edges?.length || 0
                 });
 
-                // Format the data for Cytoscape - this returns {nodes: [], edges: []}
-                const formattedData = formatGraphData(data);
+                // The API already returns Cytoscape elements as {nodes: [], edges: []}
+                const formattedData = { nodes: data.nodes, edges: data.edges };
 
                 if (!isMounted) return;
 
@@ -118,6 +118,29 @@ const Graph = () => {
         };
     }, []);
 
+    // Size nodes by the chosen centrality metric; nodes without a score keep their default size
+    useEffect(() => {
+        const cy = cyRef.current;
+        if (!cy) return;
+
+        const nodes = cy.nodes();
+        nodes.removeStyle('width height');
+        if (!sizeMetric) return;
+
+        const values = nodes.map(node => node.data(sizeMetric)).filter(value => typeof value === 'number');
+        if (values.length === 0) return;
+
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+        nodes.forEach(node => {
+            const value = node.data(sizeMetric);
+            if (typeof value !== 'number') return;
+
+            const size = getNodeSize(value, min, max);
+            node.style({ width: size, height: size });
+        });
+    }, [sizeMetric, elements]);
+
     const handleNodeClick = (event) => {
         try {
             const node = event.target;
@@ -235,6 +258,15 @@ const Graph = () => {
                     <span className="stats-item">Edges: {dataStats.edges}</span>
                 </div>
                 <div className="graph-controls">
+                    <label className="size-control">
+                        Size nodes by
+                        <select value={sizeMetric} onChange={(e) => setSizeMetric(e.target.value)}>
+                            <option value="">None</option>
+                            {CENTRALITY_METRICS.map(metric => (
+                                <option key={metric.value} value={metric.value}>{metric.label}</option>
+                            ))}
+                        </select>
+                    </label>
                     <button className="control-button" onClick={resetView}>
                         Reset View
                     </button>
@@ -322,7 +354,7 @@ const Graph = () => {
                     <div className="node-details-panel">
                         <h3>{selectedNode.label}</h3>
                         <div className="node-type">Type: {selectedNode.type}</div>
-                        <div className="node-id">ID: {selectedNode.id}</div>
+                        <div className="node-id">ID: {selectedNode.entityId || selectedNode.id}</div>
                         {selectedNode.type === 'user' && (
                             <div className="user-details">
                                 {selectedNode.email && <div>Email: {selectedNode.email}</div>}
@@ -335,6 +367,18 @@ const Graph = () => {
                                 {selectedNode.date && <div>Date: {new Date(selectedNode.date).toLocaleDateString()}</div>}
                             </div>
                         )}
+                        {selectedNode.type === 'paymentMethod' && (
+                            <div className="payment-method-details">
+                                {selectedNode.methodType && <div>Kind: {selectedNode.methodType}</div>}
+                                {selectedNode.provider && <div>Provider: {selectedNode.provider}</div>}
+                                {selectedNode.last4 && <div>Last 4: {selectedNode.last4}</div>}
+                            </div>
+                        )}
+                        {sizeMetric && typeof selectedNode[sizeMetric] === 'number' && (
+                            <div className="centrality-details">
+                                {CENTRALITY_METRICS.find(metric => metric.value === sizeMetric).label}: {formatMetricValue(selectedNode[sizeMetric])}
+                            </div>
+                        )}
                         <button className="close-details" onClick={handleBackgroundClick}>Close</button>
                     </div>
                 )}
@@ -0,0 +1,89 @@
+import { useCallback, useEffect, useState } from 'react';
+import './PaginatedList.css';
+
+const PAGE_SIZE = 50;
+
+/**
+ * Table that loads a list endpoint page by page using cursor pagination
+ * @param {string} title - Heading shown above the table
+ * @param {Function} fetchPage - Called with {limit, after, sortBy, sortOrder}, resolves to {items, pagination}
+ * @param {Array} columns - Column definitions as {key, label, render}
+ * @param {Array} sortFields - Fields the list can be sorted by
+ */
+const PaginatedList = ({ title, fetchPage, columns, sortFields }) => {
+    const [items, setItems] = useState([]);
+    const [pagination, setPagination] = useState({ hasMore: false, nextCursor: null, totalCount: 0 });
+    const [sortBy, setSortBy] = useState(sortFields[0]);
+    const [sortOrder, setSortOrder] = useState('desc');
+    const [loading, setLoading] = useState(false);
+
+    const loadPage = useCallback(async (after) => {
+        setLoading(true);
+        const page = await fetchPage({ limit: PAGE_SIZE, after, sortBy, sortOrder });
+
+        // Append when following a cursor, replace when starting over
+        setItems(previous => (after ? [...previous, ...page.items] : page.items));
+        setPagination(page.pagination);
+        setLoading(false);
+    }, [fetchPage, sortBy, sortOrder]);
+
+    // Reload from the first page whenever the sort changes
+    useEffect(() => {
+        loadPage();
+    }, [loadPage]);
+
+    return (
+        <div className="list-container">
+            <div className="list-header">
+                <h2>{title}</h2>
+                <div className="list-controls">
+                    <span className="stats-item">
+                        Showing {items.length} of {pagination.totalCount ?? items.length}
+                    </span>
+                    <select value={sortBy} onChange={(e) => setSortBy(e.target.value)}>
+                        {sortFields.map(field => (
+                            <option key={field} value={field}>Sort by {field}</option>
+                        ))}
+                    </select>
+                    <select value={sortOrder} onChange={(e) => setSortOrder(e.target.value)}>
+                        <option value="desc">Descending</option>
+                        <option value="asc">Ascending</option>
+                    </select>
+                </div>
+            </div>
+
+            <table className="list-table">
+                <thead>
+                    <tr>
+                        {columns.map(column => <th key={column.key}>{column.label}</th>)}
+                    </tr>
+                </thead>
+                <tbody>
+                    {items.map(item => (
+                        <tr key={item.id}>
+                            {columns.map(column => (
+                                <td key={column.key}>
+                                    {column.render ? column.render(item) : item[column.key]}
+                                </td>
+                            ))}
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+
+            {items.length === 0 && !loading && <div className="empty-state">No records found.</div>}
+
+            {pagination.hasMore && (
+                <button
+                    className="control-button load-more"
+                    disabled={loading}
+                    onClick={() => loadPage(pagination.nextCursor)}
+                >
+                    {loading ? 'Loading...' : 'Load more'}
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default PaginatedList;
@@ -0,0 +1,81 @@
+import { useState } from 'react';
+import { searchUsers } from '../services/api';
+import './PaginatedList.css';
+
+/**
+ * Render a highlighted field value returned by the search API
+ * @param {Array} segments - Segments as {text, match}
+ */
+const Highlight = ({ segments }) => (
+    <span>
+        {segments.map((segment, index) => (
+            segment.match ? <mark key={index}>{segment.text}</mark> : <span key={index}>{segment.text}</span>
+        ))}
+    </span>
+);
+
+/**
+ * Typo-tolerant search over user name, email, phone and address
+ */
+const UserSearch = () => {
+    const [query, setQuery] = useState('');
+    const [results, setResults] = useState(null);
+    const [loading, setLoading] = useState(false);
+
+    const handleSubmit = async (event) => {
+        event.preventDefault();
+        if (!query.trim()) return;
+
+        setLoading(true);
+        setResults(await searchUsers(query.trim()));
+        setLoading(false);
+    };
+
+    return (
+        <div className="list-container search-container">
+            <form className="list-header" onSubmit={handleSubmit}>
+                <input
+                    className="search-input"
+                    type="search"
+                    placeholder="Search users by name, email, phone or address"
+                    value={query}
+                    onChange={(e) => setQuery(e.target.value)}
+                />
+                <button className="control-button" type="submit" disabled={loading}>
+                    {loading ? 'Searching...' : 'Search'}
+                </button>
+            </form>
+
+            {results && results.length === 0 && <div className="empty-state">No matching users.</div>}
+
+            {results && results.length > 0 && (
+                <table className="list-table">
+                    <thead>
+                        <tr>
+                            <th>User</th>
+                            <th>Matched fields</th>
+                            <th>Score</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {results.map(result => (
+                            <tr key={result.user.id}>
+                                <td>{result.user.name} ({result.user.id})</td>
+                                <td>
+                                    {result.matches.map(match => (
+                                        <div key={match.field}>
+                                            {match.field}: <Highlight segments={match.highlight} />
+                                        </div>
+                                    ))}
+                                </td>
+                                <td>{result.score.toFixed(2)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+};
+
+export default UserSearch;
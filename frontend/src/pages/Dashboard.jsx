@@ -1,6 +1,29 @@
 import { useState } from 'react';
 import Graph from '../components/Graph';
 import Header from '../components/Header';
+import PaginatedList from '../components/PaginatedList';
+import UserSearch from '../components/UserSearch';
+import { getUsers, getTransactions } from '../services/api';
+
+const USER_COLUMNS = [
+    { key: 'id', label: 'ID' },
+    { key: 'name', label: 'Name' },
+    { key: 'email', label: 'Email' },
+    { key: 'phone', label: 'Phone' },
+    { key: 'createdAt', label: 'Created', render: (user) => user.createdAt && new Date(user.createdAt).toLocaleString() }
+];
+
+const TRANSACTION_COLUMNS = [
+    { key: 'id', label: 'ID' },
+    { key: 'amount', label: 'Amount', render: (tx) => `${tx.amount} ${tx.currency || ''}` },
+    {
+        key: 'amountBase',
+        label: 'Base Amount',
+        render: (tx) => (tx.amountBase === undefined || tx.amountBase === null ? '' : `${tx.amountBase.toFixed(2)} ${tx.baseCurrency}`)
+    },
+    { key: 'status', label: 'Status' },
+    { key: 'timestamp', label: 'Timestamp', render: (tx) => tx.timestamp && new Date(tx.timestamp).toLocaleString() }
+];
 
 const Dashboard = () => {
     const [activeTab, setActiveTab] = useState('graph');
@@ -19,10 +42,41 @@ const Dashboard = () => {
                     >
                         Graph View
                     </button>
+                    <button
+                        className={`tab ${activeTab === 'users' ? 'active' : ''}`}
+                        onClick={() => setActiveTab('users')}
+                    >
+                        Users
+                    </button>
+                    <button
+                        className={`tab ${activeTab === 'transactions' ? 'active' : ''}`}
+                        onClick={() => setActiveTab('transactions')}
+                    >
+                        Transactions
+                    </button>
                 </div>
 
                 <div className="tab-content">
                     {activeTab === 'graph' && <Graph />}
+                    {activeTab === 'users' && (
+                        <>
+                            <UserSearch />
+                            <PaginatedList
+                                title="Users"
+                                fetchPage={getUsers}
+                                columns={USER_COLUMNS}
+                                sortFields={['createdAt', 'updatedAt', 'name', 'email']}
+                            />
+                        </>
+                    )}
+                    {activeTab === 'transactions' && (
+                        <PaginatedList
+                            title="Transactions"
+                            fetchPage={getTransactions}
+                            columns={TRANSACTION_COLUMNS}
+                            sortFields={['timestamp', 'createdAt', 'amount', 'amountBase', 'status', 'currency']}
+                        />
+                    )}
                 </div>
             </div>
         </div>
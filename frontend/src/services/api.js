@@ -37,25 +37,51 @@ api.interceptors.response.use(
     }
 );
 
+// Normalize a paginated list response ({data, pagination})
+const toPage = (responseData) => {
+    const data = responseData || {};
+
+    return {
+        items: Array.isArray(data.data) ? data.data : [],
+        pagination: data.pagination || { hasMore: false, nextCursor: null, totalCount: 0 }
+    };
+};
+
+const emptyPage = () => toPage(null);
+
 // Users API
-export const getUsers = async () => {
+// params: { limit, after, sortBy, sortOrder, email, phone }
+export const getUsers = async (params = {}) => {
     try {
-        const response = await api.get('/users');
-        return response.data || [];
+        const response = await api.get('/users', { params });
+        return toPage(response.data);
     } catch (error) {
         console.error('Error fetching users:', error);
+        return emptyPage();
+    }
+};
+
+// User Search API
+export const searchUsers = async (query, params = {}) => {
+    try {
+        const response = await api.get('/users/search', { params: { q: query, ...params } });
+        return Array.isArray(response.data?.results) ? response.data.results : [];
+    } catch (error) {
+        console.error('Error searching users:', error);
         return [];
     }
 };
 
 // Transactions API
-export const getTransactions = async () => {
+// params: { limit, after, sortBy, sortOrder, status, statusAsOf, currency, minAmount, maxAmount,
+//           minAmountBase, maxAmountBase, fromTimestamp, toTimestamp, fromUserId, toUserId, userId, ipAddress, deviceId, description }
+export const getTransactions = async (params = {}) => {
     try {
-        const response = await api.get('/transactions');
-        return response.data || [];
+        const response = await api.get('/transactions', { params });
+        return toPage(response.data);
     } catch (error) {
         console.error('Error fetching transactions:', error);
-        return [];
+        return emptyPage();
     }
 };
 
@@ -96,54 +122,43 @@ export const getTransactionRelationships = async (transactionId) => {
     }
 };
 
-// Get Complete Graph Data with better error handling
-export const getCompleteGraph = async () => {
-    try {
-        // Fetch all users and transactions
-        const [users, transactions] = await Promise.all([
-            getUsers(),
-            getTransactions()
-        ]);
-
-        const validUsers = Array.isArray(users) ? users.filter(user => user && user.id) : [];
-        const validTransactions = Array.isArray(transactions) ? transactions.filter(tx => tx && tx.id) : [];
-
-        console.log(`Processing ${validUsers.length} users and ${validTransactions.length} transactions`);
+// Graph API
+export const getGraph = async (params = {}) => {
+    const response = await api.get('/graph', { params });
+    const data = response.data || {};
 
-        // Only fetch relationships for valid users with IDs
-        const userRelationshipsPromises = validUsers.map(user => getUserRelationships(user.id));
-
-        // Use Promise.allSettled to prevent one failed relationship from breaking everything
-        const userRelationshipsResults = await Promise.allSettled(userRelationshipsPromises);
+    return {
+        nodes: Array.isArray(data.nodes) ? data.nodes : [],
+        edges: Array.isArray(data.edges) ? data.edges : [],
+        metadata: data.metadata || {}
+    };
+};
 
-        // Process results, keeping only successful ones with proper structure
-        const userRelationships = userRelationshipsResults
-            .filter(result => result.status === 'fulfilled')
-            .map(result => result.value)
-            .filter(relationship => relationship && relationship.user && relationship.user.id);
+// Get Complete Graph Data with better error handling
+export const getCompleteGraph = async (params = {}) => {
+    try {
+        const graph = await getGraph(params);
 
-        console.log(`Successfully processed ${userRelationships.length} user relationships`);
+        console.log(`Received ${graph.nodes.length} nodes and ${graph.edges.length} edges`);
 
-        return {
-            users: validUsers,
-            transactions: validTransactions,
-            userRelationships
-        };
+        return graph;
     } catch (error) {
         console.error('Error fetching complete graph data:', error);
         // Return minimum valid structure instead of throwing
         return {
-            users: [],
-            transactions: [],
-            userRelationships: []
+            nodes: [],
+            edges: [],
+            metadata: {}
         };
     }
 };
 
 export default {
     getUsers,
+    searchUsers,
     getTransactions,
     getUserRelationships,
     getTransactionRelationships,
+    getGraph,
     getCompleteGraph
 };
\ No newline at end of file
@@ -1,283 +1,3 @@
-/**
- * Transforms API data into the format expected by Cytoscape
- * with additional validation, error handling, and node existence checks
- * @param {Object} data - Graph data from API
- * @returns {Object} - Formatted data for Cytoscape
- */
-export const formatGraphData = (data) => {
-    try {
-        const elements = { nodes: [], edges: [] };
-
-        // Validate data structure
-        if (!data || typeof data !== 'object') {
-            console.error('Invalid graph data format:', data);
-            return elements;
-        }
-
-        const { users = [], transactions = [], userRelationships = [] } = data;
-
-        if (!Array.isArray(users) || !Array.isArray(transactions) || !Array.isArray(userRelationships)) {
-            console.error('Invalid graph data arrays:', { users, transactions, userRelationships });
-            return elements;
-        }
-
-        // Create a map for quick lookups to avoid duplicates
-        const nodeMap = new Map();
-        const edgeMap = new Map();
-
-        // PHASE 1: First collect ALL nodes from ALL data sources to ensure they exist
-        // This prevents the "nonexistant source/target" errors
-
-        // Step 1a: Process main users array
-        users.forEach(user => {
-            if (!user || !user.id) return; // Skip invalid users
-            const nodeId = `user-${user.id}`;
-            if (!nodeMap.has(nodeId)) {
-                nodeMap.set(nodeId, {
-                    data: {
-                        id: nodeId,
-                        label: user.name || `User ${user.id}`,
-                        type: 'user',
-                        ...user
-                    },
-                    classes: 'user'
-                });
-            }
-        });
-
-        // Step 1b: Process main transactions array
-        transactions.forEach(transaction => {
-            if (!transaction || !transaction.id) return; // Skip invalid transactions
-            const nodeId = `transaction-${transaction.id}`;
-            if (!nodeMap.has(nodeId)) {
-                nodeMap.set(nodeId, {
-                    data: {
-                        id: nodeId,
-                        label: `Transaction ${transaction.id}`,
-                        type: 'transaction',
-                        ...transaction
-                    },
-                    classes: 'transaction'
-                });
-            }
-        });
-
-        // Step 1c: Process ALL potential nodes from relationships
-        userRelationships.forEach(relationData => {
-            if (!relationData || !relationData.user || !relationData.user.id) return;
-
-            // Add the main user node
-            const userId = relationData.user.id;
-            const userNodeId = `user-${userId}`;
-            if (!nodeMap.has(userNodeId)) {
-                nodeMap.set(userNodeId, {
-                    data: {
-                        id: userNodeId,
-                        label: relationData.user.name || `User ${userId}`,
-                        type: 'user',
-                        ...relationData.user
-                    },
-                    classes: 'user'
-                });
-            }
-
-            // Add all connected user nodes
-            if (Array.isArray(relationData.connectedUsers)) {
-                relationData.connectedUsers.forEach(connection => {
-                    if (!connection || !connection.user || !connection.user.id) return;
-
-                    const connectedUserId = connection.user.id;
-                    const connectedUserNodeId = `user-${connectedUserId}`;
-                    if (!nodeMap.has(connectedUserNodeId)) {
-                        nodeMap.set(connectedUserNodeId, {
-                            data: {
-                                id: connectedUserNodeId,
-                                label: connection.user.name || `User ${connectedUserId}`,
-                                type: 'user',
-                                ...connection.user
-                            },
-                            classes: 'user'
-                        });
-                    }
-                });
-            }
-
-            // Add all transaction nodes
-            if (Array.isArray(relationData.transactions)) {
-                relationData.transactions.forEach(txn => {
-                    if (!txn || !txn.id) return;
-
-                    const txnNodeId = `transaction-${txn.id}`;
-                    if (!nodeMap.has(txnNodeId)) {
-                        nodeMap.set(txnNodeId, {
-                            data: {
-                                id: txnNodeId,
-                                label: `Transaction ${txn.id}`,
-                                type: 'transaction',
-                                ...txn
-                            },
-                            classes: 'transaction'
-                        });
-                    }
-                });
-            }
-
-            // Add all target user nodes from transfers
-            if (Array.isArray(relationData.directTransfers)) {
-                relationData.directTransfers.forEach(transfer => {
-                    if (!transfer || !transfer.targetUser || !transfer.targetUser.id) return;
-
-                    const targetUserId = transfer.targetUser.id;
-                    const targetUserNodeId = `user-${targetUserId}`;
-                    if (!nodeMap.has(targetUserNodeId)) {
-                        nodeMap.set(targetUserNodeId, {
-                            data: {
-                                id: targetUserNodeId,
-                                label: transfer.targetUser.name || `User ${targetUserId}`,
-                                type: 'user',
-                                ...transfer.targetUser
-                            },
-                            classes: 'user'
-                        });
-                    }
-                });
-            }
-        });
-
-        // PHASE 2: Now add all the nodes to the elements array
-        // Convert Map to array for cytoscape
-        elements.nodes = Array.from(nodeMap.values());
-
-        // Log the node count for debugging
-        console.log(`Created ${elements.nodes.length} nodes`);
-
-        // PHASE 3: Create all edges, verifying that both source and target nodes exist
-        userRelationships.forEach(relationData => {
-            if (!relationData || !relationData.user || !relationData.user.id) return;
-
-            const userId = relationData.user.id;
-            const userNodeId = `user-${userId}`;
-
-            // Skip if the source node doesn't exist (which it should by now)
-            if (!nodeMap.has(userNodeId)) {
-                console.warn(`Skipping relationships for missing user node: ${userNodeId}`);
-                return;
-            }
-
-            // Process connected users
-            if (Array.isArray(relationData.connectedUsers)) {
-                relationData.connectedUsers.forEach((connection, index) => {
-                    if (!connection || !connection.user || !connection.user.id || !connection.relationship) return;
-
-                    const connectedUserId = connection.user.id;
-                    const connectedUserNodeId = `user-${connectedUserId}`;
-
-                    // Skip if target node doesn't exist
-                    if (!nodeMap.has(connectedUserNodeId)) {
-                        console.warn(`Skipping edge to missing connected user node: ${connectedUserNodeId}`);
-                        return;
-                    }
-
-                    const relType = connection.relationship.type || 'CONNECTED';
-                    const edgeId = `edge-user-${userId}-${connectedUserId}-${index}`;
-
-                    // Avoid duplicate edges
-                    if (!edgeMap.has(edgeId)) {
-                        elements.edges.push({
-                            data: {
-                                id: edgeId,
-                                source: userNodeId,
-                                target: connectedUserNodeId,
-                                label: relType,
-                                relationshipType: relType,
-                                properties: connection.relationship.properties || {}
-                            },
-                            classes: 'user-user'
-                        });
-                        edgeMap.set(edgeId, true);
-                    }
-                });
-            }
-
-            // Process transactions
-            if (Array.isArray(relationData.transactions)) {
-                relationData.transactions.forEach((txn, index) => {
-                    if (!txn || !txn.id) return;
-
-                    const txnNodeId = `transaction-${txn.id}`;
-
-                    // Skip if target node doesn't exist
-                    if (!nodeMap.has(txnNodeId)) {
-                        console.warn(`Skipping edge to missing transaction node: ${txnNodeId}`);
-                        return;
-                    }
-
-                    const edgeId = `edge-user-${userId}-transaction-${txn.id}-${index}`;
-
-                    // Avoid duplicate edges
-                    if (!edgeMap.has(edgeId)) {
-                        elements.edges.push({
-                            data: {
-                                id: edgeId,
-                                source: userNodeId,
-                                target: txnNodeId,
-                                label: 'INVOLVED_IN',
-                                relationshipType: 'INVOLVED_IN'
-                            },
-                            classes: 'user-transaction'
-                        });
-                        edgeMap.set(edgeId, true);
-                    }
-                });
-            }
-
-            // Process direct transfers
-            if (Array.isArray(relationData.directTransfers)) {
-                relationData.directTransfers.forEach((transfer, index) => {
-                    if (!transfer || !transfer.targetUser || !transfer.targetUser.id) return;
-
-                    const targetUserId = transfer.targetUser.id;
-                    const targetUserNodeId = `user-${targetUserId}`;
-
-                    // Skip if target node doesn't exist
-                    if (!nodeMap.has(targetUserNodeId)) {
-                        console.warn(`Skipping edge to missing target user node: ${targetUserNodeId}`);
-                        return;
-                    }
-
-                    const relType = transfer.type || 'TRANSFER';
-                    const edgeId = `edge-transfer-${userId}-${targetUserId}-${index}`;
-
-                    // Avoid duplicate edges
-                    if (!edgeMap.has(edgeId)) {
-                        elements.edges.push({
-                            data: {
-                                id: edgeId,
-                                source: userNodeId,
-                                target: targetUserNodeId,
-                                label: relType,
-                                relationshipType: relType,
-                                amount: transfer.amount,
-                                currency: transfer.currency
-                            },
-                            classes: 'transfer'
-                        });
-                        edgeMap.set(edgeId, true);
-                    }
-                });
-            }
-        });
-
-        console.log(`Generated ${elements.nodes.length} nodes and ${elements.edges.length} edges`);
-        return elements;
-
-    } catch (error) {
-        console.error('Error formatting graph data:', error);
-        return { nodes: [], edges: [] };
-    }
-};
-
-
 /**
  * Gets the style for the Cytoscape graph with better visibility and contrast
  * @returns {Array} - Cytoscape style array
@@ -325,6 +45,46 @@ export const getGraphStylesheet = () => [
             'height': '40px'
         }
     },
+    {
+        selector: 'node.paymentMethod',
+        style: {
+            'background-color': '#8D6E63', // Brown
+            'shape': 'round-rectangle',
+            'text-background-color': '#EFEBE9',
+            'width': '35px',
+            'height': '35px'
+        }
+    },
+    {
+        selector: 'node.device',
+        style: {
+            'background-color': '#26A69A', // Teal
+            'shape': 'round-rectangle',
+            'text-background-color': '#E0F2F1',
+            'width': '30px',
+            'height': '30px'
+        }
+    },
+    {
+        selector: 'node.ipAddress',
+        style: {
+            'background-color': '#AB47BC', // Purple
+            'shape': 'hexagon',
+            'text-background-color': '#F3E5F5',
+            'width': '30px',
+            'height': '30px'
+        }
+    },
+    {
+        selector: 'node.location',
+        style: {
+            'background-color': '#66BB6A', // Green
+            'shape': 'triangle',
+            'text-background-color': '#E8F5E9',
+            'width': '30px',
+            'height': '30px'
+        }
+    },
     {
         selector: 'edge',
         style: {
@@ -372,6 +132,15 @@ export const getGraphStylesheet = () => [
             'text-background-color': '#FFF9C4',
         }
     },
+    {
+        selector: 'edge.transaction-transaction',
+        style: {
+            'line-color': '#BDBDBD',
+            'target-arrow-color': '#BDBDBD',
+            'line-style': 'dotted',
+            'width': 2
+        }
+    },
     {
         selector: 'edge[relationshipType="SHARES_ADDRESS"]',
         style: {
@@ -400,11 +169,63 @@ export const getGraphStylesheet = () => [
         }
     },
     {
-        selector: 'edge[relationshipType="SHARES_PAYMENT_METHOD"]',
+        selector: 'edge[relationshipType="SIMILAR_ADDRESS"]',
+        style: {
+            'line-color': '#A5D6A7',
+            'target-arrow-color': '#A5D6A7',
+            'line-style': 'dotted',
+            'width': 2
+        }
+    },
+    {
+        selector: 'edge[relationshipType="SIMILAR_NAME"]',
+        style: {
+            'line-color': '#F48FB1',
+            'target-arrow-color': '#F48FB1',
+            'line-style': 'dotted',
+            'width': 2
+        }
+    },
+    {
+        // Identity links have no direction
+        selector: 'edge.identity',
+        style: {
+            'target-arrow-shape': 'none'
+        }
+    },
+    {
+        // Refunds, reversals and chargebacks point at the transaction they adjust
+        selector: 'edge.adjustment',
+        style: {
+            'line-color': '#E53935',
+            'target-arrow-color': '#E53935',
+            'line-style': 'solid',
+            'width': 2
+        }
+    },
+    {
+        selector: 'edge.transaction-attribute',
+        style: {
+            'line-color': '#BDBDBD',
+            'target-arrow-color': '#BDBDBD',
+            'line-style': 'dotted',
+            'width': 1
+        }
+    },
+    {
+        selector: 'edge.user-attribute',
+        style: {
+            'line-color': '#90A4AE',
+            'target-arrow-color': '#90A4AE',
+            'line-style': 'dashed',
+            'width': 1
+        }
+    },
+    {
+        selector: 'edge.user-payment-method',
         style: {
             'line-color': '#8D6E63',
             'target-arrow-color': '#8D6E63',
-            'line-style': 'dashed',
             'width': 2
         }
     },
@@ -449,3 +270,36 @@ export const getGraphStylesheet = () => [
     }
 ];
 
+// Centrality scores stored on users and transactions by POST /analytics/centrality/compute
+export const CENTRALITY_METRICS = [
+    { value: 'degree', label: 'Degree' },
+    { value: 'inDegree', label: 'In-degree' },
+    { value: 'outDegree', label: 'Out-degree' },
+    { value: 'inAmount', label: 'Amount in' },
+    { value: 'outAmount', label: 'Amount out' },
+    { value: 'pageRank', label: 'PageRank' },
+    { value: 'betweenness', label: 'Betweenness' }
+];
+
+const MIN_NODE_SIZE = 25;
+const MAX_NODE_SIZE = 90;
+
+/**
+ * Scales a metric value linearly between the smallest and largest node sizes
+ * @param {number} value - Metric value of the node
+ * @param {number} min - Smallest value among the nodes
+ * @param {number} max - Largest value among the nodes
+ * @returns {number} - Node width and height in pixels
+ */
+export const getNodeSize = (value, min, max) => {
+    if (max <= min) return (MIN_NODE_SIZE + MAX_NODE_SIZE) / 2;
+    return MIN_NODE_SIZE + (value - min) / (max - min) * (MAX_NODE_SIZE - MIN_NODE_SIZE);
+};
+
+/**
+ * Formats a centrality score for display
+ * @param {number} value - Metric value
+ * @returns {string} - Value with at most four significant digits
+ */
+export const formatMetricValue = (value) =>
+    value.toLocaleString(undefined, { maximumSignificantDigits: 4 });